@@ -0,0 +1,72 @@
+// Local mock of the sync endpoint used by the REST adapter (src/sync/adapters.js).
+//   PUT    /api/:entity/:id   store the JSON body
+//   DELETE /api/:entity/:id   remove it (404 if unknown)
+//   GET    /api/:entity       list everything stored for that entity
+//   GET    /api/log           every mutation received, in arrival order
+// Data lives in memory only. FAIL_RATE=0.3 makes that share of writes fail
+// with 503, to watch the outbox retry and keep its order.
+import http from 'node:http'
+
+const PORT = Number(process.env.PORT) || 8787
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0
+const db = {}
+const log = []
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,PUT,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = ''
+    req.on('data', (chunk) => (raw += chunk))
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null)
+      } catch (err) {
+        reject(err)
+      }
+    })
+  })
+
+http
+  .createServer(async (req, res) => {
+    const [, api, entity, id] = new URL(req.url, 'http://localhost').pathname.split('/').map(decodeURIComponent)
+    if (req.method === 'OPTIONS') return send(res, 204)
+    if (api !== 'api') return send(res, 404, { error: 'not found' })
+    if (req.method === 'GET' && entity === 'log') return send(res, 200, log)
+    if (req.method === 'GET' && entity && !id) return send(res, 200, Object.values(db[entity] ?? {}))
+    if (!entity || !id) return send(res, 404, { error: 'not found' })
+
+    if ((req.method === 'PUT' || req.method === 'DELETE') && Math.random() < FAIL_RATE) {
+      console.log(`${req.method} ${entity}/${id} -> 503 (simulated)`)
+      return send(res, 503, { error: 'simulated outage' })
+    }
+    if (req.method === 'PUT') {
+      let body
+      try {
+        body = await readBody(req)
+      } catch {
+        return send(res, 400, { error: 'invalid JSON' })
+      }
+      db[entity] = { ...db[entity], [id]: body }
+      log.push({ op: 'put', entity, id, at: Date.now() })
+      console.log(`PUT ${entity}/${id}`)
+      return send(res, 200, body)
+    }
+    if (req.method === 'DELETE') {
+      if (!db[entity]?.[id]) return send(res, 404, { error: 'not found' })
+      delete db[entity][id]
+      log.push({ op: 'delete', entity, id, at: Date.now() })
+      console.log(`DELETE ${entity}/${id}`)
+      return send(res, 204)
+    }
+    send(res, 405, { error: 'method not allowed' })
+  })
+  .listen(PORT, () => console.log(`mock sync API on http://localhost:${PORT}/api`))
@@ -0,0 +1,138 @@
+// Reference server for the DailyFlow sync protocol (docs/sync-protocol.md).
+//   POST /api/sync   { deviceId, since, changes } -> { cursor, changes }
+//   GET  /api/sync?since=N   pull only
+//   GET  /api/calendar.ics   dated todos and habits, for calendar subscriptions
+// Records are merged field by field with the same code the app uses
+// (src/sync/merge.js); deletes are kept as tombstones, and between a tombstone
+// and a record the later write wins (outlives() there).
+// DATA_FILE=sync-data.json keeps the data across restarts; without it
+// everything lives in memory.
+import http from 'node:http'
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+import { mergeRecord, outlives } from '../src/sync/merge.js'
+import { buildCalendar } from '../src/lib/ical.js'
+
+const PORT = Number(process.env.PORT) || 8787
+const DATA_FILE = process.env.DATA_FILE
+const ENTITIES = new Set(['todos', 'habits', 'notes', 'sessions'])
+const MAX_BODY = 5 * 1024 * 1024
+
+// key "entity:id" -> { entity, id, seq, record } or { entity, id, seq, deleted }
+let state = { seq: 0, items: {} }
+if (DATA_FILE && existsSync(DATA_FILE)) state = JSON.parse(readFileSync(DATA_FILE, 'utf8'))
+
+let saveTimer = null
+const save = () => {
+  if (!DATA_FILE || saveTimer) return
+  saveTimer = setTimeout(() => {
+    saveTimer = null
+    writeFileSync(DATA_FILE, JSON.stringify(state))
+  }, 200)
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = ''
+    req.on('data', (chunk) => {
+      raw += chunk
+      if (raw.length > MAX_BODY) reject(new Error('body too large'))
+    })
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null)
+      } catch (err) {
+        reject(err)
+      }
+    })
+  })
+
+const isObj = (x) => x != null && typeof x === 'object' && !Array.isArray(x)
+
+// null when the change is well-formed, else what's wrong with it
+const invalid = (c) => {
+  if (!isObj(c) || !ENTITIES.has(c.entity)) return 'unknown entity'
+  if (typeof c.id !== 'string' || !c.id) return 'missing id'
+  if (c.deleted !== undefined) return typeof c.deleted === 'string' ? null : 'deleted must be a stamp'
+  if (!isObj(c.record) || c.record.id !== c.id) return 'record must be an object with the same id'
+  return null
+}
+
+function apply(c) {
+  const key = `${c.entity}:${c.id}`
+  const current = state.items[key]
+  if (c.deleted) {
+    if (current?.deleted >= c.deleted) return
+    // re-created after this delete: keep the record, and send it back out so the deleting device gets it again
+    if (current?.record && outlives(current.record, c.deleted)) {
+      current.seq = ++state.seq
+      return
+    }
+    state.items[key] = { entity: c.entity, id: c.id, seq: ++state.seq, deleted: c.deleted }
+    return
+  }
+  if (current?.deleted) {
+    if (!outlives(c.record, current.deleted)) return
+    state.items[key] = { entity: c.entity, id: c.id, seq: ++state.seq, record: c.record }
+    return
+  }
+  const merged = mergeRecord(current?.record, c.record)
+  if (current && JSON.stringify(merged) === JSON.stringify(current.record)) return
+  state.items[key] = { entity: c.entity, id: c.id, seq: ++state.seq, record: merged }
+}
+
+const changesSince = (since) =>
+  Object.values(state.items)
+    .filter((item) => item.seq > since)
+    .sort((a, b) => a.seq - b.seq)
+    .map(({ entity, id, record, deleted }) => (deleted ? { entity, id, deleted } : { entity, id, record }))
+
+// Encrypted records (a passphrase is set on the devices) can't be read here and are left out.
+const sendCalendar = (res) => {
+  const live = (entity) =>
+    Object.values(state.items)
+      .filter((item) => item.entity === entity && item.record && !item.record.sealed)
+      .map((item) => item.record)
+  res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', 'Access-Control-Allow-Origin': '*' })
+  res.end(buildCalendar({ todos: live('todos'), habits: live('habits') }))
+}
+
+http
+  .createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (req.method === 'OPTIONS') return send(res, 204)
+    if (url.pathname === '/api/calendar.ics' && req.method === 'GET') return sendCalendar(res)
+    if (url.pathname !== '/api/sync') return send(res, 404, { error: 'not found' })
+
+    if (req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0
+      return send(res, 200, { cursor: state.seq, changes: changesSince(since) })
+    }
+    if (req.method !== 'POST') return send(res, 405, { error: 'method not allowed' })
+
+    let body
+    try {
+      body = await readBody(req)
+    } catch (err) {
+      return send(res, 400, { error: err.message })
+    }
+    if (!isObj(body) || !Array.isArray(body.changes)) return send(res, 400, { error: 'changes must be a list' })
+    const problem = body.changes.map(invalid).find(Boolean)
+    if (problem) return send(res, 400, { error: problem })
+
+    body.changes.forEach(apply)
+    if (body.changes.length) save()
+    const since = Number(body.since) || 0
+    console.log(`sync ${body.deviceId ?? '?'}: ${body.changes.length} in, since ${since}, now at ${state.seq}`)
+    send(res, 200, { cursor: state.seq, changes: changesSince(since) })
+  })
+  .listen(PORT, () => console.log(`DailyFlow sync server on http://localhost:${PORT}/api/sync`))
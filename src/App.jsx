@@ -1,101 +1,182 @@
-import React, { useEffect, useState, useRef } from "react";
-import { motion } from "framer-motion";
-import { CheckCircle, Plus, Moon, SunMedium, Clock, Trash } from "lucide-react";
+import React, { useEffect, useMemo, useState } from "react";
+import { Navigate, NavLink, Route, Routes, useNavigate } from "react-router";
+import { motion, useReducedMotion } from "framer-motion";
+import { Monitor, Moon, SunMedium } from "lucide-react";
+import { I18nContext, StoreContext, useI18n } from "./store";
+import { applyLocale, createI18n, detectLocale, LOCALES } from "./i18n";
+import { isDone, newHabit, toggleDay } from "./lib/habits";
+import { isOverdue, newTodo, nextInstance, templateTodos } from "./lib/todos";
+import { uid } from "./lib/uid";
+import { putSealedSetting, putSetting } from "./lib/db";
+import { ACCENTS, applyTheme, DEFAULT_THEME, MODES } from "./lib/theme";
+import { editNote, newNote, restoreVersion } from "./lib/notes";
+import { usePersistList, usePersistValue } from "./hooks/usePersist";
+import { usePomodoro } from "./hooks/usePomodoro";
+import { useSync } from "./hooks/useSync";
+import { useTabLeader } from "./hooks/useTabLeader";
+import { useTabSync } from "./hooks/useTabSync";
+import { useIdleLock } from "./hooks/useIdleLock";
+import { useShortcuts } from "./hooks/useShortcuts";
+import { useAnnouncer } from "./hooks/useAnnouncer";
+import { useSystemDark } from "./hooks/useSystemDark";
+import { reminderKey, useTodoReminders } from "./hooks/useTodoReminders";
+import { DEFAULT_ALERTS, notify, playChime } from "./lib/notify";
+import { downloadCalendar, downloadExport } from "./lib/download";
+import { broadcast } from "./sync/tabs";
+import { CURRENT_VERSION, entriesSince, isNewer } from "./changelog";
+import { useAppUpdate } from "./hooks/useAppUpdate";
+import ImportButton from "./components/ImportButton";
+import CalendarButtons from "./components/CalendarButtons";
+import Toasts from "./components/Toasts";
+import SyncSettings from "./components/SyncSettings";
+import SecuritySettings from "./components/SecuritySettings";
+import WhatsNew from "./components/WhatsNew";
+import CommandPalette from "./components/CommandPalette";
+import Home from "./pages/Home";
+import Dashboard from "./pages/Dashboard";
+import Insights from "./pages/Insights";
+import NewTask from "./pages/NewTask";
+import Search from "./pages/Search";
+import Share from "./pages/Share";
 
 /*
   DailyFlow - single-file React app (suitable for Vite + Tailwind + vite-plugin-pwa)
   Features:
-   - To-do list (add, complete, delete) with localStorage
-   - Habit tracker (daily toggle, streaks)
-   - Quick notes
-   - Pomodoro timer with presets
-   - Simple settings (dark mode)
+   - To-do list (inline edit, due dates, priorities, #tags, subtasks, sort/filter), persisted in IndexedDB (src/lib/db.js)
+   - Repeating todos (daily, weekdays, every N days, monthly) and checklist templates that add a set of todos at once
+   - Habit tracker (per-day log, daily/weekday/N-per-week schedules, streaks, heatmap)
+   - Notes: several named notes in Markdown (checklists), pinning, per-note version history; search over notes + todos
+   - Pomodoro timer with presets (end-timestamp engine, survives reloads, optional auto-start),
+     editable lengths, and a session log with focus stats
+   - Open windows stay in step over a BroadcastChannel (src/sync/tabs.js); one leader window runs the timer
+   - Optional sync: writes queue in an IndexedDB outbox, the SW replays them via Background Sync (src/sync/);
+     two-way with per-field last-writer-wins and tombstones (docs/sync-protocol.md, scripts/sync-server.js)
+   - Optional passphrase: records and exports sealed with AES-GCM (src/lib/crypto.js), lock screen, auto-lock when idle
+   - Alerts: system notifications (via the SW registration) + chimes for phase ends and todo due times
+   - Appearance: light/dark/system mode and accent colours (Tailwind CSS variables, src/lib/theme.js), theme-color kept in step
    - Install prompt wiring (uses beforeinstallprompt and virtual:pwa-register for SW)
+   - Prompted updates: "new version" toast, reload held off while the timer runs or you type; "What's new" from src/changelog.js
+   - Client-side routes: "/" (everything), "/dashboard" and "/task/new" (manifest shortcuts), "/search", "/insights"
+   - Insights: todos done per day, time to done, habit rates per weekday, focus minutes, over a date range
+   - Keyboard: Ctrl/Cmd+K command palette (fuzzy), global shortcuts, j/k + Space in the todo list
+   - Languages: English, Hindi, Arabic (RTL) from src/i18n/, plural rules, Intl dates and numbers,
+     picker in the header, per-language install manifest
+   - Accessible: labelled controls, focus kept on deletes and in dialogs, a polite live region for changes
+     and the timer, reduced motion respected; axe checks in src/__tests__/
+   - Calendar: .ics export of dated todos + habit schedules, .ics import (RRULE, TZID) into todos (src/lib/ical.js)
+   - Share target + file handler: shared text/links become a todo or go into a note, shared exports import ("/share")
 */
 
-const STORAGE_KEY = "dailyflow_v1";
+// --- Main App ---
+// `initial` comes from IndexedDB (see main.jsx); `storageError` means it couldn't be
+// opened, so we run in memory and never write instead of overwriting what's there.
+// `onLock` swaps the app for the lock screen (main.jsx).
+export default function App({ initial: persisted, storageError, onLock }) {
+  const [theme, setTheme] = useState({ ...DEFAULT_THEME, ...persisted?.theme });
+  const [locale, setLocale] = useState(() => persisted?.locale ?? detectLocale());
+  const [todos, setTodos] = useState(persisted?.todos ?? []);
+  const [habits, setHabits] = useState(persisted?.habits ?? []);
+  const [notes, setNotes] = useState(persisted?.notes ?? []);
+  const [sessions, setSessions] = useState(persisted?.sessions ?? []);
+  const [templates, setTemplates] = useState(persisted?.templates ?? []);
+  const [installPromptEvent, setInstallPromptEvent] = useState(null);
+  const [saveError, setSaveError] = useState(storageError ?? null);
+  const [alerts, setAlerts] = useState({ ...DEFAULT_ALERTS, ...persisted?.alerts });
+  const [toasts, setToasts] = useState([]);
+  const [seenChangelog, setSeenChangelog] = useState(persisted?.seenChangelog);
+  const [encrypted, setEncrypted] = useState(persisted?.encrypted ?? false);
+  const [autoLock, setAutoLock] = useState(persisted?.autoLock ?? 15);
+  // only after an update; a fresh install just records the current version
+  const [whatsNewOpen, setWhatsNewOpen] = useState(
+    () => persisted?.seenChangelog != null && isNewer(CURRENT_VERSION, persisted.seenChangelog)
+  );
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [announcement, announce] = useAnnouncer();
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t } = i18n;
+  const reduceMotion = useReducedMotion();
+  const navigate = useNavigate();
+  const leader = useTabLeader();
+  // every finished or abandoned phase lands in the session log
+  const pomodoro = usePomodoro(
+    persisted?.pomodoro,
+    persisted?.pomodoroTimer,
+    (session) => {
+      setSessions((s) => [...s, { id: uid(), ...session }]);
+      if (!session.completed) return;
+      if (session.mode === "work") alertUser(t("alert.focusDone"), t("alert.focusDoneBody"), "pomodoro");
+      else alertUser(t("alert.breakOver"), t("alert.breakOverBody"), "pomodoro");
+    },
+    { leader }
+  );
+  const { settings } = pomodoro;
 
-// --- Helpers ---
-const saveState = (state) => localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-const loadState = () => {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : null;
-  } catch {
-    return null;
-  }
-};
-const uid = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  const showToast = (text, action) => {
+    const id = uid();
+    setToasts((ts) => [...ts, { id, text, action }]);
+    if (!action) setTimeout(() => setToasts((ts) => ts.filter((t) => t.id !== id)), 6000);
+  };
+  const dismissToast = (id) => setToasts((ts) => ts.filter((t) => t.id !== id));
 
-// --- Pomodoro Hook ---
-function usePomodoro(initial = { work: 25, short: 5, long: 15, cycles: 4 }) {
-  const [settings, setSettings] = useState(initial);
-  const [mode, setMode] = useState("work");
-  const [secondsLeft, setSecondsLeft] = useState(settings.work * 60);
-  const [running, setRunning] = useState(false);
-  const cyclesDoneRef = useRef(0);
+  // system notification when the app isn't focused, toast otherwise (or when not permitted)
+  const alertUser = async (title, body, tag) => {
+    playChime(alerts.sound, alerts.volume);
+    if (document.hasFocus() || !(await notify(title, { body, tag }))) showToast(`${title} — ${body}`);
+  };
 
-  useEffect(() => setSecondsLeft((settings.work || 25) * 60), [settings.work]);
+  useTodoReminders(todos, { enabled: alerts.todoReminders && leader, leadMinutes: alerts.leadMinutes }, (todo) => {
+    alertUser(t(isOverdue(todo) ? "alert.todoOverdue" : "alert.todoDue"), todo.text, `todo-${todo.id}`);
+    // bookkeeping only, so `updated` stays put
+    setTodos((s) => s.map((x) => (x.id === todo.id ? { ...x, reminded: reminderKey(todo) } : x)));
+  });
 
-  useEffect(() => {
-    if (!running) return;
-    const timer = setInterval(() => {
-      setSecondsLeft((s) => {
-        if (s <= 1) {
-          if (mode === "work") {
-            cyclesDoneRef.current += 1;
-            const next = cyclesDoneRef.current % settings.cycles === 0 ? "long" : "short";
-            setMode(next);
-            setSecondsLeft(((next === "long" ? settings.long : settings.short) || 5) * 60);
-          } else {
-            setMode("work");
-            setSecondsLeft((settings.work || 25) * 60);
-          }
-          return 0;
-        }
-        return s - 1;
-      });
-    }, 1000);
-    return () => clearInterval(timer);
-  }, [running, mode, settings]);
+  const sync = useSync(persisted?.sync, { todos, habits, notes, sessions });
+  useAppUpdate(pomodoro.running, showToast, t);
+  useIdleLock(encrypted ? autoLock : 0, onLock, { paused: pomodoro.running });
 
-  return {
-    settings,
-    setSettings,
-    mode,
-    secondsLeft,
-    running,
-    start: () => setRunning(true),
-    pause: () => setRunning(false),
-    reset: () => {
-      setRunning(false);
-      cyclesDoneRef.current = 0;
-      setMode("work");
-      setSecondsLeft((settings.work || 25) * 60);
-    },
-    setPreset: (k) => {
-      setMode(k);
-      setSecondsLeft((settings[k] || settings.work) * 60);
-      setRunning(false);
-    },
+  // every window, so none is left open on the same data
+  const lockAll = () => {
+    broadcast({ type: "lock" });
+    onLock();
   };
-}
 
-// --- Main App ---
-export default function App() {
-  const persisted = loadState();
-  const [dark, setDark] = useState(persisted?.dark ?? false);
-  const [todos, setTodos] = useState(persisted?.todos ?? []);
-  const [habits, setHabits] = useState(persisted?.habits ?? []);
-  const [notes, setNotes] = useState(persisted?.notes ?? "");
-  const [query, setQuery] = useState("");
-  const [installPromptEvent, setInstallPromptEvent] = useState(null);
-  const { settings, mode, secondsLeft, running, start, pause, reset, setPreset } =
-    usePomodoro(persisted?.pomodoro ?? undefined);
+  // other open windows write to the same IndexedDB; keep this one's state in step
+  useTabSync(
+    {
+      todos: [setTodos, { newestFirst: true }],
+      habits: [setHabits],
+      notes: [setNotes, { newestFirst: true }],
+      sessions: [setSessions],
+    },
+    {
+      theme: setTheme,
+      locale: setLocale,
+      templates: setTemplates,
+      alerts: setAlerts,
+      pomodoro: pomodoro.setSettings,
+      pomodoroTimer: pomodoro.adoptTimer,
+      sync: sync.adoptConfig,
+      autoLock: setAutoLock,
+    }
+  );
 
   useEffect(() => {
-    saveState({ dark, todos, habits, notes, pomodoro: settings });
-  }, [dark, todos, habits, notes, settings]);
+    if (!whatsNewOpen) setSeenChangelog(CURRENT_VERSION);
+  }, [whatsNewOpen]);
+
+  const persist = { enabled: !storageError, onError: setSaveError };
+  usePersistList("todos", todos, persist);
+  usePersistList("habits", habits, persist);
+  usePersistList("sessions", sessions, persist);
+  usePersistList("notes", notes, { ...persist, delay: 400 });
+  usePersistValue((v) => putSetting("theme", v), theme, persist);
+  usePersistValue((v) => putSetting("locale", v), locale, persist);
+  usePersistValue((v) => putSealedSetting("templates", v), templates, persist);
+  usePersistValue((v) => putSetting("pomodoro", v), settings, persist);
+  usePersistValue((v) => putSetting("pomodoroTimer", v), pomodoro.timer, persist);
+  usePersistValue((v) => putSetting("alerts", v), alerts, persist);
+  usePersistValue((v) => putSetting("seenChangelog", v), seenChangelog, persist);
+  usePersistValue((v) => putSetting("autoLock", v), autoLock, persist);
 
   useEffect(() => {
     const handler = (e) => {
@@ -106,314 +187,415 @@ export default function App() {
     return () => window.removeEventListener("beforeinstallprompt", handler);
   }, []);
 
-  useEffect(() => {
-    document.documentElement.classList.toggle("dark", dark);
-  }, [dark]);
+  const systemDark = useSystemDark();
+  useEffect(() => applyTheme(theme, systemDark), [theme, systemDark]);
+  const setThemeField = (k, v) => setTheme((x) => ({ ...x, [k]: v }));
+
+  useEffect(() => applyLocale(i18n.locale), [i18n.locale]);
 
-  const addTodo = (text) => {
+  // `fields` are any todo fields, e.g. { due, repeat }; a repeat rule brings its first due date
+  const addTodo = (text, fields) => {
     if (!text?.trim()) return;
-    setTodos((s) => [{ id: uid(), text: text.trim(), done: false, created: Date.now() }, ...s]);
+    setTodos((s) => [newTodo(uid(), text, fields), ...s]);
+    announce(t("todo.added", { text: text.trim() }));
   };
-  const toggleTodo = (id) => setTodos((s) => s.map((t) => (t.id === id ? { ...t, done: !t.done } : t)));
-  const delTodo = (id) => setTodos((s) => s.filter((t) => t.id !== id));
-
-  useEffect(() => {
-    const todayKey = new Date().toISOString().slice(0, 10);
-    setHabits((hs) =>
-      hs.map((h) => ({
-        ...h,
-        toggledToday: h.lastSeen === todayKey ? h.toggledToday : false,
-      }))
+  // todos built elsewhere (calendarTodos), on top in the order given
+  const addTodos = (list) => setTodos((s) => [...list, ...s]);
+  // `patch` is an object or a function of the current todo (used for subtasks)
+  const updateTodo = (id, patch) =>
+    setTodos((s) =>
+      s.map((t) =>
+        t.id === id ? { ...t, ...(typeof patch === "function" ? patch(t) : patch), updated: Date.now() } : t
+      )
     );
-  }, []);
+  // Checking off a repeating todo adds its next copy; reopening it takes that copy
+  // back out again, unless it has been checked or edited since.
+  const toggleTodo = (id) =>
+    setTodos((s) => {
+      const todo = s.find((t) => t.id === id);
+      if (!todo) return s;
+      const now = Date.now();
+      if (todo.done) {
+        const copy = s.find((t) => t.id === todo.nextId);
+        const keep = copy && (copy.done || copy.updated !== copy.created);
+        return s
+          .filter((t) => t.id !== todo.nextId || keep)
+          .map((t) => (t.id === id ? { ...t, done: false, completedAt: null, nextId: null, updated: now } : t));
+      }
+      const next = todo.repeat ? nextInstance(todo, uid()) : null;
+      const done = { ...todo, done: true, completedAt: now, nextId: next?.id ?? null, updated: now };
+      return [...(next ? [next] : []), ...s.map((t) => (t.id === id ? done : t))];
+    });
+  const delTodo = (id) => {
+    const todo = todos.find((t) => t.id === id);
+    setTodos((s) => s.filter((t) => t.id !== id));
+    if (todo) announce(t("todo.deleted", { text: todo.text }));
+  };
 
-  const addHabit = (title) =>
-    title?.trim() &&
-    setHabits((s) => [...s, { id: uid(), title: title.trim(), toggledToday: false, streak: 0, lastSeen: null }]);
+  // --- Checklist templates ---
+  const addTemplate = (name, items) => {
+    if (!name?.trim() || !items.length) return;
+    setTemplates((s) => [...s, { id: uid(), name: name.trim(), items }]);
+  };
+  const deleteTemplate = (id) => setTemplates((s) => s.filter((x) => x.id !== id));
+  // every item becomes a todo, first item on top
+  const applyTemplate = (id) => {
+    const template = templates.find((x) => x.id === id);
+    if (!template) return;
+    setTodos((s) => [...templateTodos(template, uid), ...s]);
+    announce(t("templates.applied", { name: template.name, count: template.items.length }));
+  };
 
-  const toggleHabit = (id) => {
-    const todayKey = new Date().toISOString().slice(0, 10);
-    setHabits((s) =>
-      s.map((h) =>
-        h.id === id
-          ? {
-              ...h,
-              toggledToday: !(h.lastSeen === todayKey && h.toggledToday),
-              streak:
-                !(h.lastSeen === todayKey && h.toggledToday) && h.lastSeen === todayKey
-                  ? h.streak
-                  : !(h.lastSeen === todayKey && h.toggledToday)
-                  ? h.streak + 1
-                  : h.streak,
-              lastSeen: todayKey,
-            }
-          : h
-      )
-    );
+  const addHabit = (title, schedule) => {
+    if (!title?.trim()) return;
+    setHabits((s) => [...s, newHabit(uid(), title.trim(), schedule)]);
+    announce(t("habit.added", { title: title.trim() }));
   };
 
-  const deleteHabit = (id) => setHabits((s) => s.filter((h) => h.id !== id));
-  const saveNotes = (t) => setNotes(t);
+  // `key` defaults to today; the heatmap passes older days to fix missed check-ins
+  const toggleHabit = (id, key) => setHabits((s) => s.map((h) => (h.id === id ? toggleDay(h, key) : h)));
+  const setHabitSchedule = (id, schedule) =>
+    setHabits((s) => s.map((h) => (h.id === id ? { ...h, schedule, updated: Date.now() } : h)));
 
-  const filtered = todos.filter((t) => t.text.toLowerCase().includes(query.toLowerCase()));
-  const formatTime = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+  const deleteHabit = (id) => {
+    const habit = habits.find((h) => h.id === id);
+    setHabits((s) => s.filter((h) => h.id !== id));
+    if (habit) announce(t("habit.deleted", { title: habit.title }));
+  };
 
-  return (
-    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 px-4 sm:px-6 py-6">
-      <div className="max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {/* Header */}
-        <header className="lg:col-span-3 md:col-span-2 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
-          <div>
-            <h1 className="text-xl sm:text-2xl font-extrabold flex flex-wrap items-center gap-2">
-              <motion.span
-                initial={{ rotate: -10, opacity: 0 }}
-                animate={{ rotate: 0, opacity: 1 }}
-                transition={{ duration: 0.6 }}
-                className="bg-clip-text text-transparent bg-gradient-to-r from-indigo-500 to-pink-500"
-              >
-                DailyFlow
-              </motion.span>
-              <span className="text-xs sm:text-sm text-gray-500 dark:text-gray-300">— daily habits & focus</span>
-            </h1>
-            <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400">
-              Lightweight PWA: todo, habits, notes, pomodoro.
-            </p>
-          </div>
-          <div className="flex items-center gap-2 sm:gap-3">
-            <button
-              onClick={() => setDark((d) => !d)}
-              className="p-2 rounded-lg bg-white/60 dark:bg-gray-800/60 backdrop-blur-sm"
-              title="Toggle theme"
-            >
-              {dark ? <SunMedium className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
-            </button>
-            {installPromptEvent && (
-              <button onClick={() => installPromptEvent.prompt()} className="px-3 py-2 text-sm rounded-lg bg-indigo-600 text-white">
-                Install
-              </button>
-            )}
-          </div>
-        </header>
+  // returns the new id so the caller can open it
+  const addNote = (fields) => {
+    const note = newNote(uid(), fields);
+    setNotes((s) => [note, ...s]);
+    return note.id;
+  };
+  const updateNote = (id, patch) =>
+    setNotes((s) => s.map((n) => (n.id === id ? { ...n, ...patch, updated: Date.now() } : n)));
+  // text edits go through editNote() so they land in the note's history
+  const setNoteText = (id, text) => setNotes((s) => s.map((n) => (n.id === id ? editNote(n, text) : n)));
+  const restoreNote = (id, at) => setNotes((s) => s.map((n) => (n.id === id ? restoreVersion(n, at) : n)));
+  const deleteNote = (id) => {
+    setNotes((s) => s.filter((n) => n.id !== id));
+    announce(t("note.deleted"));
+  };
+  const importData = (next) => {
+    setTodos(next.todos);
+    setHabits(next.habits);
+    setNotes(next.notes);
+  };
 
-        {/* Todos */}
-        <section className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
-          <h2 className="font-semibold text-lg">Todos</h2>
-          <div className="mt-3 flex gap-2">
-            <input
-              type="text"
-              className="flex-1 p-2 text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
-              placeholder="Add a todo and press Enter"
-              onKeyDown={(e) => {
-                if (e.key === "Enter") {
-                  addTodo(e.target.value);
-                  e.target.value = "";
-                }
-              }}
-            />
-            <button
-              className="p-2 rounded-lg bg-indigo-600 text-white"
-              onClick={() => {
-                const el = document.querySelector("input[placeholder='Add a todo and press Enter']");
-                if (el?.value.trim()) {
-                  addTodo(el.value);
-                  el.value = "";
-                }
-              }}
-            >
-              <Plus className="w-4 h-4" />
-            </button>
-          </div>
-          <div className="mt-4 space-y-3 max-h-64 sm:max-h-80 overflow-auto pr-2">
-            {filtered.length === 0 ? (
-              <p className="text-sm text-gray-500">No todos yet.</p>
-            ) : (
-              filtered.map((t) => (
-                <div
-                  key={t.id}
-                  className="flex items-center justify-between bg-gray-50 dark:bg-gray-700/40 p-2 rounded-lg text-sm"
+  const store = {
+    todos,
+    habits,
+    notes,
+    sessions,
+    alerts,
+    setAlerts,
+    showToast,
+    announce,
+    addTodo,
+    addTodos,
+    updateTodo,
+    toggleTodo,
+    delTodo,
+    templates,
+    addTemplate,
+    deleteTemplate,
+    applyTemplate,
+    addHabit,
+    toggleHabit,
+    setHabitSchedule,
+    deleteHabit,
+    addNote,
+    updateNote,
+    setNoteText,
+    restoreNote,
+    deleteNote,
+    importData,
+    pomodoro,
+  };
+
+  // --- Command palette and global shortcuts (Home adds n/h/j/k/Space for its lists) ---
+  const commands = [
+    {
+      id: "add-todo",
+      group: t("command.todo"),
+      withText: true,
+      title: (text) => t("command.add", { text }),
+      run: (text) => addTodo(text),
+    },
+    {
+      id: "add-habit",
+      group: t("command.habit"),
+      withText: true,
+      title: (text) => t("command.add", { text }),
+      run: (text) => addHabit(text),
+    },
+    ...[
+      ["/", "nav.home"],
+      ["/dashboard", "nav.dashboard"],
+      ["/insights", "nav.insights"],
+      ["/search", "nav.search", "/"],
+      ["/task/new", "nav.newTask"],
+    ].map(([path, title, keys]) => ({
+      id: `go${path.replaceAll("/", "-")}`,
+      group: t("command.goTo"),
+      title: t(title),
+      keys,
+      run: () => navigate(path),
+    })),
+    {
+      id: "pomodoro-toggle",
+      group: t("pomodoro.title"),
+      title: t(pomodoro.running ? "pomodoro.pause" : "pomodoro.start"),
+      keys: "p",
+      run: pomodoro.running ? pomodoro.pause : pomodoro.start,
+    },
+    { id: "pomodoro-reset", group: t("pomodoro.title"), title: t("pomodoro.reset"), run: pomodoro.reset },
+    ...["work", "short", "long"].map((preset) => ({
+      id: `preset-${preset}`,
+      group: t("pomodoro.title"),
+      title: t(`preset.${preset}`),
+      run: () => pomodoro.setPreset(preset),
+    })),
+    ...templates.map((x) => ({
+      id: `template-${x.id}`,
+      group: t("command.todo"),
+      title: t("templates.apply", { name: x.name }),
+      run: () => applyTemplate(x.id),
+    })),
+    ...habits.map((h) => ({
+      id: `habit-${h.id}`,
+      group: t("command.habit"),
+      title: t(isDone(h) ? "command.uncheck" : "command.check", { title: h.title }),
+      run: () => toggleHabit(h.id),
+    })),
+    ...MODES.filter((mode) => mode !== theme.mode).map((mode) => ({
+      id: `theme-${mode}`,
+      group: t("command.settings"),
+      title: t(`command.${mode}Theme`),
+      run: () => setThemeField("mode", mode),
+    })),
+    ...Object.keys(ACCENTS)
+      .filter((accent) => accent !== theme.accent)
+      .map((accent) => ({
+        id: `accent-${accent}`,
+        group: t("command.settings"),
+        title: `${t("theme.accent")}: ${t(`accent.${accent}`)}`,
+        run: () => setThemeField("accent", accent),
+      })),
+    ...Object.entries(LOCALES)
+      .filter(([code]) => code !== i18n.locale)
+      .map(([code, { name }]) => ({
+        id: `locale-${code}`,
+        group: t("command.settings"),
+        title: `${t("settings.language")}: ${name}`,
+        run: () => setLocale(code),
+      })),
+    {
+      id: "export",
+      group: t("command.data"),
+      title: t("command.exportJson"),
+      run: () => downloadExport({ todos, habits, notes }),
+    },
+    {
+      id: "export-ics",
+      group: t("command.data"),
+      title: t("command.exportIcs"),
+      run: () => downloadCalendar({ todos, habits }, t),
+    },
+    ...(encrypted ? [{ id: "lock", group: t("command.security"), title: t("security.lockNow"), run: lockAll }] : []),
+    { id: "whats-new", group: t("command.help"), title: t("whatsNew.title"), run: () => setWhatsNewOpen(true) },
+  ];
+  useShortcuts({
+    "mod+k": () => setPaletteOpen((open) => !open),
+    "?": () => setPaletteOpen(true),
+    "/": () => navigate("/search"),
+    p: pomodoro.running ? pomodoro.pause : pomodoro.start,
+  });
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <StoreContext.Provider value={store}>
+        <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 px-4 sm:px-6 py-6">
+          <div className="max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {/* Header */}
+            <header className="lg:col-span-3 md:col-span-2 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+              <div>
+                <h1 className="text-xl sm:text-2xl font-extrabold flex flex-wrap items-center gap-2">
+                  <motion.span
+                    initial={reduceMotion ? false : { rotate: -10, opacity: 0 }}
+                    animate={{ rotate: 0, opacity: 1 }}
+                    transition={{ duration: 0.6 }}
+                    className="bg-clip-text text-transparent bg-gradient-to-r from-accent-500 to-pink-500"
+                  >
+                    DailyFlow
+                  </motion.span>
+                  <span className="text-xs sm:text-sm text-gray-500 dark:text-gray-300">— {t("app.tagline")}</span>
+                </h1>
+                <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400">{t("app.description")}</p>
+              </div>
+              <div className="flex items-center gap-2 sm:gap-3">
+                <select
+                  value={i18n.locale}
+                  onChange={(e) => setLocale(e.target.value)}
+                  className="p-2 rounded-lg bg-white/60 dark:bg-gray-800/60 text-sm"
+                  aria-label={t("settings.language")}
                 >
-                  <div className="flex items-center gap-2 sm:gap-3">
-                    <button onClick={() => toggleTodo(t.id)}>
-                      <CheckCircle className={`w-5 h-5 ${t.done ? "text-green-500" : "text-gray-400"}`} />
-                    </button>
-                    <div>
-                      <div className={`${t.done ? "line-through text-gray-400" : ""}`}>{t.text}</div>
-                      <div className="text-xs text-gray-500">{new Date(t.created).toLocaleString()}</div>
-                    </div>
-                  </div>
-                  <button onClick={() => delTodo(t.id)} className="p-1 rounded-md hover:bg-red-50">
-                    <Trash className="w-4 h-4" />
+                  {Object.entries(LOCALES).map(([code, { name }]) => (
+                    <option key={code} value={code} lang={code}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+                {/* cycles system -> light -> dark; the icon shows the current mode */}
+                <button
+                  onClick={() => setThemeField("mode", MODES[(MODES.indexOf(theme.mode) + 1) % MODES.length])}
+                  className="p-2 rounded-lg bg-white/60 dark:bg-gray-800/60 backdrop-blur-sm"
+                  title={t("settings.toggleTheme")}
+                  aria-label={t("theme.mode", { mode: t(`theme.${theme.mode}`) })}
+                >
+                  {theme.mode === "system" && <Monitor className="w-5 h-5" />}
+                  {theme.mode === "light" && <SunMedium className="w-5 h-5" />}
+                  {theme.mode === "dark" && <Moon className="w-5 h-5" />}
+                </button>
+                {installPromptEvent && (
+                  <button
+                    onClick={() => installPromptEvent.prompt()}
+                    className="px-3 py-2 text-sm rounded-lg bg-accent-600 text-white"
+                  >
+                    {t("app.install")}
                   </button>
-                </div>
-              ))
+                )}
+              </div>
+            </header>
+
+            {saveError && (
+              <div className="lg:col-span-3 md:col-span-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+                {t("app.storageProblem", { error: saveError.message || String(saveError) })}
+              </div>
             )}
-          </div>
-          <div className="mt-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-xs sm:text-sm text-gray-500">
-            <span>{todos.filter((t) => !t.done).length} remaining</span>
-            <input
-              placeholder="Search todos..."
-              className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-            />
-          </div>
-        </section>
 
-        {/* Habits & Notes */}
-        <section className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
-          <h2 className="font-semibold text-lg">Habits</h2>
-          <div className="mt-3 space-y-3">
-            <AddHabit onAdd={addHabit} />
-            <div className="grid gap-2">
-              {habits.length === 0 ? (
-                <p className="text-sm text-gray-500">No habits yet.</p>
-              ) : (
-                habits.map((h) => (
-                  <div
-                    key={h.id}
-                    className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-700/40 rounded-lg text-sm"
-                  >
-                    <div className="flex items-center gap-2 sm:gap-3">
-                      <button
-                        onClick={() => toggleHabit(h.id)}
-                        className={`p-2 rounded-full ${h.toggledToday ? "bg-green-100" : "bg-gray-100 dark:bg-gray-600"}`}
-                      >
-                        <CheckCircle
-                          className={`w-5 h-5 ${h.toggledToday ? "text-green-600" : "text-gray-400"}`}
-                        />
-                      </button>
-                      <div>
-                        <div>{h.title}</div>
-                        <div className="text-xs text-gray-500">Streak: {h.streak || 0}</div>
-                      </div>
-                    </div>
-                    <button onClick={() => deleteHabit(h.id)} className="p-1 rounded-md hover:bg-red-50">
-                      <Trash className="w-4 h-4" />
-                    </button>
-                  </div>
-                ))
-              )}
-            </div>
-          </div>
-          <hr className="my-4 border-gray-200 dark:border-gray-700" />
-          <h3 className="font-semibold mb-2">Quick Notes</h3>
-          <textarea
-            className="w-full min-h-[100px] sm:min-h-[120px] p-2 rounded-lg text-sm bg-gray-50 dark:bg-gray-700/40"
-            placeholder="Write notes..."
-            value={notes}
-            onChange={(e) => saveNotes(e.target.value)}
-          />
-        </section>
+            <nav aria-label={t("nav.main")} className="lg:col-span-3 md:col-span-2 flex flex-wrap gap-2 text-sm">
+              {[
+                ["/", t("nav.home")],
+                ["/dashboard", t("nav.dashboard")],
+                ["/insights", t("nav.insights")],
+                ["/task/new", t("nav.newTask")],
+                ["/search", t("nav.search")],
+              ].map(([to, label]) => (
+                <NavLink
+                  key={to}
+                  to={to}
+                  end
+                  className={({ isActive }) =>
+                    `px-3 py-1.5 rounded-lg ${isActive ? "bg-accent-600 text-white" : "bg-white/60 dark:bg-gray-800/60"}`
+                  }
+                >
+                  {label}
+                </NavLink>
+              ))}
+            </nav>
 
-        {/* Pomodoro */}
-        <aside className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
-          <div className="flex items-center justify-between">
-            <h2 className="font-semibold text-lg">Pomodoro</h2>
-            <Clock className="w-5 h-5 text-gray-500" />
-          </div>
-          <div className="mt-4 text-center">
-            <div className="text-3xl sm:text-4xl font-bold">{formatTime(secondsLeft)}</div>
-            <div className="text-xs sm:text-sm text-gray-500 mt-1">Mode: {mode}</div>
-            <div className="mt-4 flex gap-2 justify-center">
-              {!running ? (
-                <button onClick={start} className="px-3 py-1.5 sm:py-2 rounded-lg bg-green-600 text-white text-sm">
-                  Start
+            {/* `contents` keeps the pages' cards in the grid */}
+            <main className="contents">
+              <Routes>
+                <Route path="/" element={<Home />} />
+                <Route path="/dashboard" element={<Dashboard />} />
+                <Route path="/insights" element={<Insights />} />
+                <Route path="/task/new" element={<NewTask />} />
+                <Route path="/search" element={<Search />} />
+                <Route path="/share" element={<Share />} />
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+            </main>
+
+            {/* Footer */}
+            <footer className="lg:col-span-3 md:col-span-2 flex flex-col sm:flex-row sm:flex-wrap items-center justify-between gap-3 p-4 bg-white/50 dark:bg-gray-800/50 rounded-2xl text-xs sm:text-sm">
+              <span className="text-gray-600">{t("app.footer")}</span>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => {
+                    if (confirm(t("app.clearConfirm"))) {
+                      setTodos([]);
+                      setHabits([]);
+                      setNotes([]);
+                      setSessions([]);
+                      setTemplates([]);
+                    }
+                  }}
+                  className="px-3 py-1.5 rounded bg-red-50 text-red-600"
+                >
+                  {t("app.clearData")}
                 </button>
-              ) : (
-                <button onClick={pause} className="px-3 py-1.5 sm:py-2 rounded-lg bg-yellow-500 text-white text-sm">
-                  Pause
+                <ImportButton current={{ todos, habits, notes }} onImport={importData} />
+                <ExportButton todos={todos} habits={habits} notes={notes} />
+                <CalendarButtons />
+                <button
+                  onClick={() => setWhatsNewOpen(true)}
+                  className="px-3 py-1.5 rounded bg-white/60 dark:bg-gray-800/60"
+                >
+                  {t("whatsNew.title")}
                 </button>
+              </div>
+              <div role="group" aria-label={t("theme.accent")} className="w-full flex flex-wrap items-center gap-2">
+                <span className="text-gray-600">{t("theme.accent")}</span>
+                {Object.entries(ACCENTS).map(([accent, color]) => (
+                  <button
+                    key={accent}
+                    onClick={() => setThemeField("accent", accent)}
+                    aria-pressed={theme.accent === accent}
+                    aria-label={t(`accent.${accent}`)}
+                    title={t(`accent.${accent}`)}
+                    className="w-6 h-6 rounded-full ring-offset-2 ring-offset-white dark:ring-offset-gray-800 aria-pressed:ring-2 aria-pressed:ring-gray-400"
+                    style={{ backgroundColor: color }}
+                  />
+                ))}
+              </div>
+              <details className="w-full">
+                <summary className="cursor-pointer text-gray-600">{t("sync.title")}</summary>
+                <SyncSettings sync={sync} />
+              </details>
+              {!storageError && (
+                <details className="w-full">
+                  <summary className="cursor-pointer text-gray-600">{t("security.title")}</summary>
+                  <SecuritySettings
+                    encrypted={encrypted}
+                    onEncryptedChange={setEncrypted}
+                    autoLock={autoLock}
+                    onAutoLockChange={setAutoLock}
+                    onLockNow={lockAll}
+                  />
+                </details>
               )}
-              <button
-                onClick={reset}
-                className="px-3 py-1.5 sm:py-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-sm"
-              >
-                Reset
-              </button>
-            </div>
-            <div className="mt-3 grid grid-cols-3 gap-2 text-sm">
-              <button onClick={() => setPreset("work")} className="py-1 rounded bg-indigo-600 text-white">
-                Work
-              </button>
-              <button onClick={() => setPreset("short")} className="py-1 rounded bg-indigo-500 text-white">
-                Short
-              </button>
-              <button onClick={() => setPreset("long")} className="py-1 rounded bg-indigo-400 text-white">
-                Long
-              </button>
-            </div>
-          </div>
-        </aside>
-
-        {/* Footer */}
-        <div className="lg:col-span-3 md:col-span-2 flex flex-col sm:flex-row items-center justify-between gap-3 p-4 bg-white/50 dark:bg-gray-800/50 rounded-2xl text-xs sm:text-sm">
-          <span className="text-gray-600">Offline-ready PWA — install for daily use.</span>
-          <div className="flex flex-wrap gap-2">
-            <button
-              onClick={() => {
-                if (confirm("Clear all data?")) {
-                  setTodos([]);
-                  setHabits([]);
-                  setNotes("");
-                  localStorage.removeItem(STORAGE_KEY);
-                }
-              }}
-              className="px-3 py-1.5 rounded bg-red-50 text-red-600"
-            >
-              Clear Data
-            </button>
-            <ExportButton todos={todos} habits={habits} notes={notes} />
+            </footer>
           </div>
         </div>
-      </div>
-    </div>
+        <div role="status" className="sr-only">
+          {announcement}
+        </div>
+        <Toasts toasts={toasts} onDismiss={dismissToast} />
+        {paletteOpen && <CommandPalette commands={commands} onClose={() => setPaletteOpen(false)} />}
+        {whatsNewOpen && (
+          <WhatsNew
+            entries={entriesSince(seenChangelog === CURRENT_VERSION ? null : seenChangelog)}
+            onClose={() => setWhatsNewOpen(false)}
+          />
+        )}
+      </StoreContext.Provider>
+    </I18nContext.Provider>
   );
 }
 
 // --- Subcomponents ---
-function AddHabit({ onAdd }) {
-  return (
-    <div className="flex gap-2">
-      <input
-        placeholder="Add habit..."
-        className="flex-1 p-2 text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
-        onKeyDown={(e) => {
-          if (e.key === "Enter") {
-            onAdd(e.target.value);
-            e.target.value = "";
-          }
-        }}
-      />
-      <button
-        onClick={() => {
-          const el = document.querySelector("input[placeholder='Add habit...']");
-          if (el?.value.trim()) {
-            onAdd(el.value);
-            el.value = "";
-          }
-        }}
-        className="px-3 py-2 rounded bg-indigo-600 text-white text-sm"
-      >
-        Add
-      </button>
-    </div>
-  );
-}
-
 function ExportButton({ todos, habits, notes }) {
-  const exportJSON = () => {
-    const data = { todos, habits, notes, exportedAt: new Date().toISOString() };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `dailyflow-export-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+  const { t } = useI18n();
   return (
-    <button onClick={exportJSON} className="px-3 py-1.5 rounded bg-indigo-600 text-white text-sm">
-      Export
+    <button
+      onClick={() => downloadExport({ todos, habits, notes })}
+      className="px-3 py-1.5 rounded bg-accent-600 text-white text-sm"
+    >
+      {t("common.export")}
     </button>
   );
 }
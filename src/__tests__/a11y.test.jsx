@@ -0,0 +1,164 @@
+import React from "react";
+import { afterEach, describe, expect, it } from "vitest";
+import { act, cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router";
+import axe from "axe-core";
+import App from "../App";
+import LockScreen from "../components/LockScreen";
+import { dateKey } from "../lib/dates";
+import { newHabit } from "../lib/habits";
+import { newNote } from "../lib/notes";
+import { newTodo } from "../lib/todos";
+
+// --- Accessibility: axe-core over each screen, plus focus and announcements ---
+// Colour contrast needs real layout, which jsdom doesn't do; everything else runs.
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+
+async function violations(node = document.body) {
+  const { violations } = await axe.run(node, AXE_OPTIONS);
+  return violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+const today = dateKey();
+const initial = () => ({
+  todos: [
+    newTodo("t1", "Write report #work", { due: today, dueTime: "17:00", priority: 2 }),
+    {
+      ...newTodo("t2", "Buy milk"),
+      subtasks: [{ id: "s1", text: "Oat milk", done: false }],
+    },
+    newTodo("t3", "Call the bank", { done: true }),
+    newTodo("t4", "Pay rent", { repeat: { type: "monthly", day: 1 } }),
+  ],
+  habits: [newHabit("h1", "Read", { type: "days", days: [0, 2, 4] }), newHabit("h2", "Walk")],
+  notes: [newNote("n1", { title: "Ideas", text: "# Plans\n\n- [ ] first\n- [x] second\n\n> quoted" })],
+  sessions: [
+    {
+      id: "p1",
+      mode: "work",
+      start: Date.now() - 30 * 60 * 1000,
+      end: Date.now() - 5 * 60 * 1000,
+      duration: 1500,
+      focused: 1500,
+      completed: true,
+      todoId: "t1",
+    },
+  ],
+  seenChangelog: "0.0.0",
+});
+
+const renderApp = (path = "/", data = initial()) =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <App initial={data} onLock={() => {}} />
+    </MemoryRouter>
+  );
+
+afterEach(cleanup);
+
+describe("axe", () => {
+  it("finds nothing on Home, with the What's new dialog open", async () => {
+    renderApp();
+    expect(screen.getByRole("dialog", { name: "What's new" })).toBeTruthy();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds nothing on Home with details, schedules and settings open", async () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    fireEvent.click(screen.getByRole("button", { name: "Details: Buy milk" }));
+    fireEvent.click(screen.getByRole("button", { name: /^Read/ }));
+    fireEvent.click(screen.getByRole("button", { name: "Timer settings" }));
+    fireEvent.click(screen.getByRole("button", { name: "Version history" }));
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds nothing with a repeating todo's details and the templates open", async () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    fireEvent.click(screen.getByRole("button", { name: "Details: Pay rent" }));
+    fireEvent.click(screen.getByRole("button", { name: "Checklist templates" }));
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds nothing with no data at all", async () => {
+    renderApp("/", {});
+    expect(await violations()).toEqual([]);
+  });
+
+  it.each(["/dashboard", "/insights", "/task/new", "/search?q=milk", "/share"])("finds nothing on %s", async (path) => {
+    renderApp(path, { ...initial(), seenChangelog: undefined });
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds nothing in the command palette", async () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    fireEvent.keyDown(window, { key: "k", ctrlKey: true });
+    const input = screen.getByRole("combobox", { name: "Command" });
+    expect(await violations()).toEqual([]);
+    fireEvent.change(input, { target: { value: "zzzzqq" } });
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds nothing in Arabic, right to left", async () => {
+    renderApp("/", { ...initial(), locale: "ar", seenChangelog: undefined });
+    expect(document.documentElement.lang).toBe("ar");
+    expect(document.documentElement.dir).toBe("rtl");
+    expect(screen.getByRole("list", { name: "المهام" })).toBeTruthy();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds nothing on the lock screen", async () => {
+    render(<LockScreen onUnlock={() => {}} />);
+    expect(await violations()).toEqual([]);
+  });
+});
+
+describe("focus and announcements", () => {
+  const status = () => document.querySelector('.sr-only[role="status"]');
+
+  it("moves focus to the next row when a todo is deleted, and says so", async () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    const button = screen.getByRole("button", { name: "Delete: Write report" });
+    button.focus();
+    fireEvent.click(button);
+    expect(document.activeElement).toBe(screen.getByRole("button", { name: "Delete: Buy milk" }));
+    await waitFor(() => expect(status().textContent).toBe("Todo deleted: Write report"));
+  });
+
+  it("focuses the empty list after the last habit goes", () => {
+    renderApp("/", { ...initial(), habits: [newHabit("h1", "Read")], seenChangelog: undefined });
+    fireEvent.click(screen.getByRole("button", { name: "Delete: Read" }));
+    expect(document.activeElement).toBe(screen.getByRole("list", { name: "Habits" }));
+  });
+
+  it("keeps focus in the todo input after adding", async () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    const input = screen.getByRole("textbox", { name: "New todo" });
+    fireEvent.change(input, { target: { value: "Water plants" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add todo" }));
+    expect(document.activeElement).toBe(input);
+    expect(screen.getByRole("button", { name: "Done: Water plants" })).toBeTruthy();
+    await waitFor(() => expect(status().textContent).toBe("Todo added: Water plants"));
+  });
+
+  it("hands focus back when a dialog closes", async () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    const opener = screen.getByRole("button", { name: "What's new" });
+    opener.focus();
+    fireEvent.click(opener);
+    const dialog = screen.getByRole("dialog", { name: "What's new" });
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    fireEvent.keyDown(document.activeElement, { key: "Escape" });
+    expect(screen.queryByRole("dialog")).toBeNull();
+    await act(() => Promise.resolve());
+    expect(document.activeElement).toBe(opener);
+  });
+
+  it("reads out the timer state", () => {
+    renderApp("/", { ...initial(), seenChangelog: undefined });
+    const live = screen.getByRole("timer").nextElementSibling;
+    expect(live.getAttribute("aria-live")).toBe("polite");
+    expect(live.textContent).toBe("Focus ready, 25 minutes");
+    fireEvent.click(screen.getByRole("button", { name: "Start" }));
+    expect(live.textContent).toBe("Focus: 25 minutes left");
+  });
+});
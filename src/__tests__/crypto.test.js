@@ -0,0 +1,85 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  createConfig,
+  forget,
+  isSealed,
+  openSealed,
+  openWithPassphrase,
+  PassphraseError,
+  sealer,
+  unlock,
+} from "../lib/crypto";
+import { getSetting, loadAll, putSealedSetting, setEncryption, unsealRecord } from "../lib/db";
+import { REV } from "../sync/merge";
+
+// --- Encryption: sealing values with a passphrase and opening them again ---
+afterEach(forget);
+
+describe("seal and open", () => {
+  it("round-trips a value through a sealed string", async () => {
+    await createConfig("correct horse");
+    const sealed = await sealer()({ text: "secret", tags: ["a"] });
+    expect(isSealed(sealed)).toBe(true);
+    expect(sealed).not.toContain("secret");
+    expect(await openSealed(sealed)).toEqual({ text: "secret", tags: ["a"] });
+  });
+
+  it("has no sealer and opens nothing while locked", async () => {
+    await createConfig("correct horse");
+    forget();
+    expect(sealer()).toBeNull();
+    expect(() => openSealed("dfenc1:a:b:c")).toThrow(PassphraseError);
+  });
+
+  it("unlocks with the right passphrase only", async () => {
+    const config = await createConfig("correct horse");
+    const sealed = await sealer()("note");
+    forget();
+    await expect(unlock("wrong", config)).rejects.toThrow(PassphraseError);
+    await unlock("correct horse", config);
+    expect(await openSealed(sealed)).toBe("note");
+  });
+
+  it("opens a one-off blob with its passphrase, without a session", async () => {
+    await createConfig("export pass");
+    const sealed = await sealer()([1, 2]);
+    forget();
+    expect(await openWithPassphrase(sealed, "export pass")).toEqual([1, 2]);
+    await expect(openWithPassphrase(sealed, "nope")).rejects.toThrow(PassphraseError);
+  });
+});
+
+describe("unsealRecord", () => {
+  it("passes plain records through", async () => {
+    const rec = { id: "t", text: "a" };
+    expect(await unsealRecord(rec)).toBe(rec);
+  });
+
+  it("opens the sealed fields, and keeps plain fields written after sealing", async () => {
+    await createConfig("correct horse");
+    const sealed = await sealer()({ id: "t", text: "old", done: false, [REV]: { text: "s1", done: "s1" } });
+    const record = { id: "t", text: null, done: true, sealed, [REV]: { text: "s2", done: "s3", sealed: "s2" } };
+    expect(await unsealRecord(record)).toEqual({
+      id: "t",
+      text: "old",
+      done: true,
+      [REV]: { text: "s1", done: "s3" },
+    });
+  });
+});
+
+describe("sealed settings", () => {
+  const templates = [{ id: "t", name: "Release day", items: ["Tag #work"] }];
+
+  it("seals templates while a passphrase is set, and opens them on load", async () => {
+    await putSealedSetting("templates", templates);
+    expect(await getSetting("templates")).toEqual(templates);
+    await setEncryption("correct horse");
+    expect(isSealed((await getSetting("templates")).sealed)).toBe(true);
+    await putSealedSetting("templates", [...templates, { id: "u", name: "Trip", items: ["Pack"] }]);
+    expect(JSON.stringify(await getSetting("templates"))).not.toContain("Trip");
+    expect((await loadAll()).templates.map((x) => x.name)).toEqual(["Release day", "Trip"]);
+    await setEncryption(null);
+    expect((await getSetting("templates")).map((x) => x.name)).toEqual(["Release day", "Trip"]);
+  });
+});
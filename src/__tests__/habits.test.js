@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { isScheduled, newHabit, streaks, toggleDay, upgradeHabit } from "../lib/habits";
+import { addDays, parseKey } from "../lib/dates";
+
+// --- Habits: schedules, the per-day log and streaks ---
+// 2026-10-19 is a Monday.
+const TODAY = "2026-10-19";
+const habit = (schedule, days, created = "2026-10-01") => ({
+  ...newHabit("h", "Read", schedule),
+  created: parseKey(created).getTime(),
+  log: Object.fromEntries(days.map((key) => [key, true])),
+});
+// `n` days back from TODAY, oldest first
+const lastDays = (n, end = TODAY) => Array.from({ length: n }, (_, i) => addDays(end, i - n + 1));
+
+describe("schedules", () => {
+  it("only counts the chosen weekdays for a days schedule", () => {
+    const h = habit({ type: "days", days: [0, 2, 4] }, []);
+    expect(["2026-10-19", "2026-10-20", "2026-10-21"].map((key) => isScheduled(h, key))).toEqual([true, false, true]);
+  });
+
+  it("toggles a day in and out of the log", () => {
+    const h = toggleDay(habit(undefined, []), "2026-10-18");
+    expect(h.log).toEqual({ "2026-10-18": true });
+    expect(toggleDay(h, "2026-10-18").log).toEqual({});
+  });
+
+  it("keeps the last day an old habit was checked", () => {
+    expect(upgradeHabit({ id: "h", streak: 4, lastSeen: "2026-10-18", toggledToday: true })).toEqual({
+      id: "h",
+      schedule: { type: "daily" },
+      log: { "2026-10-18": true },
+    });
+  });
+});
+
+describe("streaks", () => {
+  it("doesn't break a daily streak on an unfinished today", () => {
+    expect(streaks(habit(undefined, lastDays(3, "2026-10-18")), TODAY)).toMatchObject({ current: 3, unit: "day" });
+  });
+
+  it("restarts after a missed day and remembers the longest run", () => {
+    const days = [...lastDays(4, "2026-10-10"), ...lastDays(2)];
+    expect(streaks(habit(undefined, days), TODAY)).toMatchObject({ current: 2, longest: 4 });
+  });
+
+  it("skips unscheduled days", () => {
+    // Mon/Wed/Fri, done on each of them for two weeks
+    const days = ["2026-10-05", "2026-10-07", "2026-10-09", "2026-10-12", "2026-10-14", "2026-10-16"];
+    expect(streaks(habit({ type: "days", days: [0, 2, 4] }, days), TODAY).current).toBe(6);
+  });
+
+  it("counts weeks for an N-times-a-week habit, the current week pending", () => {
+    const days = ["2026-10-05", "2026-10-06", "2026-10-12", "2026-10-14", "2026-10-19"];
+    expect(streaks(habit({ type: "weekly", times: 2 }, days, "2026-10-05"), TODAY)).toEqual({
+      current: 2,
+      longest: 2,
+      unit: "week",
+    });
+  });
+
+  it("counts from a log entry older than the habit (an import)", () => {
+    const h = habit(undefined, ["2026-09-01"], "2026-10-18");
+    expect(streaks(h, TODAY)).toMatchObject({ current: 0, longest: 1 });
+  });
+});
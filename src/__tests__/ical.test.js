@@ -0,0 +1,151 @@
+import { describe, expect, it } from "vitest";
+import { buildCalendar, CalendarError, parseCalendar } from "../lib/ical";
+import { calendarTodos } from "../lib/todos";
+
+// --- Calendar import: events, time zones and recurrence ---
+const FROM = new Date(2026, 9, 19, 12).getTime(); // Monday 19 October 2026, local noon
+const calendar = (...events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    ...events.flatMap((e) => ["BEGIN:VEVENT", ...e, "END:VEVENT"]),
+    "END:VCALENDAR",
+  ].join("\r\n");
+const parse = (text, days = 30) => parseCalendar(text, { from: FROM, days });
+const dues = (text, days) => parse(text, days).items.map((i) => i.due);
+// due and dueTime are this device's wall clock; back to an instant for checks that mustn't depend on its zone
+const instantOf = (i) => new Date(`${i.due}T${i.dueTime}`).toISOString();
+
+describe("parseCalendar", () => {
+  it("rejects a file that isn't a calendar", () => {
+    expect(() => parse("hello")).toThrow(CalendarError);
+    expect(() => parse("hello")).toThrow(expect.objectContaining({ code: "calendar.notCalendar" }));
+  });
+
+  it("reads one-off all-day and timed events", () => {
+    const { items } = parse(
+      calendar(
+        ["UID:a", "DTSTART;VALUE=DATE:20261101", "SUMMARY:Dentist\\, again", "CATEGORIES:Health,Family Stuff"],
+        ["UID:b", "DTSTART:20261102T150000Z", "SUMMARY:Call", "STATUS:CANCELLED"],
+        ["UID:c", "DTSTART:20261102T150000Z", "SUMMARY:Standup"]
+      )
+    );
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ id: "a", text: "Dentist, again", due: "2026-11-01", dueTime: null });
+    expect(items[0].tags).toEqual(["health", "family-stuff"]);
+    expect(instantOf(items[1])).toBe("2026-11-02T15:00:00.000Z");
+  });
+
+  it("names an item without a SUMMARY with the title it's given", () => {
+    const text = calendar(["UID:n", "DTSTART;VALUE=DATE:20261020"]);
+    expect(parse(text).items[0].text).toBe("(untitled)");
+    expect(parseCalendar(text, { from: FROM, untitled: "(sin título)" }).items[0].text).toBe("(sin título)");
+  });
+
+  it("keeps a zoned series at its wall-clock time across a DST change", () => {
+    const { items } = parse(
+      calendar(["UID:w", "DTSTART;TZID=America/New_York:20261019T090000", "RRULE:FREQ=WEEKLY", "SUMMARY:Weekly"]),
+      21
+    );
+    expect(items.map(instantOf)).toEqual([
+      "2026-10-19T13:00:00.000Z",
+      "2026-10-26T13:00:00.000Z",
+      "2026-11-02T14:00:00.000Z",
+      "2026-11-09T14:00:00.000Z",
+    ]);
+    expect(items[0].id).toBe("w/2026-10-19");
+  });
+
+  it("stops at UNTIL, and counts COUNT from DTSTART", () => {
+    const until = calendar(["UID:u", "DTSTART;VALUE=DATE:20261019", "RRULE:FREQ=DAILY;UNTIL=20261021"]);
+    expect(dues(until)).toEqual(["2026-10-19", "2026-10-20", "2026-10-21"]);
+    const count = calendar(["UID:c", "DTSTART;VALUE=DATE:20261015", "RRULE:FREQ=DAILY;COUNT=6"]);
+    expect(dues(count)).toEqual(["2026-10-19", "2026-10-20"]);
+  });
+
+  it("leaves out EXDATEs and puts moved occurrences (RECURRENCE-ID) in their own place", () => {
+    const { items } = parse(
+      calendar(
+        [
+          "UID:s",
+          "DTSTART;VALUE=DATE:20261019",
+          "RRULE:FREQ=DAILY;COUNT=4",
+          "EXDATE;VALUE=DATE:20261020",
+          "SUMMARY:Run",
+        ],
+        ["UID:s", "RECURRENCE-ID;VALUE=DATE:20261021", "DTSTART;VALUE=DATE:20261025", "SUMMARY:Long run"]
+      )
+    );
+    expect(items.map((i) => [i.id, i.due, i.text])).toEqual([
+      ["s/2026-10-19", "2026-10-19", "Run"],
+      ["s/2026-10-22", "2026-10-22", "Run"],
+      ["s/2026-10-21", "2026-10-25", "Long run"],
+    ]);
+  });
+
+  it("picks BYSETPOS from each month's matching days", () => {
+    // Outlook's "last weekday of the month"
+    const rule = "RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1";
+    expect(dues(calendar(["UID:l", "DTSTART;VALUE=DATE:20261030", rule]), 80)).toEqual([
+      "2026-10-30",
+      "2026-11-30",
+      "2026-12-31",
+    ]);
+  });
+
+  it("supports BYYEARDAY", () => {
+    const last = calendar(["UID:y", "DTSTART;VALUE=DATE:20261231", "RRULE:FREQ=YEARLY;BYYEARDAY=-1"]);
+    expect(dues(last, 450)).toEqual(["2026-12-31", "2027-12-31"]);
+  });
+
+  it("skips and reports a series whose rule it can't follow", () => {
+    const { items, skipped } = parse(
+      calendar(
+        ["UID:k", "DTSTART;VALUE=DATE:20261019", "RRULE:FREQ=YEARLY;BYWEEKNO=43", "SUMMARY:Week 43"],
+        ["UID:h", "DTSTART:20261019T090000Z", "RRULE:FREQ=HOURLY", "SUMMARY:Hourly"],
+        ["UID:o", "DTSTART;VALUE=DATE:20261019", "SUMMARY:Once"]
+      )
+    );
+    expect(items.map((i) => i.id)).toEqual(["o"]);
+    expect(skipped).toEqual(["Week 43", "Hourly"]);
+  });
+});
+
+describe("buildCalendar", () => {
+  it("titles an N-per-week habit with the title it's given", () => {
+    const habit = { id: "h", title: "Gym", created: FROM, schedule: { type: "weekly", times: 3 } };
+    const weeklyTitle = (title, times) => `${title}: ${times} per week`;
+    expect(buildCalendar({ habits: [habit] }, { now: FROM, weeklyTitle })).toContain("SUMMARY:Gym: 3 per week");
+    expect(buildCalendar({ habits: [habit] }, { now: FROM })).toContain("SUMMARY:Gym (3× this week)");
+  });
+});
+
+describe("round trip", () => {
+  it("reads a monthly repeat on the 31st back as one date a month, the last day in short months", () => {
+    const todo = { id: "r", text: "Rent", due: "2026-10-31", repeat: { type: "monthly", day: 31 } };
+    const { items } = parse(buildCalendar({ todos: [todo] }, { now: FROM }), 140);
+    expect(items.map((i) => i.due)).toEqual(["2026-10-31", "2026-11-30", "2026-12-31", "2027-01-31", "2027-02-28"]);
+  });
+
+  it("reads a monthly repeat on the 30th back as the 30th, or the 28th in February", () => {
+    const todo = { id: "r", text: "Rent", due: "2026-12-30", repeat: { type: "monthly", day: 30 } };
+    const { items } = parse(buildCalendar({ todos: [todo] }, { now: FROM }), 140);
+    expect(items.map((i) => i.due)).toEqual(["2026-12-30", "2027-01-30", "2027-02-28"]);
+  });
+});
+
+describe("calendarTodos", () => {
+  it("keeps a title with #words as written, and adds them to the categories as tags", () => {
+    const { items } = parse(
+      calendar(
+        ["UID:x", "DTSTART;VALUE=DATE:20261020", "SUMMARY:Fix bug #123 in #frontend", "CATEGORIES:Work"],
+        ["UID:y", "DTSTART;VALUE=DATE:20261021", "SUMMARY:Plain"]
+      )
+    );
+    const todos = calendarTodos(items, FROM);
+    expect(todos[0]).toMatchObject({ id: "x", text: "Fix bug #123 in #frontend", due: "2026-10-20", done: false });
+    expect(todos[0].tags).toEqual(["work", "123", "frontend"]);
+    // first in the file stays on top after the newest-first sort on reload
+    expect(todos[0].created).toBeGreaterThan(todos[1].created);
+  });
+});
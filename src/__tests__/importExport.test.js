@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { applyImport, buildExport, ImportError, mergeById, parseExport, previewImport } from "../lib/importExport";
+
+// --- Import: parsing exports, and merging them into what's already here ---
+const todo = (id, fields = {}) => ({ id, text: id, done: false, created: 1, tags: [], subtasks: [], ...fields });
+const current = () => ({
+  todos: [todo("a", { created: 2, updated: 5 }), todo("b", { created: 1 })],
+  habits: [],
+  notes: [],
+});
+
+describe("parseExport", () => {
+  it("reads back what buildExport writes", () => {
+    const data = parseExport(JSON.stringify(buildExport(current())));
+    expect(data.todos.map((t) => t.id)).toEqual(["a", "b"]);
+    expect(data.habits).toEqual([]);
+  });
+
+  it("turns a v1 scratchpad string into one note", () => {
+    const data = parseExport(JSON.stringify({ version: 1, todos: [], notes: "hello", exportedAt: "2026-01-01" }));
+    expect(data.notes).toHaveLength(1);
+    expect(data.notes[0].text).toBe("hello");
+  });
+
+  it("fills in fields older todos lack", () => {
+    const [t] = parseExport(JSON.stringify({ todos: [{ id: 7, text: "old" }] })).todos;
+    expect(t).toMatchObject({ id: "7", done: false, priority: 0, tags: [], subtasks: [] });
+  });
+
+  it("names the v1 note with the title it's given", () => {
+    const data = parseExport(JSON.stringify({ version: 1, notes: "hello" }), { imported: "Nota importada" });
+    expect(data.notes[0].title).toBe("Nota importada");
+  });
+
+  it.each([
+    ["not JSON", "{", "import.notJson"],
+    ["not an object", "[]", "import.notExport"],
+    ["no lists at all", "{}", "import.notExport"],
+    ["a list that isn't one", JSON.stringify({ todos: {} }), "import.notList"],
+    ["a newer version", JSON.stringify({ version: 99, todos: [] }), "import.newer"],
+    ["an encrypted export", JSON.stringify({ version: 2, encrypted: "dfenc1:a:b:c" }), "import.encrypted"],
+  ])("rejects %s, with a code the UI translates", (_, text, code) => {
+    expect(() => parseExport(text)).toThrow(ImportError);
+    expect(() => parseExport(text)).toThrow(expect.objectContaining({ code }));
+  });
+});
+
+describe("mergeById", () => {
+  it("keeps the newer edit of an item both sides have, and local on a tie", () => {
+    const local = [todo("a", { updated: 5, text: "local" }), todo("b", { updated: 5, text: "local" })];
+    const incoming = [todo("a", { updated: 9, text: "file" }), todo("b", { updated: 5, text: "file" })];
+    expect(mergeById(local, incoming).map((t) => t.text)).toEqual(["file", "local"]);
+  });
+
+  it("falls back to `created` for items without `updated`", () => {
+    const merged = mergeById([todo("a", { created: 3 })], [todo("a", { created: 4, text: "file" })]);
+    expect(merged[0].text).toBe("file");
+  });
+
+  it("adds items only the file has", () => {
+    expect(mergeById([todo("a")], [todo("c")]).map((t) => t.id)).toEqual(["a", "c"]);
+  });
+});
+
+describe("applyImport", () => {
+  const incoming = {
+    todos: [todo("a", { created: 2, updated: 9, done: true }), todo("c", { created: 3 })],
+    habits: [],
+    notes: [],
+  };
+
+  it("replace: the file is everything, newest todo first", () => {
+    expect(applyImport(current(), incoming, "replace").todos.map((t) => t.id)).toEqual(["c", "a"]);
+  });
+
+  it("merge: keeps local-only items and sorts newest first", () => {
+    expect(applyImport(current(), incoming, "merge").todos.map((t) => t.id)).toEqual(["c", "a", "b"]);
+  });
+
+  it("previews the same counts it would apply", () => {
+    expect(previewImport(current(), incoming, "merge").todos).toEqual({ added: 1, updated: 1, removed: 0 });
+    expect(previewImport(current(), incoming, "replace").todos).toEqual({ added: 1, updated: 1, removed: 1 });
+  });
+});
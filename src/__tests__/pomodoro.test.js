@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { catchUp, idleTimer, nextPhase, pauseTimer, secondsLeft, startTimer } from "../lib/pomodoro";
+
+// --- Pomodoro engine: end timestamps, phase changes and catching up after a sleep ---
+const SETTINGS = { work: 25, short: 5, long: 15, cycles: 2, autoStart: false };
+const AUTO = { ...SETTINGS, autoStart: true };
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 9, 19, 9);
+
+describe("timer", () => {
+  it("counts down from a stored end time and keeps what's left when paused", () => {
+    const running = startTimer(idleTimer(SETTINGS), T0);
+    expect(secondsLeft(running, T0 + 10 * MIN)).toBe(15 * 60);
+    const paused = pauseTimer(running, T0 + 10 * MIN);
+    expect(secondsLeft(paused, T0 + 60 * MIN)).toBe(15 * 60);
+    expect(startTimer(paused, T0 + 60 * MIN).endsAt).toBe(T0 + 75 * MIN);
+  });
+
+  it("goes work, short, work, long with two cycles", () => {
+    let timer = idleTimer(SETTINGS);
+    const modes = [];
+    for (let i = 0; i < 4; i++) modes.push((timer = nextPhase(timer, SETTINGS)).mode);
+    expect(modes).toEqual(["short", "work", "long", "work"]);
+  });
+});
+
+describe("catchUp", () => {
+  it("does nothing while the phase is still running", () => {
+    const timer = startTimer(idleTimer(SETTINGS), T0);
+    expect(catchUp(timer, SETTINGS, T0 + MIN)).toEqual({ timer, finished: [] });
+  });
+
+  it("logs the finished phase at its end time and stops without auto-start", () => {
+    const { timer, finished } = catchUp(startTimer(idleTimer(SETTINGS), T0), SETTINGS, T0 + 40 * MIN);
+    expect(finished).toEqual([
+      expect.objectContaining({ mode: "work", start: T0, end: T0 + 25 * MIN, focused: 25 * 60, completed: true }),
+    ]);
+    expect(timer).toMatchObject({ mode: "short", endsAt: null, cyclesDone: 1 });
+  });
+
+  it("chains phases back to back with auto-start", () => {
+    const { timer, finished } = catchUp(startTimer(idleTimer(AUTO), T0), AUTO, T0 + 31 * MIN);
+    expect(finished.map((s) => [s.mode, s.end])).toEqual([
+      ["work", T0 + 25 * MIN],
+      ["short", T0 + 30 * MIN],
+    ]);
+    expect(timer).toMatchObject({ mode: "work", endsAt: T0 + 55 * MIN });
+  });
+
+  it("stops after one full cycle when the app was away for hours", () => {
+    const { timer, finished } = catchUp(startTimer(idleTimer(AUTO), T0), AUTO, T0 + 24 * 60 * MIN);
+    expect(finished).toHaveLength(AUTO.cycles * 2);
+    expect(timer).toMatchObject({ mode: "work", endsAt: null });
+  });
+});
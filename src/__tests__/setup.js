@@ -0,0 +1,12 @@
+// jsdom has no IndexedDB, matchMedia or scrollIntoView; the app expects all three.
+import "fake-indexeddb/auto";
+
+window.matchMedia ??= (query) => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+  addListener() {},
+  removeListener() {},
+});
+Element.prototype.scrollIntoView ??= function () {};
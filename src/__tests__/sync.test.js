@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import { mergeRecord, newestStamp, outlives, REV, stampRecord } from "../sync/merge";
+import { observe, tick } from "../sync/clock";
+import { applyPulled, openStore, writeDiff } from "../lib/db";
+
+// --- Sync: clock stamps, per-field merge, and tombstones against re-created ids ---
+const T = Date.UTC(2026, 9, 19, 9);
+const stamp = (ms, device = "a", n = 0) =>
+  `${ms.toString(36).padStart(9, "0")}-${n.toString(36).padStart(4, "0")}-${device}`;
+
+describe("clock", () => {
+  it("stamps sort by time as plain strings", () => {
+    expect(tick("a", T) < tick("a", T + 1)).toBe(true);
+  });
+
+  it("keeps counting up within a millisecond and when the wall clock steps back", () => {
+    const first = tick("a", T + 100);
+    const same = tick("a", T + 100);
+    const back = tick("a", T + 50);
+    expect(first < same && same < back).toBe(true);
+    expect(back.split("-")[0]).toBe(first.split("-")[0]);
+  });
+
+  it("stays ahead of stamps seen from other devices, but not far-future ones", () => {
+    observe(stamp(T + 1000, "b", 5));
+    expect(tick("a", T + 200) > stamp(T + 1000, "b", 5)).toBe(true);
+    const future = Date.now() + 48 * 60 * 60 * 1000;
+    observe(stamp(future, "b"));
+    expect(tick("a", T + 300) < stamp(future, "b")).toBe(true);
+  });
+});
+
+describe("stampRecord", () => {
+  it("stamps every field of a new record", () => {
+    const rec = stampRecord(null, { id: "t", text: "a", done: false }, () => "s1");
+    expect(rec[REV]).toEqual({ id: "s1", text: "s1", done: "s1" });
+  });
+
+  it("stamps only the fields that changed, and removed ones", () => {
+    const stored = {
+      id: "t",
+      text: "a",
+      done: false,
+      due: "2026-10-19",
+      [REV]: { id: "s1", text: "s1", done: "s1", due: "s1" },
+    };
+    const rec = stampRecord(stored, { id: "t", text: "a", done: true }, () => "s2");
+    expect(rec[REV]).toEqual({ id: "s1", text: "s1", done: "s2", due: "s2" });
+  });
+});
+
+describe("mergeRecord", () => {
+  const base = { id: "t", text: "a", done: false, [REV]: { id: "s1", text: "s1", done: "s1" } };
+  const edit = (fields, s) => ({
+    ...base,
+    ...fields,
+    [REV]: { ...base[REV], ...Object.fromEntries(Object.keys(fields).map((k) => [k, s])) },
+  });
+
+  it("keeps both devices' edits to different fields", () => {
+    const merged = mergeRecord(edit({ text: "b" }, "s2"), edit({ done: true }, "s3"));
+    expect(merged).toMatchObject({ text: "b", done: true });
+  });
+
+  it("gives the same field to the later stamp, in either order", () => {
+    const x = edit({ text: "x" }, "s2");
+    const y = edit({ text: "y" }, "s3");
+    expect(mergeRecord(x, y)).toEqual(mergeRecord(y, x));
+    expect(mergeRecord(x, y).text).toBe("y");
+  });
+
+  it("is idempotent and handles a missing side", () => {
+    const x = edit({ text: "x" }, "s2");
+    expect(mergeRecord(x, x)).toEqual(x);
+    expect(mergeRecord(null, x)).toBe(x);
+  });
+
+  it("drops a field whose removal is the later write", () => {
+    const removed = { id: "t", text: "a", [REV]: { ...base[REV], done: "s2" } };
+    expect("done" in mergeRecord(base, removed)).toBe(false);
+  });
+});
+
+const stored = async (id) => (await openStore()).get("todos", id);
+
+describe("writeDiff", () => {
+  it("stamps overlapping writes of a record one after the other", async () => {
+    const v0 = { id: "w", text: "a", done: false };
+    const v1 = { ...v0, text: "b" };
+    const v2 = { ...v1, done: true };
+    await writeDiff("todos", [], [v0]);
+    await Promise.all([writeDiff("todos", [v0], [v1]), writeDiff("todos", [v1], [v2])]);
+    const rec = await stored("w");
+    expect(rec).toMatchObject({ text: "b", done: true });
+    // the second write only changed `done`, so `text` keeps the first write's stamp
+    expect(rec[REV].text < rec[REV].done).toBe(true);
+  });
+});
+
+describe("tombstones", () => {
+  it("lets a record outlive a tombstone only if it was written later", () => {
+    const rec = { id: "t", [REV]: { id: stamp(T), text: stamp(T + 10) } };
+    expect(newestStamp(rec)).toBe(stamp(T + 10));
+    expect(outlives(rec, stamp(T + 5))).toBe(true);
+    expect(outlives(rec, stamp(T + 20))).toBe(false);
+  });
+
+  const tombstone = async (id) => (await openStore()).get("tombstones", `todos:${id}`);
+
+  it("brings back an id re-created here after a delete", async () => {
+    const todo = { id: "restored", text: "Restored", done: false };
+    await writeDiff("todos", [], [todo]);
+    await writeDiff("todos", [todo], []);
+    expect(await tombstone("restored")).toBeTruthy();
+    await writeDiff("todos", [], [{ ...todo }]);
+    expect((await stored("restored")).text).toBe("Restored");
+    expect(await tombstone("restored")).toBeUndefined();
+  });
+
+  it("pulls a re-created record over a tombstone but not a stale edit", async () => {
+    const deleted = stamp(T + 1000, "b");
+    const at = (ms) => ({ id: stamp(ms, "b"), text: stamp(ms, "b") });
+    await applyPulled([{ entity: "todos", id: "p", deleted }]);
+    await applyPulled([{ entity: "todos", id: "p", record: { id: "p", text: "stale", [REV]: at(T + 500) } }]);
+    expect(await stored("p")).toBeUndefined();
+    await applyPulled([{ entity: "todos", id: "p", record: { id: "p", text: "again", [REV]: at(T + 2000) } }]);
+    expect((await stored("p")).text).toBe("again");
+    expect(await tombstone("p")).toBeUndefined();
+    // a delete older than what's here now doesn't take it away again
+    await applyPulled([{ entity: "todos", id: "p", deleted }]);
+    expect((await stored("p")).text).toBe("again");
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { firstDue, newTodo, nextDue, nextInstance, templateTodos } from "../lib/todos";
+
+// --- Repeating todos and templates ---
+// 2026-10-19 is a Monday.
+const TODAY = "2026-10-19";
+
+describe("nextDue", () => {
+  it("skips the weekend for weekdays", () => {
+    expect(nextDue({ type: "weekdays" }, "2026-10-23")).toBe("2026-10-26");
+    expect(nextDue({ type: "weekdays" }, "2026-10-19")).toBe("2026-10-20");
+  });
+
+  it("counts on from the date for every N days", () => {
+    expect(nextDue({ type: "interval", days: 3 }, "2026-10-30")).toBe("2026-11-02");
+  });
+
+  it("takes the day later this month, or else next month", () => {
+    expect(nextDue({ type: "monthly", day: 25 }, "2026-10-19")).toBe("2026-10-25");
+    expect(nextDue({ type: "monthly", day: 15 }, "2026-10-19")).toBe("2026-11-15");
+  });
+
+  it("falls on the last day of months too short for the day", () => {
+    const on31 = { type: "monthly", day: 31 };
+    expect(nextDue(on31, "2026-10-31")).toBe("2026-11-30");
+    expect(nextDue(on31, "2027-01-31")).toBe("2027-02-28");
+    expect(nextDue(on31, "2028-01-31")).toBe("2028-02-29");
+    expect(nextDue(on31, "2027-02-28")).toBe("2027-03-31");
+  });
+
+  it("starts on today when the rule allows it", () => {
+    expect(firstDue({ type: "daily" }, TODAY)).toBe(TODAY);
+    expect(firstDue({ type: "interval", days: 5 }, TODAY)).toBe(TODAY);
+    expect(firstDue({ type: "weekdays" }, "2026-10-24")).toBe("2026-10-26");
+    expect(firstDue({ type: "monthly", day: 19 }, TODAY)).toBe(TODAY);
+  });
+});
+
+describe("nextInstance", () => {
+  const done = {
+    ...newTodo("a", "Water plants #home", { due: "2026-10-12", dueTime: "08:00", repeat: { type: "weekdays" } }),
+    priority: 2,
+    subtasks: [{ id: "s", text: "Balcony", done: true }],
+    done: true,
+  };
+
+  it("copies the todo, due on the next date that isn't past", () => {
+    const next = nextInstance(done, "b", TODAY);
+    expect(next).toMatchObject({ id: "b", text: "Water plants", due: TODAY, dueTime: "08:00", done: false });
+    expect(next).toMatchObject({ priority: 2, tags: ["home"], repeat: { type: "weekdays" } });
+    expect(next.subtasks).toEqual([{ id: "s", text: "Balcony", done: false }]);
+  });
+
+  it("goes to the rule's next date when checked off on time", () => {
+    expect(nextInstance({ ...done, due: TODAY }, "b", TODAY).due).toBe("2026-10-20");
+  });
+
+  it("keeps the text as it is, without reading it as quick-add", () => {
+    expect(nextInstance({ ...done, text: "Ship #42" }, "b", TODAY).text).toBe("Ship #42");
+  });
+});
+
+describe("templateTodos", () => {
+  it("adds every item, first one newest so it stays on top", () => {
+    let n = 0;
+    const todos = templateTodos({ items: ["Tag #work", "Announce"] }, () => `t${n++}`, 1000);
+    expect(todos.map((t) => [t.id, t.text, t.tags])).toEqual([
+      ["t0", "Tag", ["work"]],
+      ["t1", "Announce", []],
+    ]);
+    expect(todos[0].created).toBeGreaterThan(todos[1].created);
+  });
+});
@@ -0,0 +1,147 @@
+// --- What's new ---
+// Bundled with the build and shown once after an update. Newest first; add an
+// entry (and bump `version`) for every user-facing release.
+export const CHANGELOG = [
+  {
+    version: "0.22.0",
+    date: "2026-10-19",
+    items: [
+      "The theme can follow your system's light or dark setting, and does by default. The header button switches between system, light and dark.",
+      "Pick an accent colour in the footer: indigo, emerald, rose, amber or sky. Your phone's title bar follows it.",
+    ],
+  },
+  {
+    version: "0.21.0",
+    date: "2026-10-19",
+    items: [
+      "Todos can repeat: every day, every weekday, every few days or monthly. Check one off and the next one appears.",
+      "Checklist templates add a whole set of todos at once. Find them under the list icon next to Todos.",
+    ],
+  },
+  {
+    version: "0.20.0",
+    date: "2026-10-19",
+    items: [
+      "New Insights page for your weekly review: todos finished per day, how long they took, focus minutes per day and habit success by weekday.",
+      "Choose this week, last week, the last 30 or 90 days, or any dates you like. It's all worked out on your device.",
+    ],
+  },
+  {
+    version: "0.19.0",
+    date: "2026-10-19",
+    items: [
+      "DailyFlow now speaks Hindi and Arabic as well as English. Pick a language in the header; the first time, it follows your browser.",
+      "Dates, times, weekdays and numbers are written the way your language writes them.",
+      "In Arabic the whole layout reads right to left.",
+    ],
+  },
+  {
+    version: "0.18.0",
+    date: "2026-10-19",
+    items: [
+      "Screen readers: every button and field has a name, and adding or deleting things is announced.",
+      "The Pomodoro timer is read out when it starts, pauses or switches phase, and every five minutes.",
+      "Focus stays put: it moves to the next item when you delete one, and returns to where you were when a dialog closes.",
+      "The header no longer animates if your system asks for reduced motion.",
+    ],
+  },
+  {
+    version: "0.17.0",
+    date: "2026-10-19",
+    items: [
+      "Press Ctrl+K (⌘K on a Mac) for a command palette: add todos and habits, run the timer, export and more.",
+      "Shortcuts: N and H jump to the add boxes, J/K move through todos and Space checks one off, P starts or pauses the timer, / opens search.",
+    ],
+  },
+  {
+    version: "0.16.0",
+    date: "2026-10-19",
+    items: [
+      "Export .ics puts dated todos and habit schedules in any calendar app.",
+      "Import .ics turns calendar events and tasks into todos, including repeating ones, in your time zone.",
+      "The sync server also serves a calendar you can subscribe to.",
+    ],
+  },
+  {
+    version: "0.15.0",
+    date: "2026-10-19",
+    items: [
+      "Share links and text to DailyFlow from other apps, then add them as a todo or to a note.",
+      "Exports shared to DailyFlow, or opened with it, go straight to the import preview.",
+    ],
+  },
+  {
+    version: "0.14.0",
+    date: "2026-10-19",
+    items: [
+      "Optional passphrase (footer → Security): your data is stored and synced encrypted on this device.",
+      "DailyFlow locks on launch and after a chosen idle time; Lock now locks every open window.",
+      "Exports are encrypted too, and import asks for the passphrase they were made with.",
+    ],
+  },
+  {
+    version: "0.13.0",
+    date: "2026-10-19",
+    items: [
+      "Two-way sync: point two devices at the same server and they share todos, habits, notes and focus history.",
+      "Edits to different fields on different devices are both kept, and deletes carry over.",
+      "A small reference sync server ships with the app (npm run sync-server).",
+    ],
+  },
+  {
+    version: "0.12.0",
+    date: "2026-10-19",
+    items: [
+      "Changes made in one window or tab now show up in the others straight away.",
+      "With several windows open, only one of them runs the timer and reminders.",
+    ],
+  },
+  {
+    version: "0.11.0",
+    date: "2026-10-19",
+    items: [
+      "Notes: as many named notes as you like, with Markdown, checklists and pinning.",
+      "Each note keeps its recent versions, so an accidental delete can be undone.",
+      "Search todos and notes together from the new Search page.",
+    ],
+  },
+  {
+    version: "0.10.0",
+    date: "2026-10-19",
+    items: [
+      "Updates now ask before reloading, and wait while a timer runs or you're typing.",
+      "This “What's new” panel.",
+    ],
+  },
+  {
+    version: "0.9.0",
+    date: "2026-10-19",
+    items: [
+      "Optional sync to your own backend; offline changes are sent once you're back online.",
+      "Notifications and chimes when a Pomodoro phase ends or a todo is due.",
+      "Pomodoro settings, a focus session log and weekly stats.",
+      "The timer keeps running across reloads and can auto-start the next phase.",
+    ],
+  },
+  {
+    version: "0.5.0",
+    date: "2026-10-19",
+    items: [
+      "Todos: inline editing, due dates, priorities, #tags and subtasks.",
+      "Habits: schedules, a completion history, streaks and a heatmap.",
+      "Import an export file back, with merge or replace.",
+      "Data moved to IndexedDB; the Dashboard and New Task shortcuts work.",
+    ],
+  },
+];
+
+export const CURRENT_VERSION = CHANGELOG[0].version;
+
+const parts = (v) => v.split(".").map(Number);
+export const isNewer = (a, b) => {
+  const [x, y] = [parts(a), parts(b)];
+  for (let i = 0; i < 3; i++) if (x[i] !== y[i]) return x[i] > y[i];
+  return false;
+};
+
+export const entriesSince = (version) => (version ? CHANGELOG.filter((e) => isNewer(e.version, version)) : CHANGELOG);
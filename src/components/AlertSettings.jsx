@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+import { CHIMES, permission, playChime, requestPermission } from "../lib/notify";
+import { useI18n } from "../store";
+
+// --- Notification permission, chime and todo reminder preferences ---
+export default function AlertSettings({ alerts, onChange }) {
+  const [status, setStatus] = useState(permission);
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...alerts, ...patch });
+
+  return (
+    <div className="mt-3 space-y-2 text-xs text-start text-gray-500">
+      <div className="flex items-center justify-between gap-2">
+        <span>{t(`alerts.status.${status}`)}</span>
+        {status === "default" && (
+          <button
+            onClick={async () => setStatus(await requestPermission())}
+            className="px-2 py-1 rounded bg-accent-600 text-white"
+          >
+            {t("alerts.enable")}
+          </button>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <select
+          value={alerts.sound}
+          aria-label={t("alerts.sound")}
+          onChange={(e) => set({ sound: e.target.value })}
+          className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+        >
+          {Object.keys(CHIMES).map((name) => (
+            <option key={name} value={name}>
+              {t(`alerts.chime.${name}`)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.1}
+          value={alerts.volume}
+          aria-label={t("alerts.volume")}
+          onChange={(e) => set({ volume: Number(e.target.value) })}
+          className="flex-1"
+        />
+        <button
+          onClick={() => playChime(alerts.sound, alerts.volume)}
+          className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700"
+        >
+          {t("alerts.test")}
+        </button>
+      </div>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={alerts.todoReminders}
+          onChange={(e) => set({ todoReminders: e.target.checked })}
+        />
+        {t("alerts.todoReminders")}
+        <select
+          value={alerts.leadMinutes}
+          aria-label={t("alerts.remindMe")}
+          disabled={!alerts.todoReminders}
+          onChange={(e) => set({ leadMinutes: Number(e.target.value) })}
+          className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+        >
+          <option value={0}>{t("alerts.atDueTime")}</option>
+          <option value={5}>{t("alerts.minutesBefore", { count: 5 })}</option>
+          <option value={15}>{t("alerts.minutesBefore", { count: 15 })}</option>
+          <option value={60}>{t("alerts.hoursBefore", { count: 1 })}</option>
+        </select>
+      </label>
+    </div>
+  );
+}
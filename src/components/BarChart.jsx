@@ -0,0 +1,26 @@
+import React from "react";
+
+const MAX_TICKS = 14;
+
+// --- Small bar chart, one bar per day ---
+// `bars`: [{ key, value, tick, title }], oldest first. Screen readers get `label`
+// instead of the bars. Long ranges only label every few bars so the ticks fit.
+export default function BarChart({ bars, label, height = 48 }) {
+  const peak = Math.max(1, ...bars.map((b) => b.value));
+  const every = Math.ceil(bars.length / MAX_TICKS);
+  return (
+    <div
+      role="img"
+      aria-label={label}
+      className={`mt-3 flex items-end ${bars.length > 31 ? "gap-px" : "gap-1"}`}
+      style={{ height: height + 16 }}
+    >
+      {bars.map((b, i) => (
+        <div key={b.key} className="flex-1 min-w-0 flex flex-col items-center gap-1" title={b.title}>
+          <div className="w-full rounded-t bg-accent-500" style={{ height: `${(b.value / peak) * height}px` }} />
+          <span className="h-3 text-[10px] leading-3 text-gray-400">{i % every === 0 ? b.tick : ""}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useRef, useState } from "react";
+import { useI18n, useStore } from "../store";
+import { downloadCalendar } from "../lib/download";
+import { calendarTodos, dueDate } from "../lib/todos";
+import { parseCalendar } from "../lib/ical";
+import { useDialog } from "../hooks/useDialog";
+
+const EXPAND_DAYS = 30;
+
+// --- Calendar (.ics): export dated todos + habits, import events/todos as todos ---
+export default function CalendarButtons() {
+  const { todos, habits, addTodos, announce } = useStore();
+  const { t, formatError } = useI18n();
+  const inputRef = useRef(null);
+  const [items, setItems] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  const [error, setError] = useState(null);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    try {
+      const result = parseCalendar(await file.text(), { days: EXPAND_DAYS, untitled: t("calendar.untitled") });
+      setItems(result.items);
+      setSkipped(result.skipped);
+      setError(null);
+    } catch (err) {
+      setError(formatError(err));
+    }
+  };
+
+  // ids come from the calendar's UIDs, so importing the same file again only adds what's new
+  const have = new Set(todos.map((todo) => todo.id));
+  const fresh = items?.filter((i) => !have.has(i.id)) ?? [];
+
+  const add = () => {
+    addTodos(calendarTodos(fresh));
+    announce(t("calendar.added", { count: fresh.length }));
+    setItems(null);
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => downloadCalendar({ todos, habits }, t)}
+        className="px-3 py-1.5 rounded bg-gray-200 dark:bg-gray-700 text-sm"
+      >
+        {t("calendar.export")}
+      </button>
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="px-3 py-1.5 rounded bg-gray-200 dark:bg-gray-700 text-sm"
+      >
+        {t("calendar.import")}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="text/calendar,.ics"
+        aria-label={t("calendar.file")}
+        className="hidden"
+        onChange={(e) => {
+          readFile(e.target.files?.[0]);
+          e.target.value = "";
+        }}
+      />
+      {error && <span className="text-red-600 text-sm self-center">{error}</span>}
+      {items && (
+        <ImportDialog items={items} fresh={fresh} skipped={skipped} onAdd={add} onClose={() => setItems(null)} />
+      )}
+    </>
+  );
+}
+
+function ImportDialog({ items, fresh, skipped, onAdd, onClose }) {
+  const dialog = useDialog(onClose);
+  const { t, formatDay, formatDateTime } = useI18n();
+  const when = (i) => {
+    if (!i.due) return t("calendar.noDate");
+    return i.dueTime ? formatDateTime(dueDate(i)) : formatDay(i.due);
+  };
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="ics-title"
+        {...dialog}
+        className="w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="ics-title" className="font-semibold text-lg">
+          {t("calendar.title")}
+        </h2>
+        <p className="text-xs text-gray-500 mt-1">
+          {t("calendar.items", { count: items.length })} {t("calendar.new", { count: fresh.length })}{" "}
+          {t("calendar.repeating", { count: EXPAND_DAYS })}
+        </p>
+        <ul className="mt-3 max-h-60 overflow-auto space-y-1 text-gray-600 dark:text-gray-300">
+          {fresh.map((i) => (
+            <li key={i.id} className="flex justify-between gap-2">
+              <span className="truncate">{i.text}</span>
+              <span className="shrink-0 text-xs text-gray-500">{when(i)}</span>
+            </li>
+          ))}
+        </ul>
+        {skipped.length > 0 && (
+          <div className="mt-3 text-xs text-amber-700 dark:text-amber-400">
+            <p>{t("calendar.skipped", { count: skipped.length })}</p>
+            <ul className="mt-1 list-disc ps-4">
+              {skipped.map((title, i) => (
+                <li key={i}>{title}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-1.5 rounded bg-gray-200 dark:bg-gray-700">
+            {t("common.cancel")}
+          </button>
+          <button
+            onClick={onAdd}
+            disabled={!fresh.length}
+            className="px-3 py-1.5 rounded bg-accent-600 text-white disabled:opacity-50"
+          >
+            {t("calendar.add", { count: fresh.length })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
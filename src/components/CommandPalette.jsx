@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { Search } from "lucide-react";
+import { fuzzyFilter } from "../lib/fuzzy";
+import { keyLabel } from "../hooks/useShortcuts";
+import { useDialog } from "../hooks/useDialog";
+import { useI18n } from "../store";
+
+// --- Command palette (Ctrl/Cmd+K) ---
+// `commands`: [{ id, group, title, keys?, run }]. A command with `withText`
+// takes what was typed instead, so `title` and `run` are functions of it; those
+// show up below the matches whenever something is typed ("Add todo …").
+export default function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const dialog = useDialog(onClose);
+  const { t } = useI18n();
+  const text = query.trim();
+  const results = [
+    ...fuzzyFilter(
+      commands.filter((c) => !c.withText),
+      query,
+      (c) => `${c.group} ${c.title}`
+    ),
+    ...(text
+      ? commands.filter((c) => c.withText).map((c) => ({ ...c, title: c.title(text), run: () => c.run(text) }))
+      : []),
+  ];
+  const index = Math.min(active, results.length - 1);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    const step = { ArrowDown: 1, ArrowUp: -1 }[e.key];
+    if (step && results.length) {
+      e.preventDefault();
+      setActive((index + step + results.length) % results.length);
+    } else if (e.key === "Enter" && results[index]) {
+      e.preventDefault();
+      run(results[index]);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/40 p-4 pt-[15vh]" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.title")}
+        {...dialog}
+        className="w-full max-w-lg bg-white dark:bg-gray-800 rounded-2xl shadow-md text-sm overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-2 px-3 border-b border-gray-200 dark:border-gray-700">
+          <Search className="w-4 h-4 text-gray-400" />
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setActive(0);
+            }}
+            onKeyDown={onKeyDown}
+            placeholder={t("palette.placeholder")}
+            role="combobox"
+            aria-label={t("palette.input")}
+            aria-expanded="true"
+            aria-controls="palette-results"
+            aria-activedescendant={results[index] ? `palette-${results[index].id}` : undefined}
+            className="flex-1 py-3 bg-transparent outline-none"
+          />
+        </div>
+        {results.length === 0 && <p className="px-4 py-3 text-gray-500">{t("palette.empty")}</p>}
+        <ul id="palette-results" role="listbox" aria-label={t("palette.list")} className="max-h-80 overflow-auto p-1">
+          {results.map((c, i) => (
+            <li
+              key={c.id}
+              id={`palette-${c.id}`}
+              role="option"
+              aria-selected={i === index}
+              ref={i === index ? (el) => el?.scrollIntoView({ block: "nearest" }) : undefined}
+              onMouseMove={() => setActive(i)}
+              onClick={() => run(c)}
+              className={`flex items-center justify-between gap-2 px-3 py-2 rounded-lg cursor-pointer ${
+                i === index ? "bg-accent-50 dark:bg-accent-900/40" : ""
+              }`}
+            >
+              <span className="truncate">
+                <span className="text-xs text-gray-500 me-2">{c.group}</span>
+                {c.title}
+              </span>
+              {c.keys && (
+                <kbd className="shrink-0 px-1.5 rounded bg-gray-100 dark:bg-gray-700 text-xs text-gray-500">
+                  {keyLabel(c.keys)}
+                </kbd>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
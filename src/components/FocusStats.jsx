@@ -0,0 +1,54 @@
+import React from "react";
+import { focusStats } from "../lib/stats";
+import { useI18n } from "../store";
+import BarChart from "./BarChart";
+
+// --- Focus minutes / pomodoros for today and this week, plus the recent log ---
+export default function FocusStats({ sessions, todos, showLog = false }) {
+  const stats = focusStats(sessions);
+  const { t, formatDay, formatClock, formatNumber } = useI18n();
+  const todoText = (id) => todos.find((t) => t.id === id)?.text ?? t("focus.deletedTodo");
+  const recent = sessions.slice(-8).reverse();
+
+  return (
+    <div className="text-sm">
+      <div className="grid grid-cols-2 gap-2 text-center">
+        <div>
+          <div className="text-2xl font-bold">{t("focus.minutes", { count: stats.todayMinutes })}</div>
+          <div className="text-xs text-gray-500">{t("focus.today", { count: stats.todayPomodoros })}</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold">{t("focus.minutes", { count: stats.weekMinutes })}</div>
+          <div className="text-xs text-gray-500">{t("focus.week", { count: stats.weekPomodoros })}</div>
+        </div>
+      </div>
+      <BarChart
+        label={t("focus.chart", {
+          days: stats.lastDays.map((d) => `${formatDay(d.key)} ${formatNumber(d.minutes)}`).join(", "),
+        })}
+        bars={stats.lastDays.map((d) => ({
+          key: d.key,
+          value: d.minutes,
+          tick: formatNumber(Number(d.key.slice(8))),
+          title: `${formatDay(d.key)}: ${t("focus.minutes", { count: d.minutes })}`,
+        }))}
+      />
+      {showLog && (
+        <ul className="mt-3 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+          {recent.length === 0 && <li>{t("focus.noSessions")}</li>}
+          {recent.map((s) => (
+            <li key={s.id} className="flex justify-between gap-2">
+              <span>
+                {formatClock(s.start)}–{formatClock(s.end)} {t(`phase.${s.mode}`)}
+                {s.todoId && ` · ${todoText(s.todoId)}`}
+              </span>
+              <span className={s.completed ? "text-green-600" : "text-gray-400"}>
+                {s.completed ? t("focus.done") : t("focus.stopped", { count: Math.round(s.focused / 60) })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { addDays, dateKey, weekStart } from "../lib/dates";
+import { isDone, isScheduled, streaks } from "../lib/habits";
+import { useI18n } from "../store";
+
+const WEEKS = 53;
+
+// --- Year-style heatmap: one column per week, Monday on top ---
+// Clicking a past day toggles it, so a forgotten check-in can be fixed later.
+export default function HabitHeatmap({ habit, onToggle }) {
+  const today = dateKey();
+  const first = addDays(weekStart(today), -(WEEKS - 1) * 7);
+  const { current, longest, unit } = streaks(habit, today);
+  const { t, formatDay, weekdayName } = useI18n();
+  const length = (count) => t(`habits.length.${unit}`, { count });
+
+  const cellClass = (key) => {
+    if (key > today) return "bg-transparent";
+    if (isDone(habit, key)) return "bg-green-500";
+    if (habit.schedule?.type === "weekly" || isScheduled(habit, key)) return "bg-gray-200 dark:bg-gray-600";
+    return "bg-gray-100 dark:bg-gray-700/40";
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex gap-4 text-xs text-gray-500">
+        <span>{t("heatmap.current", { length: length(current) })}</span>
+        <span>{t("heatmap.longest", { length: length(longest) })}</span>
+      </div>
+      <div
+        role="group"
+        aria-label={t("heatmap.label", { title: habit.title })}
+        className="mt-2 flex gap-1 overflow-x-auto pb-1"
+      >
+        <div aria-hidden className="grid grid-rows-7 gap-[2px] text-[9px] leading-[10px] text-gray-400 pe-1">
+          {Array.from({ length: 7 }, (_, d) => (
+            <span key={d}>{d % 2 === 0 ? weekdayName(d)[0] : ""}</span>
+          ))}
+        </div>
+        {Array.from({ length: WEEKS }, (_, w) => (
+          <div key={w} className="grid grid-rows-7 gap-[2px]">
+            {Array.from({ length: 7 }, (_, d) => {
+              const key = addDays(first, w * 7 + d);
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  title={formatDay(key)}
+                  aria-label={t(isDone(habit, key) ? "heatmap.dayDone" : "heatmap.day", { day: formatDay(key) })}
+                  aria-pressed={isDone(habit, key)}
+                  disabled={key > today}
+                  onClick={() => onToggle(key)}
+                  className={`w-[10px] h-[10px] rounded-sm ${cellClass(key)}`}
+                />
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
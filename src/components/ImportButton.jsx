@@ -0,0 +1,214 @@
+import React, { useEffect, useRef, useState } from "react";
+import { isUnlocked, openSealed, openWithPassphrase, PassphraseError } from "../lib/crypto";
+import { useDialog } from "../hooks/useDialog";
+import { applyImport, parseExport, parseOpened, previewImport, sealedPart } from "../lib/importExport";
+import { useI18n } from "../store";
+
+// --- Import: pick an export file, preview, then replace or merge ---
+export default function ImportButton({ current, onImport }) {
+  const inputRef = useRef(null);
+  const [file, setFile] = useState(null); // { text, key }
+  const { t } = useI18n();
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="px-3 py-1.5 rounded bg-gray-200 dark:bg-gray-700 text-sm"
+      >
+        {t("import.button")}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/json,.json"
+        aria-label={t("import.file")}
+        className="hidden"
+        onChange={(e) => {
+          e.target.files?.[0]?.text().then((text) => setFile({ text, key: Date.now() }));
+          e.target.value = "";
+        }}
+      />
+      {file && (
+        <ImportFlow
+          key={file.key}
+          text={file.text}
+          current={current}
+          onImport={onImport}
+          onClose={() => setFile(null)}
+        />
+      )}
+    </>
+  );
+}
+
+// { incoming } when the file opens here, { sealed } when it needs a passphrase.
+// An encrypted export tries this window's passphrase first.
+async function openFile(text, titles) {
+  const sealed = sealedPart(text);
+  if (!sealed) return { incoming: parseExport(text, titles) };
+  if (isUnlocked()) {
+    const data = await openSealed(sealed).catch(() => null);
+    if (data) return { incoming: parseOpened(data, titles) };
+  }
+  return { sealed };
+}
+
+// The text of an export file -> passphrase (if encrypted) -> preview -> apply.
+// Also used for exports shared into the app (pages/Share.jsx).
+export function ImportFlow({ text, current, onImport, onClose }) {
+  const [incoming, setIncoming] = useState(null);
+  const [sealed, setSealed] = useState(null);
+  const [error, setError] = useState(null);
+  const { t, formatError } = useI18n();
+  // what notes without a title of their own are called
+  const quick = t("notes.quickNote");
+  const imported = t("notes.imported");
+
+  useEffect(() => {
+    let live = true;
+    openFile(text, { quick, imported }).then(
+      (opened) => {
+        if (!live) return;
+        setIncoming(opened.incoming ?? null);
+        setSealed(opened.sealed ?? null);
+      },
+      (err) => live && setError(formatError(err))
+    );
+    return () => {
+      live = false;
+    };
+  }, [text, quick, imported, formatError]);
+
+  const openWith = async (passphrase) => {
+    setIncoming(parseOpened(await openWithPassphrase(sealed, passphrase), { quick, imported }));
+    setSealed(null);
+  };
+
+  return (
+    <>
+      {error && <span className="text-red-600 text-sm self-center">{error}</span>}
+      {sealed && <PassphrasePrompt onSubmit={openWith} onCancel={onClose} />}
+      {incoming && (
+        <ImportDialog
+          incoming={incoming}
+          current={current}
+          onApply={(mode) => {
+            onImport(applyImport(current, incoming, mode));
+            onClose();
+          }}
+          onClose={onClose}
+        />
+      )}
+    </>
+  );
+}
+
+function PassphrasePrompt({ onSubmit, onCancel }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { t, formatError } = useI18n();
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(err instanceof PassphraseError ? t("lock.wrongPassphrase") : formatError(err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-wrap items-center gap-2 text-sm">
+      <label className="flex items-center gap-2">
+        {t("import.passphrase")}
+        <input
+          type="password"
+          autoFocus
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          className="p-1.5 rounded border border-gray-200 dark:border-gray-700 bg-transparent"
+        />
+      </label>
+      <button
+        disabled={!passphrase || busy}
+        className="px-3 py-1.5 rounded bg-accent-600 text-white disabled:opacity-50"
+      >
+        {t("import.open")}
+      </button>
+      <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded bg-gray-200 dark:bg-gray-700">
+        {t("common.cancel")}
+      </button>
+      {error && <span className="text-red-600">{error}</span>}
+    </form>
+  );
+}
+
+export function ImportDialog({ incoming, current, onApply, onClose }) {
+  const [mode, setMode] = useState("merge");
+  const dialog = useDialog(onClose);
+  const preview = previewImport(current, incoming, mode);
+  const { t, formatDateTime } = useI18n();
+  const line = (label, c) =>
+    t(c.removed ? "import.changesRemoved" : "import.changes", {
+      label: t(label),
+      added: c.added,
+      updated: c.updated,
+      removed: c.removed,
+    });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-title"
+        {...dialog}
+        className="w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="import-title" className="font-semibold text-lg">
+          {t("import.title")}
+        </h2>
+        <p className="text-xs text-gray-500 mt-1">
+          {t("import.counts", {
+            todos: incoming.todos.length,
+            habits: incoming.habits.length,
+            notes: incoming.notes.length,
+          })}
+          {incoming.exportedAt && ` · ${t("import.exportedAt", { when: formatDateTime(incoming.exportedAt) })}`}
+        </p>
+        <div className="mt-3 flex gap-4">
+          {[
+            ["merge", t("import.mergeHint")],
+            ["replace", t("import.replaceHint")],
+          ].map(([value, label]) => (
+            <label key={value} className="flex items-center gap-2">
+              <input type="radio" name="import-mode" checked={mode === value} onChange={() => setMode(value)} />
+              {label}
+            </label>
+          ))}
+        </div>
+        <ul className="mt-3 space-y-1 text-gray-600 dark:text-gray-300">
+          <li>{line("todos.title", preview.todos)}</li>
+          <li>{line("habits.title", preview.habits)}</li>
+          <li>{line("notes.title", preview.notes)}</li>
+        </ul>
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-1.5 rounded bg-gray-200 dark:bg-gray-700">
+            {t("common.cancel")}
+          </button>
+          <button
+            onClick={() => onApply(mode)}
+            className={`px-3 py-1.5 rounded text-white ${mode === "replace" ? "bg-red-600" : "bg-accent-600"}`}
+          >
+            {t(mode === "replace" ? "import.replace" : "import.merge")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
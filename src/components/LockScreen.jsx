@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import { Lock } from "lucide-react";
+import { unlockStore } from "../lib/db";
+import { PassphraseError } from "../lib/crypto";
+import { useI18n } from "../store";
+
+// --- Lock screen: shown instead of the app while a passphrase is set and not entered ---
+export default function LockScreen({ onUnlock }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { t, formatError } = useI18n();
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await unlockStore(passphrase);
+      onUnlock();
+    } catch (err) {
+      setError(err instanceof PassphraseError ? t("lock.wrongPassphrase") : formatError(err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <main className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-4">
+      <form onSubmit={submit} className="w-full max-w-sm bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-md space-y-3">
+        <h1 className="flex items-center gap-2 text-xl font-extrabold">
+          <Lock size={20} /> {t("lock.title")}
+        </h1>
+        <label className="block text-sm">
+          {t("lock.passphrase")}
+          <input
+            type="password"
+            autoFocus
+            autoComplete="current-password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className="mt-1 w-full p-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
+          />
+        </label>
+        {error && (
+          <p role="alert" className="text-sm text-red-600">
+            {error}
+          </p>
+        )}
+        <button
+          disabled={!passphrase || busy}
+          className="w-full px-3 py-2 rounded bg-accent-600 text-white text-sm disabled:opacity-50"
+        >
+          {t(busy ? "lock.unlocking" : "lock.unlock")}
+        </button>
+      </form>
+    </main>
+  );
+}
@@ -0,0 +1,138 @@
+import React from "react";
+import { parseMarkdown } from "../lib/markdown";
+import { useI18n } from "../store";
+
+const HEADING_CLASS = [
+  "",
+  "text-lg font-bold",
+  "text-base font-bold",
+  "font-semibold",
+  "font-semibold",
+  "font-medium",
+  "font-medium",
+];
+
+function Inline({ nodes }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "code":
+        return (
+          <code key={i} className="px-1 rounded bg-gray-100 dark:bg-gray-700 text-xs">
+            {n.text}
+          </code>
+        );
+      case "strong":
+        return (
+          <strong key={i}>
+            <Inline nodes={n.children} />
+          </strong>
+        );
+      case "em":
+        return (
+          <em key={i}>
+            <Inline nodes={n.children} />
+          </em>
+        );
+      case "del":
+        return (
+          <del key={i}>
+            <Inline nodes={n.children} />
+          </del>
+        );
+      case "link":
+        return (
+          <a key={i} href={n.href} target="_blank" rel="noreferrer" className="text-accent-600 underline">
+            <Inline nodes={n.children} />
+          </a>
+        );
+      default:
+        return <React.Fragment key={i}>{n.text}</React.Fragment>;
+    }
+  });
+}
+
+const Lines = ({ lines }) =>
+  lines.map((line, i) => (
+    <React.Fragment key={i}>
+      {i > 0 && <br />}
+      <Inline nodes={line} />
+    </React.Fragment>
+  ));
+
+// --- Rendered note; checklist boxes call onToggleTask(sourceLine) ---
+export default function NoteMarkdown({ text, onToggleTask }) {
+  const { t } = useI18n();
+  const blocks = parseMarkdown(text);
+  if (!blocks.length) return <p className="text-sm text-gray-500">{t("notes.emptyNote")}</p>;
+  return (
+    <div className="space-y-2 text-sm break-words">
+      {blocks.map((b, i) => {
+        switch (b.type) {
+          case "heading": {
+            const Tag = `h${b.level}`;
+            return (
+              <Tag key={i} className={HEADING_CLASS[b.level]}>
+                <Inline nodes={b.inline} />
+              </Tag>
+            );
+          }
+          case "list": {
+            const Tag = b.ordered ? "ol" : "ul";
+            const tasks = b.items.every((it) => it.checked != null);
+            return (
+              <Tag
+                key={i}
+                className={tasks ? "space-y-1" : `ps-5 space-y-1 ${b.ordered ? "list-decimal" : "list-disc"}`}
+              >
+                {b.items.map((it) =>
+                  it.checked == null ? (
+                    <li key={it.line}>
+                      <Inline nodes={it.inline} />
+                    </li>
+                  ) : (
+                    <li key={it.line}>
+                      <label className="flex items-start gap-2">
+                        <input
+                          type="checkbox"
+                          className="mt-0.5"
+                          checked={it.checked}
+                          onChange={() => onToggleTask?.(it.line)}
+                        />
+                        <span className={it.checked ? "line-through text-gray-400" : ""}>
+                          <Inline nodes={it.inline} />
+                        </span>
+                      </label>
+                    </li>
+                  )
+                )}
+              </Tag>
+            );
+          }
+          case "quote":
+            return (
+              <blockquote
+                key={i}
+                className="ps-3 border-s-4 border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300"
+              >
+                <Lines lines={b.lines} />
+              </blockquote>
+            );
+          case "code":
+            return (
+              <pre key={i} className="p-2 rounded bg-gray-100 dark:bg-gray-900 text-xs overflow-auto">
+                <code>{b.text}</code>
+              </pre>
+            );
+          case "rule":
+            return <hr key={i} className="border-gray-200 dark:border-gray-700" />;
+          default:
+            return (
+              <p key={i}>
+                <Lines lines={b.lines} />
+              </p>
+            );
+        }
+      })}
+    </div>
+  );
+}
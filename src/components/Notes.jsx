@@ -0,0 +1,152 @@
+import React, { useRef, useState } from "react";
+import { useSearchParams } from "react-router";
+import { Eye, History, Pencil, Pin, PinOff, Plus, Trash } from "lucide-react";
+import { useI18n, useStore } from "../store";
+import { toggleTask } from "../lib/markdown";
+import { noteTitle, sortNotes } from "../lib/notes";
+import NoteMarkdown from "./NoteMarkdown";
+
+// --- Notes card: note list + the open note ---
+// The open note lives in the URL (?note=id) so search results can link to it.
+export default function Notes() {
+  const { notes, addNote, updateNote, setNoteText, restoreNote, deleteNote } = useStore();
+  const { t } = useI18n();
+  const [params, setParams] = useSearchParams();
+  const sorted = sortNotes(notes);
+  const note = notes.find((n) => n.id === params.get("note")) ?? sorted[0];
+  // empty notes open straight into the editor, like the old scratchpad
+  const [editingId, setEditingId] = useState(() => (note && !note.text ? note.id : null));
+  const [showHistory, setShowHistory] = useState(false);
+  const [focusId, setFocusId] = useState(null);
+  const newNoteRef = useRef(null);
+  const editing = editingId != null && editingId === note?.id;
+  const setEditing = (on) => setEditingId(on ? note.id : null);
+
+  const open = (id, edit = !notes.find((n) => n.id === id)?.text) => {
+    setParams((p) => {
+      p.set("note", id);
+      return p;
+    });
+    setEditingId(edit ? id : null);
+    setFocusId(edit ? id : null);
+    setShowHistory(false);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">{t("notes.title")}</h3>
+        <button
+          ref={newNoteRef}
+          onClick={() => open(addNote(), true)}
+          className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+          title={t("notes.new")}
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+      {sorted.length > 1 && (
+        <div className="flex gap-1 overflow-x-auto pb-1 text-xs">
+          {sorted.map((n) => (
+            <button
+              key={n.id}
+              onClick={() => open(n.id)}
+              aria-pressed={n.id === note?.id}
+              className={`shrink-0 max-w-[10rem] truncate px-2 py-1 rounded ${n.id === note?.id ? "bg-accent-600 text-white" : "bg-gray-50 dark:bg-gray-700/40"}`}
+            >
+              {n.pinned && <Pin className="inline w-3 h-3 me-1" />}
+              {noteTitle(n, t("notes.untitled"))}
+            </button>
+          ))}
+        </div>
+      )}
+      {!note ? (
+        <p className="text-sm text-gray-500">{t("notes.empty")}</p>
+      ) : (
+        <div className="mt-2 space-y-2">
+          <div className="flex items-center gap-1">
+            <input
+              value={note.title}
+              onChange={(e) => updateNote(note.id, { title: e.target.value })}
+              aria-label={t("notes.noteTitle")}
+              placeholder={noteTitle(note, t("notes.untitled"))}
+              className="flex-1 min-w-0 p-1 text-sm font-medium rounded bg-transparent border border-transparent focus:border-gray-200 dark:focus:border-gray-700"
+            />
+            <button
+              onClick={() => setEditing(!editing)}
+              title={t(editing ? "notes.preview" : "common.edit")}
+              className="p-1"
+            >
+              {editing ? <Eye className="w-4 h-4" /> : <Pencil className="w-4 h-4" />}
+            </button>
+            <button
+              onClick={() => updateNote(note.id, { pinned: !note.pinned })}
+              title={t(note.pinned ? "notes.unpin" : "notes.pin")}
+              className="p-1"
+            >
+              {note.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+            </button>
+            <button
+              onClick={() => setShowHistory((v) => !v)}
+              title={t("notes.history")}
+              aria-expanded={showHistory}
+              className="p-1 disabled:opacity-40"
+              disabled={!note.history.length}
+            >
+              <History className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => {
+                if (!confirm(t("notes.deleteConfirm", { title: noteTitle(note, t("notes.untitled")) }))) return;
+                deleteNote(note.id);
+                newNoteRef.current?.focus();
+              }}
+              title={t("notes.delete")}
+              className="p-1 rounded-md hover:bg-red-50"
+            >
+              <Trash className="w-4 h-4" />
+            </button>
+          </div>
+          {editing ? (
+            <textarea
+              className="w-full min-h-[100px] sm:min-h-[120px] p-2 rounded-lg text-sm bg-gray-50 dark:bg-gray-700/40"
+              placeholder={t("notes.placeholder")}
+              aria-label={t("notes.text")}
+              value={note.text}
+              onChange={(e) => setNoteText(note.id, e.target.value)}
+              autoFocus={focusId === note.id}
+            />
+          ) : (
+            <div
+              className="min-h-[100px] sm:min-h-[120px] p-2 rounded-lg bg-gray-50 dark:bg-gray-700/40"
+              onDoubleClick={() => setEditing(true)}
+            >
+              <NoteMarkdown
+                text={note.text}
+                onToggleTask={(line) => setNoteText(note.id, toggleTask(note.text, line))}
+              />
+            </div>
+          )}
+          {showHistory && <NoteHistory note={note} onRestore={(at) => restoreNote(note.id, at)} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function NoteHistory({ note, onRestore }) {
+  const { t, formatDateTime } = useI18n();
+  return (
+    <ul className="space-y-1 text-xs max-h-48 overflow-auto">
+      {note.history.map((v) => (
+        <li key={v.at} className="flex items-center gap-2 p-1 rounded bg-gray-50 dark:bg-gray-700/40">
+          <span className="shrink-0 text-gray-500">{formatDateTime(v.at)}</span>
+          <span className="flex-1 truncate">{v.text.slice(0, 80)}</span>
+          <button onClick={() => onRestore(v.at)} className="px-2 py-0.5 rounded bg-accent-600 text-white">
+            {t("notes.restore")}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
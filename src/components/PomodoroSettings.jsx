@@ -0,0 +1,45 @@
+import React from "react";
+import { useI18n } from "../store";
+
+// [setting, label key, min, max]
+const FIELDS = [
+  ["work", "pomodoroSettings.work", 1, 180],
+  ["short", "pomodoroSettings.short", 1, 60],
+  ["long", "pomodoroSettings.long", 1, 120],
+  ["cycles", "pomodoroSettings.cycles", 1, 12],
+];
+
+// --- Pomodoro lengths / cycle count / auto-start ---
+export default function PomodoroSettings({ settings, onChange }) {
+  const { t } = useI18n();
+  const set = (key, min, max) => (e) => {
+    const n = Math.round(Number(e.target.value));
+    if (n >= min && n <= max) onChange({ ...settings, [key]: n });
+  };
+
+  return (
+    <div className="mt-3 grid grid-cols-2 gap-2 text-xs text-start">
+      {FIELDS.map(([key, label, min, max]) => (
+        <label key={key} className="flex flex-col gap-1">
+          <span className="text-gray-500">{t(label)}</span>
+          <input
+            type="number"
+            min={min}
+            max={max}
+            value={settings[key]}
+            onChange={set(key, min, max)}
+            className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+          />
+        </label>
+      ))}
+      <label className="col-span-2 flex items-center gap-2 text-gray-500">
+        <input
+          type="checkbox"
+          checked={settings.autoStart}
+          onChange={(e) => onChange({ ...settings, autoStart: e.target.checked })}
+        />
+        {t("pomodoroSettings.autoStart")}
+      </label>
+    </div>
+  );
+}
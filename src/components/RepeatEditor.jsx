@@ -0,0 +1,49 @@
+import React from "react";
+import { defaultRepeat, REPEATS } from "../lib/todos";
+import { useI18n } from "../store";
+
+// --- Repeat rule picker for a todo: none, daily, weekdays, every N days, monthly on a day ---
+export default function RepeatEditor({ value = null, onChange, className = "" }) {
+  const { t } = useI18n();
+  const clamp = (v, max) => Math.min(max, Math.max(1, Math.round(Number(v)) || 1));
+
+  return (
+    <>
+      <select
+        value={value?.type ?? ""}
+        aria-label={t("repeat.label")}
+        onChange={(e) => onChange(defaultRepeat(e.target.value))}
+        className={className}
+      >
+        <option value="">{t("repeat.none")}</option>
+        {REPEATS.map((type) => (
+          <option key={type} value={type}>
+            {t(`repeat.${type}`)}
+          </option>
+        ))}
+      </select>
+      {value?.type === "interval" && (
+        <input
+          type="number"
+          min={1}
+          max={365}
+          value={value.days}
+          aria-label={t("repeat.days")}
+          onChange={(e) => onChange({ ...value, days: clamp(e.target.value, 365) })}
+          className={`${className} w-16`}
+        />
+      )}
+      {value?.type === "monthly" && (
+        <input
+          type="number"
+          min={1}
+          max={31}
+          value={value.day}
+          aria-label={t("repeat.dayOfMonth")}
+          onChange={(e) => onChange({ ...value, day: clamp(e.target.value, 31) })}
+          className={`${className} w-14`}
+        />
+      )}
+    </>
+  );
+}
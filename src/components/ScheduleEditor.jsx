@@ -0,0 +1,57 @@
+import React from "react";
+import { DAILY } from "../lib/habits";
+import { useI18n } from "../store";
+
+// --- Habit schedule picker: daily, specific weekdays, or N times per week ---
+export default function ScheduleEditor({ value = DAILY, onChange }) {
+  const { t, weekdayName } = useI18n();
+  const setType = (type) => {
+    if (type === "days") onChange({ type, days: [0, 2, 4] });
+    else if (type === "weekly") onChange({ type, times: 3 });
+    else onChange(DAILY);
+  };
+  const toggleDay = (d) => {
+    const days = value.days.includes(d) ? value.days.filter((x) => x !== d) : [...value.days, d].sort();
+    if (days.length) onChange({ ...value, days });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <select
+        value={value.type}
+        aria-label={t("schedule.label")}
+        onChange={(e) => setType(e.target.value)}
+        className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+      >
+        <option value="daily">{t("schedule.daily")}</option>
+        <option value="days">{t("schedule.onDays")}</option>
+        <option value="weekly">{t("schedule.timesPerWeek")}</option>
+      </select>
+      {value.type === "days" &&
+        [0, 1, 2, 3, 4, 5, 6].map((d) => (
+          <button
+            key={d}
+            type="button"
+            onClick={() => toggleDay(d)}
+            aria-pressed={value.days.includes(d)}
+            className={`px-1.5 py-0.5 rounded ${
+              value.days.includes(d) ? "bg-accent-600 text-white" : "bg-gray-100 dark:bg-gray-600"
+            }`}
+          >
+            {weekdayName(d)}
+          </button>
+        ))}
+      {value.type === "weekly" && (
+        <input
+          type="number"
+          min={1}
+          max={7}
+          value={value.times}
+          aria-label={t("schedule.timesPerWeek")}
+          onChange={(e) => onChange({ ...value, times: Math.min(7, Math.max(1, Number(e.target.value) || 1)) })}
+          className="w-14 p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+        />
+      )}
+    </div>
+  );
+}
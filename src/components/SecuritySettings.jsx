@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { setEncryption, unlockStore } from "../lib/db";
+import { PassphraseError } from "../lib/crypto";
+import { useI18n } from "../store";
+
+const MIN_LENGTH = 8;
+const AUTO_LOCK = [0, 1, 5, 15, 60]; // minutes, 0 = never
+
+// --- Encryption at rest: passphrase on/off/change, lock now, auto-lock ---
+// Turning it on, off or changing the passphrase rewrites every stored record
+// and locks the other open windows (see setEncryption in db.js).
+export default function SecuritySettings({ encrypted, onEncryptedChange, autoLock, onAutoLockChange, onLockNow }) {
+  const [form, setForm] = useState(null); // null | "on" | "change" | "off"
+  const [current, setCurrent] = useState("");
+  const [passphrase, setPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { t } = useI18n();
+
+  const open = (which) => {
+    setForm(which);
+    setCurrent("");
+    setPassphrase("");
+    setConfirm("");
+    setError(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (form !== "off" && passphrase.length < MIN_LENGTH)
+      return setError(t("security.tooShort", { count: MIN_LENGTH }));
+    if (form !== "off" && passphrase !== confirm) return setError(t("security.mismatch"));
+    setBusy(true);
+    try {
+      if (form !== "on") await unlockStore(current);
+      await setEncryption(form === "off" ? null : passphrase);
+      onEncryptedChange(form !== "off");
+      setForm(null);
+    } catch (err) {
+      setError(err instanceof PassphraseError ? t("lock.wrongPassphrase") : err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const field = (label, value, set, autoComplete) => (
+    <label className="flex items-center justify-between gap-2">
+      {label}
+      <input
+        type="password"
+        value={value}
+        autoComplete={autoComplete}
+        onChange={(e) => set(e.target.value)}
+        className="flex-1 max-w-56 p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+      />
+    </label>
+  );
+
+  return (
+    <div className="mt-2 space-y-2 text-xs text-start">
+      {encrypted ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-gray-600 dark:text-gray-300">{t("security.on")}</span>
+          <button onClick={onLockNow} className="px-2 py-1 rounded bg-accent-600 text-white">
+            {t("security.lockNow")}
+          </button>
+          <label className="flex items-center gap-1">
+            {t("security.autoLock")}
+            <select
+              value={autoLock}
+              onChange={(e) => onAutoLockChange(Number(e.target.value))}
+              className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+            >
+              {AUTO_LOCK.map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {minutes === 0
+                    ? t("security.never")
+                    : minutes % 60
+                      ? t("security.afterMinutes", { count: minutes })
+                      : t("security.afterHours", { count: minutes / 60 })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button onClick={() => open("change")} className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700">
+            {t("security.change")}
+          </button>
+          <button onClick={() => open("off")} className="px-2 py-1 rounded bg-red-50 text-red-600">
+            {t("security.turnOff")}
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-gray-600 dark:text-gray-300">{t("security.offHint")}</span>
+          <button onClick={() => open("on")} className="px-2 py-1 rounded bg-accent-600 text-white">
+            {t("security.set")}
+          </button>
+        </div>
+      )}
+      {form && (
+        <form onSubmit={submit} className="space-y-2 max-w-sm">
+          {form !== "on" && field(t("security.current"), current, setCurrent, "current-password")}
+          {form !== "off" && field(t("security.new"), passphrase, setPassphrase, "new-password")}
+          {form !== "off" && field(t("security.repeat"), confirm, setConfirm, "new-password")}
+          {form !== "off" && <p className="text-gray-500">{t("security.warning")}</p>}
+          {error && <p className="text-red-600">{error}</p>}
+          <div className="flex gap-2">
+            <button disabled={busy} className="px-2 py-1 rounded bg-accent-600 text-white disabled:opacity-50">
+              {t(busy ? "security.working" : form === "off" ? "security.decrypt" : "security.save")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700"
+            >
+              {t("common.cancel")}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
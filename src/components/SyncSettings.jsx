@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from "react";
+import { ADAPTERS } from "../sync/adapters";
+import { pendingCount } from "../sync/outbox";
+import { useI18n } from "../store";
+
+// --- Backend sync: adapter, endpoint, on/off, outbox status ---
+export default function SyncSettings({ sync }) {
+  const { config, updateConfig, status, syncNow } = sync;
+  const [endpoint, setEndpoint] = useState(config.endpoint);
+  const [pending, setPending] = useState(null);
+  const { t, formatClock } = useI18n();
+
+  useEffect(() => {
+    const refresh = () => pendingCount().then(setPending, () => setPending(null));
+    refresh();
+    const timer = setInterval(refresh, 3000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="mt-2 space-y-2 text-xs text-start">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={config.enabled}
+            onChange={(e) => updateConfig({ ...config, endpoint, enabled: e.target.checked })}
+          />
+          {t("sync.enable")}
+        </label>
+        <select
+          value={config.adapter}
+          aria-label={t("sync.adapter")}
+          onChange={(e) => updateConfig({ ...config, adapter: e.target.value })}
+          className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+        >
+          {Object.keys(ADAPTERS).map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          value={endpoint}
+          onChange={(e) => setEndpoint(e.target.value)}
+          onBlur={() => endpoint !== config.endpoint && updateConfig({ ...config, endpoint })}
+          placeholder="https://example.com/api"
+          aria-label={t("sync.endpoint")}
+          className="flex-1 min-w-40 p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+        />
+      </div>
+      {config.enabled && (
+        <div className="flex items-center justify-between gap-2 text-gray-500">
+          <span>
+            {t("sync.pending", { count: pending ?? "?" })}
+            {status &&
+              ` · ${
+                status.ok
+                  ? t(status.pulled ? "sync.lastReceived" : "sync.last", {
+                      time: formatClock(status.at),
+                      count: status.pulled,
+                    })
+                  : t("sync.failed", { message: status.message })
+              }`}
+          </span>
+          <button onClick={syncNow} className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700">
+            {t("sync.now")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { Plus, Trash } from "lucide-react";
+import { useI18n, useStore } from "../store";
+import { templateItems } from "../lib/todos";
+
+// --- Checklist templates: a named list of todos added in one go ("Release day") ---
+export default function Templates() {
+  const { templates, addTemplate, deleteTemplate, applyTemplate } = useStore();
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [items, setItems] = useState("");
+  const field = "p-1 rounded bg-gray-50 dark:bg-gray-700/50";
+
+  const save = (e) => {
+    e.preventDefault();
+    const list = templateItems(items);
+    if (!name.trim() || !list.length) return;
+    addTemplate(name, list);
+    setName("");
+    setItems("");
+  };
+
+  return (
+    <div className="mt-3 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/40 text-xs space-y-2">
+      <h3 className="font-medium text-sm">{t("templates.title")}</h3>
+      <ul className="space-y-1">
+        {templates.map((x) => (
+          <li key={x.id} className="flex items-center gap-2">
+            <span className="flex-1 min-w-0 truncate" title={x.items.join("\n")}>
+              {x.name} <span className="text-gray-500">· {t("templates.count", { count: x.items.length })}</span>
+            </span>
+            <button
+              onClick={() => applyTemplate(x.id)}
+              aria-label={t("templates.apply", { name: x.name })}
+              className="flex items-center gap-1 px-2 py-1 rounded bg-accent-600 text-white"
+            >
+              <Plus className="w-3 h-3" />
+              {t("common.add")}
+            </button>
+            <button onClick={() => deleteTemplate(x.id)} aria-label={t("common.deleteItem", { name: x.name })}>
+              <Trash className="w-3 h-3" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      {templates.length === 0 && <p className="text-gray-500">{t("templates.empty")}</p>}
+      <form onSubmit={save} className="space-y-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("templates.namePlaceholder")}
+          aria-label={t("templates.name")}
+          className={`${field} w-full`}
+        />
+        <textarea
+          value={items}
+          onChange={(e) => setItems(e.target.value)}
+          rows={3}
+          placeholder={t("templates.itemsPlaceholder")}
+          aria-label={t("templates.items")}
+          className={`${field} w-full`}
+        />
+        <button type="submit" className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-600">
+          {t("templates.save")}
+        </button>
+      </form>
+    </div>
+  );
+}
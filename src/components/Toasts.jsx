@@ -0,0 +1,36 @@
+import React from "react";
+import { X } from "lucide-react";
+import { useI18n } from "../store";
+
+// --- Toast stack, bottom corner (right, or left in RTL); each toast may carry one action button ---
+// The live region stays mounted even when empty: screen readers skip text
+// that arrives together with a brand-new region.
+export default function Toasts({ toasts, onDismiss }) {
+  const { t } = useI18n();
+  return (
+    <div className="fixed bottom-4 end-4 z-50 flex flex-col gap-2 max-w-sm" role="status" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className="flex items-center gap-3 p-3 rounded-xl shadow-md bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-gray-100"
+        >
+          <span className="flex-1">{toast.text}</span>
+          {toast.action && (
+            <button
+              onClick={() => {
+                toast.action.run();
+                onDismiss(toast.id);
+              }}
+              className="px-2 py-1 rounded bg-accent-600 text-white text-xs"
+            >
+              {toast.action.label}
+            </button>
+          )}
+          <button onClick={() => onDismiss(toast.id)} title={t("common.dismiss")}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
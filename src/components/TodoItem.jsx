@@ -0,0 +1,252 @@
+import React, { useEffect, useRef, useState } from "react";
+import { CheckCircle, ChevronDown, Pencil, Repeat, Trash, X } from "lucide-react";
+import { useI18n, useStore } from "../store";
+import { focusNeighbour } from "../lib/focus";
+import { uid } from "../lib/uid";
+import {
+  describeRepeat,
+  dueDate,
+  firstDue,
+  isOverdue,
+  PRIORITIES,
+  PRIORITY_CLASS,
+  subtaskProgress,
+} from "../lib/todos";
+import RepeatEditor from "./RepeatEditor";
+
+// --- One todo row: inline edit, badges, and an expandable details panel ---
+// `active`: picked with j/k on Home
+export default function TodoItem({ todo: t, active = false }) {
+  const { toggleTodo, updateTodo, delTodo } = useStore();
+  const i18n = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [open, setOpen] = useState(false);
+  const rowRef = useRef(null);
+  const overdue = isOverdue(t);
+  const progress = subtaskProgress(t);
+
+  const saveText = (value) => {
+    setEditing(false);
+    if (value.trim() && value.trim() !== t.text) updateTodo(t.id, { text: value.trim() });
+  };
+
+  useEffect(() => {
+    if (active) rowRef.current?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  return (
+    <div
+      ref={rowRef}
+      role="listitem"
+      className={`bg-gray-50 dark:bg-gray-700/40 p-2 rounded-lg text-sm ${overdue ? "ring-1 ring-red-400" : ""} ${
+        active ? "outline-2 outline-accent-500" : ""
+      }`}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 sm:gap-3 min-w-0 flex-1">
+          <button
+            onClick={() => toggleTodo(t.id)}
+            aria-label={i18n.t("todo.done", { text: t.text })}
+            aria-pressed={t.done}
+          >
+            <CheckCircle className={`w-5 h-5 ${t.done ? "text-green-500" : "text-gray-400"}`} />
+          </button>
+          <div className="min-w-0 flex-1">
+            {editing ? (
+              <input
+                autoFocus
+                defaultValue={t.text}
+                aria-label={i18n.t("todo.text")}
+                className="w-full p-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent"
+                onBlur={(e) => saveText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") saveText(e.target.value);
+                  if (e.key === "Escape") setEditing(false);
+                }}
+              />
+            ) : (
+              <div
+                onDoubleClick={() => setEditing(true)}
+                className={`${t.done ? "line-through text-gray-400" : ""} ${PRIORITY_CLASS[t.priority ?? 0]}`}
+              >
+                {t.text}
+              </div>
+            )}
+            <div className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500">
+              {t.due ? (
+                <span className={overdue ? "text-red-600 font-medium" : ""}>
+                  {i18n.t(overdue ? "todo.overdue" : "todo.due", {
+                    when: t.dueTime ? i18n.formatDateTime(dueDate(t)) : i18n.formatDay(t.due),
+                  })}
+                </span>
+              ) : (
+                <span>{i18n.formatDateTime(t.created)}</span>
+              )}
+              {t.repeat && (
+                <span className="flex items-center gap-0.5">
+                  <Repeat className="w-3 h-3" aria-hidden="true" />
+                  {describeRepeat(t.repeat, i18n)}
+                </span>
+              )}
+              {progress.total > 0 && (
+                <span>{i18n.t("todo.subtasks", { done: progress.done, count: progress.total })}</span>
+              )}
+              {(t.tags ?? []).map((tag) => (
+                <span
+                  key={tag}
+                  className="px-1 rounded bg-accent-50 text-accent-600 dark:bg-accent-900/40 dark:text-accent-300"
+                >
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center">
+          <button
+            onClick={() => setEditing(true)}
+            className="p-1 rounded-md"
+            title={i18n.t("common.edit")}
+            aria-label={i18n.t("todo.edit", { text: t.text })}
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setOpen((o) => !o)}
+            className="p-1 rounded-md"
+            title={i18n.t("todo.details")}
+            aria-label={i18n.t("todo.detailsOf", { text: t.text })}
+            aria-expanded={open}
+          >
+            <ChevronDown
+              className={`w-4 h-4 transition-transform motion-reduce:transition-none ${open ? "rotate-180" : ""}`}
+            />
+          </button>
+          <button
+            onClick={() => {
+              focusNeighbour(rowRef.current);
+              delTodo(t.id);
+            }}
+            aria-label={i18n.t("common.deleteItem", { name: t.text })}
+            data-row-focus
+            className="p-1 rounded-md hover:bg-red-50"
+          >
+            <Trash className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      {open && <TodoDetails todo={t} onChange={(patch) => updateTodo(t.id, patch)} />}
+    </div>
+  );
+}
+
+function TodoDetails({ todo: t, onChange }) {
+  const [tagDraft, setTagDraft] = useState("");
+  const [subDraft, setSubDraft] = useState("");
+  const i18n = useI18n();
+  const subtasks = t.subtasks ?? [];
+  const field = "p-1 rounded bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700";
+
+  const addTag = () => {
+    const tag = tagDraft.trim().replace(/^#/, "").toLowerCase();
+    setTagDraft("");
+    if (tag && !(t.tags ?? []).includes(tag)) onChange((cur) => ({ tags: [...(cur.tags ?? []), tag] }));
+  };
+  const addSubtask = () => {
+    if (!subDraft.trim()) return;
+    const sub = { id: uid(), text: subDraft.trim(), done: false };
+    setSubDraft("");
+    onChange((cur) => ({ subtasks: [...(cur.subtasks ?? []), sub] }));
+  };
+  const setSubtasks = (fn) => onChange((cur) => ({ subtasks: fn(cur.subtasks ?? []) }));
+
+  return (
+    <div className="mt-2 ps-7 space-y-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="date"
+          value={t.due ?? ""}
+          aria-label={i18n.t("todo.dueDate")}
+          onChange={(e) => onChange({ due: e.target.value || null, ...(e.target.value ? {} : { dueTime: null }) })}
+          className={field}
+        />
+        <input
+          type="time"
+          value={t.dueTime ?? ""}
+          aria-label={i18n.t("todo.dueTime")}
+          disabled={!t.due}
+          onChange={(e) => onChange({ dueTime: e.target.value || null })}
+          className={field}
+        />
+        <select
+          value={t.priority ?? 0}
+          aria-label={i18n.t("filter.priority")}
+          onChange={(e) => onChange({ priority: Number(e.target.value) })}
+          className={field}
+        >
+          {PRIORITIES.map((label, i) => (
+            <option key={label} value={i}>
+              {i18n.t(i ? "todo.priorityOption" : "todo.noPriority", { priority: i18n.t(`priority.${i}`) })}
+            </option>
+          ))}
+        </select>
+        <RepeatEditor
+          value={t.repeat}
+          onChange={(repeat) => onChange({ repeat, ...(repeat && !t.due ? { due: firstDue(repeat) } : {}) })}
+          className={field}
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-1">
+        {(t.tags ?? []).map((tag) => (
+          <span
+            key={tag}
+            className="flex items-center gap-0.5 px-1 rounded bg-accent-50 text-accent-600 dark:bg-accent-900/40 dark:text-accent-300"
+          >
+            #{tag}
+            <button
+              onClick={() => onChange((cur) => ({ tags: cur.tags.filter((x) => x !== tag) }))}
+              aria-label={i18n.t("todo.removeTag", { tag })}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          value={tagDraft}
+          placeholder={i18n.t("todo.addTag")}
+          aria-label={i18n.t("todo.addTag")}
+          onChange={(e) => setTagDraft(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addTag()}
+          className={`${field} w-24`}
+        />
+      </div>
+      <div className="space-y-1">
+        {subtasks.map((s) => (
+          <div key={s.id} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={s.done}
+              aria-label={s.text}
+              onChange={() => setSubtasks((subs) => subs.map((x) => (x.id === s.id ? { ...x, done: !x.done } : x)))}
+            />
+            <span className={`flex-1 ${s.done ? "line-through text-gray-400" : ""}`}>{s.text}</span>
+            <button
+              onClick={() => setSubtasks((subs) => subs.filter((x) => x.id !== s.id))}
+              aria-label={i18n.t("todo.removeSubtask", { text: s.text })}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        <input
+          value={subDraft}
+          placeholder={i18n.t("todo.subtaskPlaceholder")}
+          aria-label={i18n.t("todo.newSubtask")}
+          onChange={(e) => setSubDraft(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addSubtask()}
+          className={`${field} w-full`}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import { useDialog } from "../hooks/useDialog";
+import { useI18n } from "../store";
+
+// --- "What's new" dialog, fed by src/changelog.js (the entries stay in English) ---
+export default function WhatsNew({ entries, onClose }) {
+  const dialog = useDialog(onClose);
+  const { t, formatDay } = useI18n();
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="whats-new-title"
+        {...dialog}
+        className="w-full max-w-md max-h-[80vh] overflow-auto bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="whats-new-title" className="font-semibold text-lg">
+          {t("whatsNew.title")}
+        </h2>
+        {entries.map((entry) => (
+          <section key={entry.version} className="mt-3">
+            <h3 className="font-medium">
+              {entry.version} <span className="text-xs text-gray-500">· {formatDay(entry.date)}</span>
+            </h3>
+            <ul className="mt-1 list-disc ps-5 space-y-1 text-gray-600 dark:text-gray-300">
+              {entry.items.map((item) => (
+                <li key={item}>{item}</li>
+              ))}
+            </ul>
+          </section>
+        ))}
+        <div className="mt-4 flex justify-end">
+          <button onClick={onClose} className="px-3 py-1.5 rounded bg-accent-600 text-white">
+            {t("whatsNew.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// --- Screen-reader announcements ---
+// `message` goes into one polite live region (App renders it). The region is
+// cleared first so the same text said twice is still read, and the last call
+// within a moment wins, so a batch of changes reads as one sentence.
+export function useAnnouncer() {
+  const [message, setMessage] = useState("");
+  const timer = useRef(null);
+
+  const announce = useCallback((text) => {
+    setMessage("");
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => setMessage(text), 100);
+  }, []);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  return [message, announce];
+}
@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from "react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+
+// A text field with something in it has focus: reloading now would lose it.
+const isTyping = () => {
+  const el = document.activeElement;
+  if (el?.isContentEditable) return Boolean(el.textContent.trim());
+  return (el?.tagName === "TEXTAREA" || (el?.tagName === "INPUT" && el.type === "text")) && Boolean(el.value.trim());
+};
+
+// --- Service worker updates ---
+// registerType is "prompt": a new SW waits until the user asks for it. The
+// reload is then held back while `busy` (a running timer) or while typing, and
+// retried every couple of seconds until it's safe. `t` translates the toasts.
+export function useAppUpdate(busy, showToast, t) {
+  const {
+    needRefresh: [needRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisterError: (err) => console.error("DailyFlow: service worker registration failed", err),
+  });
+  const [wanted, setWanted] = useState(false);
+  const busyRef = useRef(busy);
+  busyRef.current = busy;
+  const showToastRef = useRef(showToast);
+  showToastRef.current = showToast;
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  useEffect(() => {
+    if (!offlineReady) return;
+    showToastRef.current(tRef.current("update.offlineReady"));
+    setOfflineReady(false);
+  }, [offlineReady, setOfflineReady]);
+
+  useEffect(() => {
+    if (!needRefresh) return;
+    showToastRef.current(tRef.current("update.available"), {
+      label: tRef.current("update.reload"),
+      run: () => setWanted(true),
+    });
+  }, [needRefresh]);
+
+  useEffect(() => {
+    if (!wanted) return;
+    const ready = () => !busyRef.current && !isTyping();
+    if (ready()) return void updateServiceWorker(true);
+    showToastRef.current(tRef.current("update.waiting"));
+    const interval = setInterval(() => {
+      if (!ready()) return;
+      clearInterval(interval);
+      updateServiceWorker(true);
+    }, 2000);
+    return () => clearInterval(interval);
+  }, [wanted, updateServiceWorker]);
+}
@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from "react";
+
+// --- Modal dialog behaviour ---
+// Focus moves into the dialog (unless something in it is autofocused), Tab
+// cycles inside it, Escape closes it, and on close focus goes back to
+// whatever had it before. Spread the result onto the role="dialog" element.
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "summary",
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+export function useDialog(onClose) {
+  const ref = useRef(null);
+  const mounted = useRef(false);
+  // read while rendering: an autoFocus inside the dialog takes focus before any effect runs
+  const [opener] = useState(() => document.activeElement);
+
+  useEffect(() => {
+    const dialog = ref.current;
+    if (!dialog.contains(document.activeElement)) (dialog.querySelector(FOCUSABLE) ?? dialog).focus();
+  }, []);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+      // StrictMode remounts right away; only a real close hands focus back
+      queueMicrotask(() => !mounted.current && opener?.isConnected && opener.focus?.());
+    };
+  }, [opener]);
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== "Tab") return;
+    const items = [...ref.current.querySelectorAll(FOCUSABLE)];
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (!items.length || (e.shiftKey ? document.activeElement === first : document.activeElement === last)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first)?.focus();
+    }
+  };
+
+  return { ref, tabIndex: -1, onKeyDown };
+}
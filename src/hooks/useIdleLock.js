@@ -0,0 +1,27 @@
+import { useEffect, useRef } from "react";
+
+// --- Auto-lock ---
+// Calls `onLock` once this window has seen no input for `minutes` (0 = never).
+// Time spent hidden counts as idle; a running Pomodoro holds the lock off.
+const ACTIVITY = ["pointerdown", "keydown", "wheel", "touchstart"];
+const CHECK_EVERY = 15 * 1000;
+
+export function useIdleLock(minutes, onLock, { paused = false } = {}) {
+  const lockRef = useRef(onLock);
+  lockRef.current = onLock;
+
+  useEffect(() => {
+    if (!minutes || paused) return;
+    let last = Date.now();
+    const touch = () => (last = Date.now());
+    const check = () => Date.now() - last >= minutes * 60 * 1000 && lockRef.current?.();
+    ACTIVITY.forEach((type) => window.addEventListener(type, touch, { passive: true }));
+    document.addEventListener("visibilitychange", check);
+    const timer = setInterval(check, CHECK_EVERY);
+    return () => {
+      ACTIVITY.forEach((type) => window.removeEventListener(type, touch));
+      document.removeEventListener("visibilitychange", check);
+      clearInterval(timer);
+    };
+  }, [minutes, paused]);
+}
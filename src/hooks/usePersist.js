@@ -0,0 +1,60 @@
+import { useEffect, useRef } from "react";
+import { writeDiff } from "../lib/db";
+
+// Persists a list (todos, habits, ...) by diffing it against the last written version.
+// With `delay`, bursts of edits (typing in a note) become one write.
+export function usePersistList(name, list, { enabled = true, delay = 0, onError } = {}) {
+  const prevRef = useRef(list);
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || prevRef.current === list) return;
+    const run = () => {
+      pendingRef.current = null;
+      const prev = prevRef.current;
+      prevRef.current = list;
+      writeDiff(name, prev, list).catch(onError);
+    };
+    if (!delay) return run();
+    pendingRef.current = run;
+    const timer = setTimeout(run, delay);
+    return () => clearTimeout(timer);
+  }, [name, list, enabled, delay, onError]);
+
+  useFlushOnLeave(pendingRef);
+}
+
+// Persists a single value, optionally debounced.
+export function usePersistValue(write, value, { enabled = true, delay = 0, onError } = {}) {
+  const prevRef = useRef(value);
+  const pendingRef = useRef(null);
+  const writeRef = useRef(write);
+  writeRef.current = write;
+
+  useEffect(() => {
+    if (!enabled || prevRef.current === value) return;
+    prevRef.current = value;
+    const run = () => {
+      pendingRef.current = null;
+      Promise.resolve(writeRef.current(value)).catch(onError);
+    };
+    if (!delay) return run();
+    pendingRef.current = run;
+    const timer = setTimeout(run, delay);
+    return () => clearTimeout(timer);
+  }, [value, enabled, delay, onError]);
+
+  useFlushOnLeave(pendingRef);
+}
+
+// write whatever is still held back by the debounce when the tab goes away
+function useFlushOnLeave(pendingRef) {
+  useEffect(() => {
+    const flush = () => pendingRef.current?.();
+    window.addEventListener("pagehide", flush);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      flush();
+    };
+  }, [pendingRef]);
+}
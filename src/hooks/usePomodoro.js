@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  catchUp,
+  abandon,
+  DEFAULT_SETTINGS,
+  idleTimer,
+  isRunning,
+  pauseTimer,
+  phaseSeconds,
+  secondsLeft,
+  startTimer,
+} from "../lib/pomodoro";
+
+// --- Pomodoro Hook ---
+// `initialTimer` is the persisted engine state, so a reload (or reopening the
+// installed app) resumes a running session. `onSession(session)` fires once
+// per finished phase (including ones that ended while closed) and once per
+// abandoned one; see toSession() for the shape. With several windows open only
+// the `leader` (useTabLeader) moves phases on; the others follow its writes.
+export function usePomodoro(initialSettings, initialTimer, onSession, { leader = true } = {}) {
+  const [settings, setSettings] = useState({ ...DEFAULT_SETTINGS, ...initialSettings });
+  // older saved timers predate duration/startedAt/todoId
+  const [timer, setTimer] = useState(() => ({ ...idleTimer(settings, initialTimer?.mode), ...initialTimer }));
+  const [now, setNow] = useState(Date.now);
+  const onSessionRef = useRef(onSession);
+  onSessionRef.current = onSession;
+  const handledRef = useRef(null);
+  const settingsRef = useRef(settings);
+  const running = isRunning(timer);
+
+  // ticks only repaint; the remaining time is always derived from endsAt
+  useEffect(() => {
+    if (!running) return;
+    const tick = () => setNow(Date.now());
+    const interval = setInterval(tick, 500);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [running]);
+
+  // the phase switch happens here; handledRef guards against StrictMode running the effect twice
+  useEffect(() => {
+    if (!leader || !running || timer.endsAt > now || handledRef.current === timer.endsAt) return;
+    handledRef.current = timer.endsAt;
+    const { timer: next, finished } = catchUp(timer, settings, now);
+    finished.forEach((session) => onSessionRef.current?.(session));
+    setTimer(next);
+  }, [leader, running, timer, now, settings]);
+
+  // new lengths apply straight away to an untouched idle phase
+  useEffect(() => {
+    const prev = settingsRef.current;
+    settingsRef.current = settings;
+    setTimer((t) =>
+      !isRunning(t) && t.remaining === phaseSeconds(prev, t.mode)
+        ? { ...t, remaining: phaseSeconds(settings, t.mode) }
+        : t
+    );
+  }, [settings]);
+
+  const leavePhase = (next) => {
+    const session = abandon(timer);
+    if (session) onSessionRef.current?.(session);
+    setTimer(next);
+  };
+
+  return {
+    settings,
+    setSettings,
+    timer,
+    mode: timer.mode,
+    secondsLeft: secondsLeft(timer, now),
+    running,
+    start: () => {
+      setNow(Date.now());
+      setTimer((t) => startTimer(t));
+    },
+    pause: () => setTimer((t) => pauseTimer(t)),
+    reset: () => leavePhase(idleTimer(settings, "work", { todoId: timer.todoId })),
+    setPreset: (k) => leavePhase(idleTimer(settings, k, timer)),
+    setTodo: (todoId) => setTimer((t) => ({ ...t, todoId: todoId || null })),
+    // another window's timer, as written to IndexedDB
+    adoptTimer: setTimer,
+  };
+}
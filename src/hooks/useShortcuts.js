@@ -0,0 +1,48 @@
+import { useEffect, useRef } from "react";
+
+// --- Keyboard shortcuts ---
+// `keys`: { "mod+k": fn, "j": fn, "space": fn, ... }; "mod" is Cmd on macOS and
+// Ctrl elsewhere. Single keys are ignored while typing in a field, mod combos
+// work everywhere. Keys match what was typed (case aside), so "?" needs no "shift+".
+export const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export const isEditable = (el) =>
+  el?.isContentEditable ||
+  el?.tagName === "TEXTAREA" ||
+  el?.tagName === "SELECT" ||
+  (el?.tagName === "INPUT" && !["checkbox", "radio", "button", "submit", "range"].includes(el.type));
+
+function comboOf(e) {
+  const mod = IS_MAC ? e.metaKey : e.ctrlKey;
+  const key = e.key === " " ? "space" : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  if (e.altKey || (IS_MAC ? e.ctrlKey : e.metaKey)) return null;
+  return mod ? `mod+${key}` : key;
+}
+
+export function useShortcuts(keys, { enabled = true } = {}) {
+  const ref = useRef(keys);
+  ref.current = keys;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+      const combo = comboOf(e);
+      const fn = combo && ref.current[combo];
+      if (!fn || (!combo.startsWith("mod+") && isEditable(e.target))) return;
+      // Space on a focused button or link should still press it
+      if (combo === "space" && e.target.closest?.("button, a, summary")) return;
+      e.preventDefault();
+      fn(e);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
+
+// "mod+k" -> "⌘K" / "Ctrl+K", for hints next to commands
+export const keyLabel = (combo) =>
+  combo
+    .split("+")
+    .map((k) => (k === "mod" ? (IS_MAC ? "⌘" : "Ctrl+") : k === "space" ? "Space" : k.toUpperCase()))
+    .join("");
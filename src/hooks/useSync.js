@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from "react";
+import { enqueueSnapshot, putSetting, setOutboxEnabled } from "../lib/db";
+import { DEFAULT_SYNC } from "../sync/adapters";
+import { requestSync } from "../sync/client";
+
+// --- Sync wiring for the page ---
+// Config is written straight to IndexedDB (not through usePersistValue) because
+// the service worker reads it from there and must see it before we ask it to sync.
+// `lists` are the synced lists; any change to one schedules a sync shortly after.
+// Two-way adapters also pull, so we sync now and then while the app is visible.
+const PULL_INTERVAL = 60 * 1000;
+
+export function useSync(initial, { todos, habits, notes, sessions }) {
+  const [config, setConfig] = useState({ ...DEFAULT_SYNC, ...initial });
+  const [status, setStatus] = useState(null);
+  const configRef = useRef(config);
+  configRef.current = config;
+
+  // before the persist effects below it in App, so this render's writes are queued too
+  useEffect(() => setOutboxEnabled(config.enabled), [config.enabled]);
+
+  const syncNow = () =>
+    requestSync().then(
+      (result) => result && setStatus({ ok: true, at: Date.now(), ...result }),
+      (err) => setStatus({ ok: false, at: Date.now(), message: err.message })
+    );
+
+  const updateConfig = async (next) => {
+    const prev = configRef.current;
+    setOutboxEnabled(next.enabled);
+    setConfig(next);
+    await putSetting("sync", next);
+    // first switch-on (or a different backend): it has nothing yet, so queue everything
+    const fresh = !prev.enabled || prev.endpoint !== next.endpoint || prev.adapter !== next.adapter;
+    if (next.enabled && fresh) await enqueueSnapshot();
+    if (next.enabled) syncNow();
+  };
+
+  useEffect(() => {
+    if (!config.enabled) return;
+    const timer = setTimeout(syncNow, 2000);
+    return () => clearTimeout(timer);
+  }, [config.enabled, todos, habits, notes, sessions]);
+
+  useEffect(() => {
+    if (!config.enabled) return;
+    const onMessage = (e) => {
+      if (e.data?.type === "outbox-flushed") setStatus({ ok: true, at: Date.now(), ...e.data });
+      if (e.data?.type === "outbox-error") setStatus({ ok: false, at: Date.now(), message: e.data.message });
+    };
+    const pull = () => document.visibilityState === "visible" && syncNow();
+    const interval = setInterval(pull, PULL_INTERVAL);
+    window.addEventListener("online", syncNow);
+    document.addEventListener("visibilitychange", pull);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("online", syncNow);
+      document.removeEventListener("visibilitychange", pull);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, [config.enabled]);
+
+  // another window changed the config; it has already stored it and queued the snapshot
+  const adoptConfig = (next) => {
+    setOutboxEnabled(next.enabled);
+    setConfig(next);
+  };
+
+  return { config, updateConfig, adoptConfig, status, syncNow };
+}
@@ -0,0 +1,17 @@
+import { useEffect, useState } from "react";
+import { systemQuery } from "../lib/theme";
+
+// --- prefers-color-scheme, kept live so "system" follows the OS switching at sunset ---
+export function useSystemDark() {
+  const [dark, setDark] = useState(() => systemQuery()?.matches ?? false);
+
+  useEffect(() => {
+    const query = systemQuery();
+    if (!query) return;
+    const onChange = (e) => setDark(e.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+
+  return dark;
+}
@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+
+// --- One window in charge ---
+// Whoever holds this Web Lock is the leader: it runs Pomodoro phase changes and
+// todo reminders, so two open windows don't log the same session twice or chime
+// in stereo. The lock passes to the next window when the leader closes.
+// Without Web Locks every window leads, as before.
+const LOCK = "dailyflow-leader";
+
+export function useTabLeader() {
+  const [leader, setLeader] = useState(() => !globalThis.navigator?.locks);
+
+  useEffect(() => {
+    if (!navigator.locks) return;
+    const abort = new AbortController();
+    let release = null;
+    navigator.locks
+      .request(LOCK, { signal: abort.signal }, () => {
+        setLeader(true);
+        return new Promise((resolve) => (release = resolve));
+      })
+      .catch(() => {});
+    return () => {
+      abort.abort();
+      release?.();
+      setLeader(false);
+    };
+  }, []);
+
+  return leader;
+}
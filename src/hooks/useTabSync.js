@@ -0,0 +1,27 @@
+import { useEffect, useRef } from "react";
+import { unsealRecord } from "../lib/db";
+import { applyRemote, markRemote, onBroadcast } from "../sync/tabs";
+
+// Folds other windows' writes into this window's state.
+// `lists`: { todos: [setTodos, { newestFirst }], ... }, `settings`: { dark: setDark, ... }
+export function useTabSync(lists, settings) {
+  const ref = useRef({ lists, settings });
+  ref.current = { lists, settings };
+
+  useEffect(
+    () =>
+      onBroadcast((msg) => {
+        if (msg.type === "list") {
+          const [set, options] = ref.current.lists[msg.name] ?? [];
+          if (!set) return;
+          // pulled changes come as stored, so possibly sealed; ones that won't open are skipped
+          Promise.all(msg.puts.map((x) => unsealRecord(x).catch(() => null))).then((puts) =>
+            set((list) => applyRemote(list, { ...msg, puts: puts.filter(Boolean) }, options))
+          );
+        } else if (msg.type === "setting") {
+          ref.current.settings[msg.key]?.(markRemote(msg.value));
+        }
+      }),
+    []
+  );
+}
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from "react";
+import { dueDate } from "../lib/todos";
+
+// a reminder that came due while the app was closed still fires if it's this recent
+const MAX_LATE = 60 * 60 * 1000;
+const MAX_DELAY = 2 ** 31 - 1;
+
+// Remembered on the todo, so moving the due date/time re-arms the reminder.
+export const reminderKey = (t) => `${t.due} ${t.dueTime}`;
+
+// One timer per open todo that has a due *time*. Timers only run while the app
+// is open; there is no cross-browser way to schedule a notification for later.
+export function useTodoReminders(todos, { enabled = true, leadMinutes = 0 } = {}, onRemind) {
+  const onRemindRef = useRef(onRemind);
+  onRemindRef.current = onRemind;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const now = Date.now();
+    const timers = [];
+    for (const t of todos) {
+      if (t.done || !t.due || !t.dueTime || t.reminded === reminderKey(t)) continue;
+      const delay = dueDate(t).getTime() - leadMinutes * 60000 - now;
+      if (delay < -MAX_LATE || delay > MAX_DELAY) continue;
+      timers.push(setTimeout(() => onRemindRef.current?.(t), Math.max(0, delay)));
+    }
+    return () => timers.forEach(clearTimeout);
+  }, [todos, enabled, leadMinutes]);
+}
@@ -0,0 +1,401 @@
+// العربية, shown right-to-left. Arabic has six plural forms (zero, one, two,
+// few, many, other) and "one"/"two" usually drop the number, so counted nouns
+// are spelled out once here and dropped into messages with counted().
+const noun = (one, two, few, many, other = many) => ({
+  zero: `{count} ${other}`,
+  one,
+  two,
+  few: `{count} ${few}`,
+  many: `{count} ${many}`,
+  other: `{count} ${other}`,
+});
+const counted = (forms, message) =>
+  Object.fromEntries(Object.entries(forms).map(([form, words]) => [form, message.replace("#", words)]));
+
+const DAYS = noun("يوم واحد", "يومان", "أيام", "يومًا", "يوم");
+const WEEKS = noun("أسبوع واحد", "أسبوعان", "أسابيع", "أسبوعًا", "أسبوع");
+const MINUTES = noun("دقيقة واحدة", "دقيقتان", "دقائق", "دقيقة");
+const HOURS = noun("ساعة واحدة", "ساعتان", "ساعات", "ساعة");
+const TODOS = noun("مهمة واحدة", "مهمتان", "مهام", "مهمة");
+const CHANGES = noun("تغيير واحد", "تغييران", "تغييرات", "تغييرًا", "تغيير");
+const ITEMS = noun("عنصر واحد", "عنصران", "عناصر", "عنصرًا", "عنصر");
+const TIMES = noun("مرة واحدة", "مرتان", "مرات", "مرة");
+const CHARACTERS = noun("حرف واحد", "حرفان", "أحرف", "حرفًا", "حرف");
+
+export default {
+  // app shell
+  "app.tagline": "عادات يومية وتركيز",
+  "app.description": "تطبيق ويب خفيف: مهام، عادات، ملاحظات، بومودورو.",
+  "app.install": "تثبيت",
+  "app.storageProblem": "مشكلة في التخزين: {error}. قد لا تُحفظ التغييرات الأخيرة.",
+  "app.footer": "تطبيق يعمل دون اتصال — ثبّته للاستخدام اليومي.",
+  "app.clearConfirm": "مسح كل البيانات؟",
+  "app.clearData": "مسح البيانات",
+  "settings.language": "اللغة",
+  "settings.toggleTheme": "تبديل المظهر",
+  "theme.mode": "المظهر: {mode}",
+  "theme.system": "النظام",
+  "theme.light": "فاتح",
+  "theme.dark": "داكن",
+  "theme.accent": "اللون الأساسي",
+  "accent.indigo": "نيلي",
+  "accent.emerald": "زمردي",
+  "accent.rose": "وردي",
+  "accent.amber": "كهرماني",
+  "accent.sky": "سماوي",
+  "nav.main": "الرئيسية",
+  "nav.home": "الرئيسية",
+  "nav.dashboard": "لوحة اليوم",
+  "nav.insights": "الإحصاءات",
+  "nav.newTask": "مهمة جديدة",
+  "nav.search": "بحث",
+  "common.add": "إضافة",
+  "common.edit": "تعديل",
+  "common.cancel": "إلغاء",
+  "common.export": "تصدير",
+  "common.dismiss": "إغلاق",
+  "common.deleteItem": "حذف: {name}",
+
+  // alerts and updates
+  "alert.focusDone": "انتهت جلسة التركيز",
+  "alert.focusDoneBody": "حان وقت الاستراحة.",
+  "alert.breakOver": "انتهت الاستراحة",
+  "alert.breakOverBody": "عودة إلى العمل.",
+  "alert.todoDue": "حان موعد مهمة",
+  "alert.todoOverdue": "مهمة متأخرة",
+  "update.offlineReady": "جاهز للعمل دون اتصال.",
+  "update.available": "يتوفر إصدار جديد.",
+  "update.reload": "إعادة التحميل",
+  "update.waiting": "سيُحمَّل التحديث بعد توقف المؤقت وانتهائك من الكتابة.",
+
+  // todos
+  "todos.title": "المهام",
+  "todos.new": "مهمة جديدة",
+  "todos.newPlaceholder": "اكتب مهمة واضغط Enter",
+  "todos.newHint": "استخدم #وسم لوسمها (N للانتقال هنا)",
+  "todos.add": "إضافة مهمة",
+  "todos.empty": "لا مهام بعد.",
+  "todos.remaining": counted(TODOS, "# متبقية"),
+  "todos.search": "البحث في المهام",
+  "todos.searchPlaceholder": "ابحث في المهام...",
+  "todo.added": "أُضيفت مهمة: {text}",
+  "todo.deleted": "حُذفت مهمة: {text}",
+  "todo.checked": "تمت: {text}",
+  "todo.reopened": "أُعيد فتحها: {text}",
+  "todo.done": "تمت: {text}",
+  "todo.text": "نص المهمة",
+  "todo.due": "الموعد {when}",
+  "todo.overdue": "متأخرة · {when}",
+  "todo.subtasks": "{done}/{count} مهام فرعية",
+  "todo.edit": "تعديل: {text}",
+  "todo.details": "التفاصيل",
+  "todo.detailsOf": "التفاصيل: {text}",
+  "todo.dueDate": "تاريخ الاستحقاق",
+  "todo.dueTime": "وقت الاستحقاق",
+  "todo.priorityOption": "أولوية {priority}",
+  "todo.noPriority": "بلا أولوية",
+  "todo.removeTag": "إزالة الوسم {tag}",
+  "todo.addTag": "إضافة وسم",
+  "todo.removeSubtask": "إزالة مهمة فرعية: {text}",
+  "todo.newSubtask": "مهمة فرعية جديدة",
+  "todo.subtaskPlaceholder": "اكتب مهمة فرعية واضغط Enter",
+  "filter.status": "الحالة",
+  "filter.all": "الكل",
+  "filter.open": "مفتوحة",
+  "filter.done": "منجزة",
+  "filter.overdue": "متأخرة",
+  "filter.priority": "الأولوية",
+  "filter.atLeast": "{priority} فأعلى",
+  "filter.anyPriority": "أي أولوية",
+  "filter.tag": "الوسم",
+  "filter.allTags": "كل الوسوم",
+  "priority.1": "منخفضة",
+  "priority.2": "متوسطة",
+  "priority.3": "عالية",
+  "sort.label": "الترتيب",
+  "sort.created": "الأحدث",
+  "sort.due": "تاريخ الاستحقاق",
+  "sort.priority": "الأولوية",
+  "newTask.task": "المهمة",
+  "newTask.placeholder": "ما الذي يجب فعله؟",
+  "newTask.addAnother": "إضافة أخرى",
+  "newTask.add": "إضافة المهمة",
+  "repeat.label": "التكرار",
+  "repeat.none": "بلا تكرار",
+  "repeat.daily": "كل يوم",
+  "repeat.weekdays": "كل يوم عمل",
+  "repeat.interval": "كل بضعة أيام",
+  "repeat.monthly": "شهريًا",
+  "repeat.days": "عدد الأيام بين كل مرة",
+  "repeat.dayOfMonth": "يوم الشهر",
+  "repeat.everyDays": {
+    zero: "كل {count} يوم",
+    one: "كل يوم",
+    two: "كل يومين",
+    few: "كل {count} أيام",
+    many: "كل {count} يومًا",
+    other: "كل {count} يوم",
+  },
+  "repeat.monthlyOn": "شهريًا في اليوم {day}",
+  "templates.title": "قوالب قوائم التحقق",
+  "templates.empty": "لا قوالب بعد.",
+  "templates.name": "اسم القالب",
+  "templates.namePlaceholder": "اسم القالب، مثل يوم الإصدار",
+  "templates.items": "المهام، واحدة في كل سطر",
+  "templates.itemsPlaceholder": "مهمة في كل سطر، والوسوم # تعمل",
+  "templates.save": "حفظ القالب",
+  "templates.apply": "إضافة قائمة: {name}",
+  "templates.applied": counted(TODOS, "أُضيفت # من {name}"),
+  "templates.count": TODOS,
+
+  // habits
+  "habits.title": "العادات",
+  "habits.empty": "لا عادات بعد.",
+  "habits.new": "عادة جديدة",
+  "habits.newPlaceholder": "أضف عادة...",
+  "habits.newHint": "H للانتقال هنا",
+  "habits.doneToday": "أُنجزت اليوم: {title}",
+  "habits.streak.day": counted(DAYS, "متتالية: #"),
+  "habits.streak.week": counted(WEEKS, "متتالية: #"),
+  "habits.length.day": DAYS,
+  "habits.length.week": WEEKS,
+  "habit.added": "أُضيفت عادة: {title}",
+  "habit.deleted": "حُذفت عادة: {title}",
+  "schedule.label": "الجدول",
+  "schedule.daily": "يوميًا",
+  "schedule.onDays": "في أيام",
+  "schedule.timesPerWeek": "مرات في الأسبوع",
+  "schedule.perWeek": counted(TIMES, "# في الأسبوع"),
+  "heatmap.current": "الحالية: {length}",
+  "heatmap.longest": "الأطول: {length}",
+  "heatmap.label": "{title}: الإنجاز خلال العام الماضي",
+  "heatmap.day": "{day}",
+  "heatmap.dayDone": "{day}، أُنجزت",
+
+  // notes
+  "notes.title": "الملاحظات",
+  "notes.new": "ملاحظة جديدة",
+  "notes.empty": "لا ملاحظات بعد.",
+  "notes.untitled": "بلا عنوان",
+  "notes.noteTitle": "عنوان الملاحظة",
+  "notes.preview": "معاينة",
+  "notes.pin": "تثبيت",
+  "notes.unpin": "إلغاء التثبيت",
+  "notes.history": "سجل النسخ",
+  "notes.delete": "حذف الملاحظة",
+  "notes.deleteConfirm": "حذف «{title}»؟",
+  "notes.placeholder": "اكتب ملاحظاتك... (Markdown، و- [ ] لقائمة تحقق)",
+  "notes.text": "نص الملاحظة",
+  "notes.emptyNote": "ملاحظة فارغة.",
+  "notes.restore": "استعادة",
+  "notes.quickNote": "ملاحظة سريعة",
+  "notes.imported": "ملاحظة مستوردة",
+  "note.deleted": "حُذفت الملاحظة",
+
+  // pomodoro
+  "pomodoro.title": "بومودورو",
+  "pomodoro.settings": "إعدادات المؤقت",
+  "pomodoro.timeLeft": "الوقت المتبقي",
+  "pomodoro.mode": "الوضع: {mode}",
+  "pomodoro.start": "ابدأ",
+  "pomodoro.pause": "إيقاف مؤقت",
+  "pomodoro.reset": "إعادة ضبط",
+  "pomodoro.linkedTodo": "المهمة المرتبطة",
+  "pomodoro.notLinked": "غير مرتبط بمهمة",
+  "phase.work": "تركيز",
+  "phase.short": "استراحة قصيرة",
+  "phase.long": "استراحة طويلة",
+  "preset.work": "عمل",
+  "preset.short": "قصيرة",
+  "preset.long": "طويلة",
+  "timer.ready": counted(MINUTES, "{phase} جاهز، #"),
+  "timer.paused": counted(MINUTES, "{phase} متوقف، متبقٍ #"),
+  "timer.running": counted(MINUTES, "{phase}: متبقٍ #"),
+  "pomodoroSettings.work": "العمل (دقيقة)",
+  "pomodoroSettings.short": "استراحة قصيرة (دقيقة)",
+  "pomodoroSettings.long": "استراحة طويلة (دقيقة)",
+  "pomodoroSettings.cycles": "مراحل العمل قبل الاستراحة الطويلة",
+  "pomodoroSettings.autoStart": "بدء المرحلة التالية تلقائيًا",
+  "focus.minutes": "{count} د",
+  "focus.today": "اليوم · {count} بومودورو",
+  "focus.week": "هذا الأسبوع · {count} بومودورو",
+  "focus.chart": "دقائق التركيز حسب اليوم: {days}",
+  "focus.noSessions": "لا جلسات بعد.",
+  "focus.deletedTodo": "(مهمة محذوفة)",
+  "focus.done": "اكتملت",
+  "focus.stopped": counted(MINUTES, "توقفت بعد #"),
+
+  // dashboard
+  "dashboard.todos": "مهام اليوم",
+  "dashboard.open": "{count} مفتوحة",
+  "dashboard.doneToday": "{count} أُنجزت اليوم",
+  "dashboard.nothingLeft": "لم يبقَ شيء.",
+  "dashboard.markDone": "تحديد كمنجزة: {text}",
+  "dashboard.overdue": "متأخرة",
+  "dashboard.habitsDone": "{done}/{count} أُنجزت اليوم",
+  "dashboard.noHabits": "لا عادات بعد.",
+  "dashboard.streak": "متتالية: {count}",
+  "dashboard.focus": "التركيز",
+  "dashboard.timerRunning": "{phase} · متبقٍ {time}",
+  "dashboard.timerIdle": "المؤقت متوقف",
+  "dashboard.openTimer": "فتح المؤقت",
+
+  // insights
+  "insights.title": "الإحصاءات",
+  "insights.thisWeek": "هذا الأسبوع",
+  "insights.lastWeek": "الأسبوع الماضي",
+  "insights.last30": "آخر 30 يومًا",
+  "insights.last90": "آخر 90 يومًا",
+  "insights.from": "من",
+  "insights.to": "إلى",
+  "insights.todos": "المهام المنجزة",
+  "insights.completed": counted(TODOS, "أُنجزت #"),
+  "insights.completedChart": "المهام المنجزة حسب اليوم: {days}",
+  "insights.timeToDone": "متوسط الوقت من الإضافة إلى الإنجاز",
+  "insights.focusAverage": "{minutes} يوميًا في المتوسط",
+  "insights.habitRate": "من أيام العادات المجدولة أُنجزت",
+  "insights.habitTable": "نسبة الأيام المجدولة المنجزة لكل عادة ولكل يوم من الأسبوع",
+  "insights.habit": "العادة",
+  "insights.overall": "الكل",
+
+  // search and share
+  "search.label": "البحث في المهام والملاحظات",
+  "search.placeholder": "ابحث في المهام والملاحظات...",
+  "search.todos": "المهام ({count})",
+  "search.notes": "الملاحظات ({count})",
+  "search.matchingTodos": "المهام المطابقة",
+  "search.noTodos": "لا مهام مطابقة.",
+  "search.noNotes": "لا ملاحظات مطابقة.",
+  "share.title": "مشاركة مع DailyFlow",
+  "share.nothing": "لم تتم مشاركة شيء.",
+  "share.back": "العودة إلى DailyFlow",
+  "share.text": "النص المشارك",
+  "share.newTodo": "مهمة جديدة",
+  "share.addToNote": "إضافة إلى ملاحظة",
+  "share.note": "الملاحظة",
+  "share.added": "أُضيف إلى مهامك.",
+
+  // command palette
+  "palette.title": "لوحة الأوامر",
+  "palette.input": "أمر",
+  "palette.list": "الأوامر",
+  "palette.placeholder": "اكتب أمرًا، أو نصًا لإضافته كمهمة…",
+  "palette.empty": "لا أوامر مطابقة.",
+  "command.todo": "مهمة",
+  "command.habit": "عادة",
+  "command.goTo": "انتقال إلى",
+  "command.settings": "الإعدادات",
+  "command.data": "البيانات",
+  "command.security": "الأمان",
+  "command.help": "مساعدة",
+  "command.add": "إضافة «{text}»",
+  "command.check": "إنجاز «{title}»",
+  "command.uncheck": "إلغاء إنجاز «{title}»",
+  "command.darkTheme": "الوضع الداكن",
+  "command.lightTheme": "الوضع الفاتح",
+  "command.systemTheme": "مظهر النظام",
+  "command.exportJson": "تصدير (JSON)",
+  "command.exportIcs": "تصدير التقويم (.ics)",
+  "whatsNew.title": "ما الجديد",
+  "whatsNew.close": "حسنًا",
+
+  // import, export, calendar
+  "import.button": "استيراد",
+  "import.file": "ملف التصدير المراد استيراده",
+  "import.passphrase": "عبارة مرور التصدير",
+  "import.open": "فتح",
+  "import.title": "استيراد البيانات",
+  "import.counts": "{todos} مهام، {habits} عادات، {notes} ملاحظات",
+  "import.exportedAt": "صُدّر في {when}",
+  "import.mergeHint": "دمج (الاحتفاظ بالتعديلات الأحدث)",
+  "import.replaceHint": "استبدال كل شيء",
+  "import.changes": "{label}: {added} جديدة، {updated} معدلة",
+  "import.changesRemoved": "{label}: {added} جديدة، {updated} معدلة، {removed} محذوفة",
+  "import.merge": "دمج",
+  "import.replace": "استبدال",
+  "import.notJson": "الملف ليس JSON صالحًا.",
+  "import.encrypted": "هذا التصدير مشفّر.",
+  "import.notExport": "الملف ليس تصديرًا من DailyFlow.",
+  "import.newer": "هذا التصدير من إصدار أحدث من DailyFlow.",
+  "import.notList": 'يجب أن يكون "{key}" قائمة.',
+  "calendar.export": "تصدير .ics",
+  "calendar.import": "استيراد .ics",
+  "calendar.file": "ملف التقويم المراد استيراده",
+  "calendar.title": "استيراد تقويم",
+  "calendar.items": counted(ITEMS, "#،"),
+  "calendar.new": "{count} جديدة.",
+  "calendar.repeating": counted(DAYS, "تُضاف المتكررة للأيام القادمة: #."),
+  "calendar.skipped": counted(ITEMS, "لم يُستورد من المتكررة #، فقاعدة تكرارها غير مدعومة:"),
+  "calendar.noDate": "بلا تاريخ",
+  "calendar.untitled": "(بلا عنوان)",
+  "calendar.notCalendar": "الملف ليس ملف iCalendar (.ics).",
+  "calendar.weeklyHabit": "{title} ({count}× هذا الأسبوع)",
+  "calendar.add": counted(TODOS, "إضافة #"),
+  "calendar.added": counted(TODOS, "أُضيفت # من التقويم"),
+
+  // alerts settings
+  "alerts.status.granted": "إشعارات النظام مفعّلة.",
+  "alerts.status.denied": "الإشعارات محظورة في المتصفح؛ تظهر التنبيهات داخل التطبيق فقط.",
+  "alerts.status.default": "الإشعارات متوقفة.",
+  "alerts.status.unsupported": "لا يدعم هذا المتصفح إشعارات النظام؛ تظهر التنبيهات داخل التطبيق فقط.",
+  "alerts.enable": "تفعيل",
+  "alerts.sound": "صوت التنبيه",
+  "alerts.chime.bell": "رنين: جرس",
+  "alerts.chime.soft": "رنين: هادئ",
+  "alerts.chime.digital": "رنين: رقمي",
+  "alerts.chime.none": "بلا صوت",
+  "alerts.volume": "مستوى الصوت",
+  "alerts.test": "تجربة",
+  "alerts.todoReminders": "ذكّرني بالمهام ذات وقت الاستحقاق",
+  "alerts.remindMe": "ذكّرني",
+  "alerts.atDueTime": "عند الموعد",
+  "alerts.minutesBefore": counted(MINUTES, "قبل #"),
+  "alerts.hoursBefore": counted(HOURS, "قبل #"),
+
+  // sync
+  "sync.title": "المزامنة",
+  "sync.enable": "مزامنة التغييرات مع",
+  "sync.adapter": "محوّل المزامنة",
+  "sync.endpoint": "عنوان المزامنة",
+  "sync.pending": counted(CHANGES, "# بالانتظار"),
+  "sync.last": "آخر مزامنة {time}",
+  "sync.lastReceived": "آخر مزامنة {time}، استُلم {count}",
+  "sync.failed": "فشلت المزامنة: {message}",
+  "sync.now": "زامن الآن",
+
+  // security and lock screen
+  "security.title": "الأمان",
+  "security.on": "البيانات المخزنة والتصديرات مشفرة.",
+  "security.offHint": "شفّر البيانات المخزنة والتصديرات بعبارة مرور، واقفل التطبيق عند الخمول.",
+  "security.lockNow": "اقفل الآن",
+  "security.autoLock": "القفل عند الخمول",
+  "security.never": "أبدًا",
+  "security.afterMinutes": counted(MINUTES, "بعد #"),
+  "security.afterHours": counted(HOURS, "بعد #"),
+  "security.change": "تغيير عبارة المرور",
+  "security.turnOff": "إيقاف",
+  "security.set": "تعيين عبارة مرور",
+  "security.current": "عبارة المرور الحالية",
+  "security.new": "عبارة المرور الجديدة",
+  "security.repeat": "أعد كتابتها",
+  "security.warning": "لا توجد طريقة لاستعادتها. إن نسيت عبارة المرور ضاعت البيانات على هذا الجهاز.",
+  "security.tooShort": counted(CHARACTERS, "استخدم # على الأقل."),
+  "security.mismatch": "عبارتا المرور غير متطابقتين.",
+  "security.working": "جارٍ العمل…",
+  "security.decrypt": "فك التشفير والإيقاف",
+  "security.save": "حفظ عبارة المرور",
+  "lock.title": "DailyFlow مقفل",
+  "lock.passphrase": "عبارة المرور",
+  "lock.unlock": "فتح القفل",
+  "lock.unlocking": "جارٍ فتح القفل…",
+  "lock.wrongPassphrase": "عبارة مرور خاطئة.",
+
+  // install manifest (vite.config.js)
+  "manifest.description": "⚡ تطبيق ويب تقدمي سريع مبني بـ React وVite",
+  "manifest.dashboard": "فتح لوحة اليوم",
+  "manifest.dashboardShort": "لوحة اليوم",
+  "manifest.dashboardDescription": "انتقل إلى لوحة اليوم",
+  "manifest.newTask": "مهمة جديدة",
+  "manifest.newTaskShort": "مهمة",
+  "manifest.newTaskDescription": "أنشئ مهمة جديدة فورًا",
+};
@@ -0,0 +1,383 @@
+// English: the source catalog. Every key lives here; the others may leave
+// keys out and get these instead. Plural messages need `one` and `other`.
+export default {
+  // app shell
+  "app.tagline": "daily habits & focus",
+  "app.description": "Lightweight PWA: todo, habits, notes, pomodoro.",
+  "app.install": "Install",
+  "app.storageProblem": "Storage problem: {error}. Recent changes may not be saved.",
+  "app.footer": "Offline-ready PWA — install for daily use.",
+  "app.clearConfirm": "Clear all data?",
+  "app.clearData": "Clear Data",
+  "settings.language": "Language",
+  "settings.toggleTheme": "Toggle theme",
+  "theme.mode": "Theme: {mode}",
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.accent": "Accent colour",
+  "accent.indigo": "Indigo",
+  "accent.emerald": "Emerald",
+  "accent.rose": "Rose",
+  "accent.amber": "Amber",
+  "accent.sky": "Sky",
+  "nav.main": "Main",
+  "nav.home": "Home",
+  "nav.dashboard": "Dashboard",
+  "nav.insights": "Insights",
+  "nav.newTask": "New task",
+  "nav.search": "Search",
+  "common.add": "Add",
+  "common.edit": "Edit",
+  "common.cancel": "Cancel",
+  "common.export": "Export",
+  "common.dismiss": "Dismiss",
+  "common.deleteItem": "Delete: {name}",
+
+  // alerts and updates
+  "alert.focusDone": "Focus session done",
+  "alert.focusDoneBody": "Time for a break.",
+  "alert.breakOver": "Break's over",
+  "alert.breakOverBody": "Back to work.",
+  "alert.todoDue": "Todo due",
+  "alert.todoOverdue": "Todo overdue",
+  "update.offlineReady": "Ready to work offline.",
+  "update.available": "New version available.",
+  "update.reload": "Reload",
+  "update.waiting": "Update will load once the timer stops and you've finished typing.",
+
+  // todos
+  "todos.title": "Todos",
+  "todos.new": "New todo",
+  "todos.newPlaceholder": "Add a todo and press Enter",
+  "todos.newHint": "Use #tag to tag it (N jumps here)",
+  "todos.add": "Add todo",
+  "todos.empty": "No todos yet.",
+  "todos.remaining": "{count} remaining",
+  "todos.search": "Search todos",
+  "todos.searchPlaceholder": "Search todos...",
+  "todo.added": "Todo added: {text}",
+  "todo.deleted": "Todo deleted: {text}",
+  "todo.checked": "Done: {text}",
+  "todo.reopened": "Reopened: {text}",
+  "todo.done": "Done: {text}",
+  "todo.text": "Todo text",
+  "todo.due": "Due {when}",
+  "todo.overdue": "Overdue · {when}",
+  "todo.subtasks": { one: "{done}/{count} subtask", other: "{done}/{count} subtasks" },
+  "todo.edit": "Edit: {text}",
+  "todo.details": "Details",
+  "todo.detailsOf": "Details: {text}",
+  "todo.dueDate": "Due date",
+  "todo.dueTime": "Due time",
+  "todo.priorityOption": "{priority} priority",
+  "todo.noPriority": "No priority",
+  "todo.removeTag": "Remove tag {tag}",
+  "todo.addTag": "Add tag",
+  "todo.removeSubtask": "Remove subtask: {text}",
+  "todo.newSubtask": "New subtask",
+  "todo.subtaskPlaceholder": "Add subtask and press Enter",
+  "filter.status": "Status",
+  "filter.all": "All",
+  "filter.open": "Open",
+  "filter.done": "Done",
+  "filter.overdue": "Overdue",
+  "filter.priority": "Priority",
+  "filter.atLeast": "{priority}+",
+  "filter.anyPriority": "Any priority",
+  "filter.tag": "Tag",
+  "filter.allTags": "All tags",
+  "priority.1": "Low",
+  "priority.2": "Medium",
+  "priority.3": "High",
+  "sort.label": "Sort by",
+  "sort.created": "Newest",
+  "sort.due": "Due date",
+  "sort.priority": "Priority",
+  "newTask.task": "Task",
+  "newTask.placeholder": "What needs doing?",
+  "newTask.addAnother": "Add another",
+  "newTask.add": "Add task",
+  "repeat.label": "Repeat",
+  "repeat.none": "Doesn't repeat",
+  "repeat.daily": "Every day",
+  "repeat.weekdays": "Every weekday",
+  "repeat.interval": "Every few days",
+  "repeat.monthly": "Monthly",
+  "repeat.days": "Days between",
+  "repeat.dayOfMonth": "Day of the month",
+  "repeat.everyDays": { one: "Every day", other: "Every {count} days" },
+  "repeat.monthlyOn": "Monthly on day {day}",
+  "templates.title": "Checklist templates",
+  "templates.empty": "No templates yet.",
+  "templates.name": "Template name",
+  "templates.namePlaceholder": "Template name, e.g. Release day",
+  "templates.items": "Todos, one per line",
+  "templates.itemsPlaceholder": "One todo per line, #tags work",
+  "templates.save": "Save template",
+  "templates.apply": "Add checklist: {name}",
+  "templates.applied": { one: "{count} todo added from {name}", other: "{count} todos added from {name}" },
+  "templates.count": { one: "{count} todo", other: "{count} todos" },
+
+  // habits
+  "habits.title": "Habits",
+  "habits.empty": "No habits yet.",
+  "habits.new": "New habit",
+  "habits.newPlaceholder": "Add habit...",
+  "habits.newHint": "H jumps here",
+  "habits.doneToday": "Done today: {title}",
+  "habits.streak.day": { one: "Streak: {count} day", other: "Streak: {count} days" },
+  "habits.streak.week": { one: "Streak: {count} week", other: "Streak: {count} weeks" },
+  "habits.length.day": { one: "{count} day", other: "{count} days" },
+  "habits.length.week": { one: "{count} week", other: "{count} weeks" },
+  "habit.added": "Habit added: {title}",
+  "habit.deleted": "Habit deleted: {title}",
+  "schedule.label": "Schedule",
+  "schedule.daily": "Daily",
+  "schedule.onDays": "On days",
+  "schedule.timesPerWeek": "Times per week",
+  "schedule.perWeek": "{count}× per week",
+  "heatmap.current": "Current: {length}",
+  "heatmap.longest": "Longest: {length}",
+  "heatmap.label": "{title}: check-ins, past year",
+  "heatmap.day": "{day}",
+  "heatmap.dayDone": "{day}, done",
+
+  // notes
+  "notes.title": "Notes",
+  "notes.new": "New note",
+  "notes.empty": "No notes yet.",
+  "notes.untitled": "Untitled",
+  "notes.noteTitle": "Note title",
+  "notes.preview": "Preview",
+  "notes.pin": "Pin",
+  "notes.unpin": "Unpin",
+  "notes.history": "Version history",
+  "notes.delete": "Delete note",
+  "notes.deleteConfirm": 'Delete "{title}"?',
+  "notes.placeholder": "Write notes... (Markdown, - [ ] for a checklist)",
+  "notes.text": "Note text",
+  "notes.emptyNote": "Empty note.",
+  "notes.restore": "Restore",
+  "notes.quickNote": "Quick note",
+  "notes.imported": "Imported note",
+  "note.deleted": "Note deleted",
+
+  // pomodoro
+  "pomodoro.title": "Pomodoro",
+  "pomodoro.settings": "Timer settings",
+  "pomodoro.timeLeft": "Time left",
+  "pomodoro.mode": "Mode: {mode}",
+  "pomodoro.start": "Start",
+  "pomodoro.pause": "Pause",
+  "pomodoro.reset": "Reset",
+  "pomodoro.linkedTodo": "Linked todo",
+  "pomodoro.notLinked": "Not linked to a todo",
+  "phase.work": "Focus",
+  "phase.short": "Short break",
+  "phase.long": "Long break",
+  "preset.work": "Work",
+  "preset.short": "Short",
+  "preset.long": "Long",
+  "timer.ready": { one: "{phase} ready, {count} minute", other: "{phase} ready, {count} minutes" },
+  "timer.paused": { one: "{phase} paused, {count} minute left", other: "{phase} paused, {count} minutes left" },
+  "timer.running": { one: "{phase}: {count} minute left", other: "{phase}: {count} minutes left" },
+  "pomodoroSettings.work": "Work (min)",
+  "pomodoroSettings.short": "Short break (min)",
+  "pomodoroSettings.long": "Long break (min)",
+  "pomodoroSettings.cycles": "Work phases per long break",
+  "pomodoroSettings.autoStart": "Auto-start next phase",
+  "focus.minutes": "{count} min",
+  "focus.today": { one: "today · {count} pomodoro", other: "today · {count} pomodoros" },
+  "focus.week": { one: "this week · {count} pomodoro", other: "this week · {count} pomodoros" },
+  "focus.chart": "Focus minutes by day: {days}",
+  "focus.noSessions": "No sessions yet.",
+  "focus.deletedTodo": "(deleted todo)",
+  "focus.done": "done",
+  "focus.stopped": "stopped after {count} min",
+
+  // dashboard
+  "dashboard.todos": "Today's todos",
+  "dashboard.open": "{count} open",
+  "dashboard.doneToday": "{count} done today",
+  "dashboard.nothingLeft": "Nothing left to do.",
+  "dashboard.markDone": "Mark done: {text}",
+  "dashboard.overdue": "Overdue",
+  "dashboard.habitsDone": "{done}/{count} done today",
+  "dashboard.noHabits": "No habits yet.",
+  "dashboard.streak": "Streak: {count}",
+  "dashboard.focus": "Focus",
+  "dashboard.timerRunning": "{phase} · {time} left",
+  "dashboard.timerIdle": "Timer idle",
+  "dashboard.openTimer": "Open timer",
+
+  // insights
+  "insights.title": "Insights",
+  "insights.thisWeek": "This week",
+  "insights.lastWeek": "Last week",
+  "insights.last30": "Last 30 days",
+  "insights.last90": "Last 90 days",
+  "insights.from": "From",
+  "insights.to": "To",
+  "insights.todos": "Completed todos",
+  "insights.completed": { one: "{count} todo done", other: "{count} todos done" },
+  "insights.completedChart": "Todos done by day: {days}",
+  "insights.timeToDone": "average time from adding to done",
+  "insights.focusAverage": "{minutes} a day on average",
+  "insights.habitRate": "of scheduled habit check-ins done",
+  "insights.habitTable": "Share of scheduled days done, per habit and weekday",
+  "insights.habit": "Habit",
+  "insights.overall": "All",
+
+  // search and share
+  "search.label": "Search todos and notes",
+  "search.placeholder": "Search todos and notes...",
+  "search.todos": "Todos ({count})",
+  "search.notes": "Notes ({count})",
+  "search.matchingTodos": "Matching todos",
+  "search.noTodos": "No matching todos.",
+  "search.noNotes": "No matching notes.",
+  "share.title": "Shared with DailyFlow",
+  "share.nothing": "Nothing was shared.",
+  "share.back": "Back to DailyFlow",
+  "share.text": "Shared text",
+  "share.newTodo": "New todo",
+  "share.addToNote": "Add to note",
+  "share.note": "Note",
+  "share.added": "Added to your todos.",
+
+  // command palette
+  "palette.title": "Command palette",
+  "palette.input": "Command",
+  "palette.list": "Commands",
+  "palette.placeholder": "Type a command, or text to add as a todo…",
+  "palette.empty": "No matching commands.",
+  "command.todo": "Todo",
+  "command.habit": "Habit",
+  "command.goTo": "Go to",
+  "command.settings": "Settings",
+  "command.data": "Data",
+  "command.security": "Security",
+  "command.help": "Help",
+  "command.add": "Add “{text}”",
+  "command.check": "Check off “{title}”",
+  "command.uncheck": "Uncheck “{title}”",
+  "command.darkTheme": "Dark mode",
+  "command.lightTheme": "Light mode",
+  "command.systemTheme": "Match system theme",
+  "command.exportJson": "Export (JSON)",
+  "command.exportIcs": "Export calendar (.ics)",
+  "whatsNew.title": "What's new",
+  "whatsNew.close": "Got it",
+
+  // import, export, calendar
+  "import.button": "Import",
+  "import.file": "Export file to import",
+  "import.passphrase": "Export passphrase",
+  "import.open": "Open",
+  "import.title": "Import data",
+  "import.counts": "{todos} todos, {habits} habits, {notes} notes",
+  "import.exportedAt": "exported {when}",
+  "import.mergeHint": "Merge (keep newer edits)",
+  "import.replaceHint": "Replace everything",
+  "import.changes": "{label}: {added} new, {updated} changed",
+  "import.changesRemoved": "{label}: {added} new, {updated} changed, {removed} removed",
+  "import.merge": "Merge",
+  "import.replace": "Replace",
+  "import.notJson": "File is not valid JSON.",
+  "import.encrypted": "This export is encrypted.",
+  "import.notExport": "File is not a DailyFlow export.",
+  "import.newer": "This export comes from a newer version of DailyFlow.",
+  "import.notList": '"{key}" must be a list.',
+  "calendar.export": "Export .ics",
+  "calendar.import": "Import .ics",
+  "calendar.file": "Calendar file to import",
+  "calendar.title": "Import calendar",
+  "calendar.items": { one: "{count} item,", other: "{count} items," },
+  "calendar.new": "{count} new.",
+  "calendar.repeating": {
+    one: "Repeating ones are added for the next {count} day.",
+    other: "Repeating ones are added for the next {count} days.",
+  },
+  "calendar.skipped": {
+    one: "{count} repeating item was skipped; its repeat rule isn't supported:",
+    other: "{count} repeating items were skipped; their repeat rules aren't supported:",
+  },
+  "calendar.noDate": "no date",
+  "calendar.untitled": "(untitled)",
+  "calendar.notCalendar": "File is not an iCalendar (.ics) file.",
+  "calendar.weeklyHabit": "{title} ({count}× this week)",
+  "calendar.add": { one: "Add {count} todo", other: "Add {count} todos" },
+  "calendar.added": {
+    one: "{count} todo added from the calendar",
+    other: "{count} todos added from the calendar",
+  },
+
+  // alerts settings
+  "alerts.status.granted": "System notifications are on.",
+  "alerts.status.denied": "Notifications are blocked in the browser; alerts show inside the app only.",
+  "alerts.status.default": "Notifications are off.",
+  "alerts.status.unsupported": "This browser has no system notifications; alerts show inside the app only.",
+  "alerts.enable": "Enable",
+  "alerts.sound": "Alert sound",
+  "alerts.chime.bell": "Chime: bell",
+  "alerts.chime.soft": "Chime: soft",
+  "alerts.chime.digital": "Chime: digital",
+  "alerts.chime.none": "No sound",
+  "alerts.volume": "Volume",
+  "alerts.test": "Test",
+  "alerts.todoReminders": "Remind me about todos with a due time",
+  "alerts.remindMe": "Remind me",
+  "alerts.atDueTime": "at due time",
+  "alerts.minutesBefore": "{count} min before",
+  "alerts.hoursBefore": { one: "{count} hour before", other: "{count} hours before" },
+
+  // sync
+  "sync.title": "Sync",
+  "sync.enable": "Sync changes to",
+  "sync.adapter": "Sync adapter",
+  "sync.endpoint": "Sync endpoint",
+  "sync.pending": { one: "{count} change waiting", other: "{count} changes waiting" },
+  "sync.last": "last sync {time}",
+  "sync.lastReceived": "last sync {time}, {count} received",
+  "sync.failed": "sync failed: {message}",
+  "sync.now": "Sync now",
+
+  // security and lock screen
+  "security.title": "Security",
+  "security.on": "Stored data and exports are encrypted.",
+  "security.offHint": "Encrypt stored data and exports with a passphrase, and lock the app when it's idle.",
+  "security.lockNow": "Lock now",
+  "security.autoLock": "Lock when idle",
+  "security.never": "never",
+  "security.afterMinutes": { one: "after {count} minute", other: "after {count} minutes" },
+  "security.afterHours": { one: "after {count} hour", other: "after {count} hours" },
+  "security.change": "Change passphrase",
+  "security.turnOff": "Turn off",
+  "security.set": "Set a passphrase",
+  "security.current": "Current passphrase",
+  "security.new": "New passphrase",
+  "security.repeat": "Repeat it",
+  "security.warning": "There is no way to recover it. Forget the passphrase and the data on this device is gone.",
+  "security.tooShort": { one: "Use at least {count} character.", other: "Use at least {count} characters." },
+  "security.mismatch": "The passphrases don't match.",
+  "security.working": "Working…",
+  "security.decrypt": "Decrypt and turn off",
+  "security.save": "Save passphrase",
+  "lock.title": "DailyFlow is locked",
+  "lock.passphrase": "Passphrase",
+  "lock.unlock": "Unlock",
+  "lock.unlocking": "Unlocking…",
+  "lock.wrongPassphrase": "Wrong passphrase.",
+
+  // install manifest (vite.config.js)
+  "manifest.name": "Ramban App",
+  "manifest.shortName": "Ramban",
+  "manifest.description": "⚡ A blazing fast Progressive Web App built with React + Vite",
+  "manifest.dashboard": "Open Dashboard",
+  "manifest.dashboardShort": "Dashboard",
+  "manifest.dashboardDescription": "Jump to your dashboard",
+  "manifest.newTask": "New Task",
+  "manifest.newTaskShort": "Task",
+  "manifest.newTaskDescription": "Create a new task instantly",
+};
@@ -0,0 +1,371 @@
+// हिन्दी. Plural forms: `one` (0 and 1) and `other`.
+export default {
+  // app shell
+  "app.tagline": "रोज़ की आदतें और फ़ोकस",
+  "app.description": "हल्का PWA: टूडू, आदतें, नोट्स, पोमोडोरो।",
+  "app.install": "इंस्टॉल करें",
+  "app.storageProblem": "स्टोरेज में समस्या: {error}। हाल के बदलाव शायद सेव न हों।",
+  "app.footer": "ऑफ़लाइन चलने वाला PWA — रोज़ के इस्तेमाल के लिए इंस्टॉल करें।",
+  "app.clearConfirm": "सारा डेटा मिटाएँ?",
+  "app.clearData": "डेटा मिटाएँ",
+  "settings.language": "भाषा",
+  "settings.toggleTheme": "थीम बदलें",
+  "theme.mode": "थीम: {mode}",
+  "theme.system": "सिस्टम",
+  "theme.light": "लाइट",
+  "theme.dark": "डार्क",
+  "theme.accent": "मुख्य रंग",
+  "accent.indigo": "नील",
+  "accent.emerald": "पन्ना",
+  "accent.rose": "गुलाबी",
+  "accent.amber": "कहरुवा",
+  "accent.sky": "आसमानी",
+  "nav.main": "मुख्य",
+  "nav.home": "होम",
+  "nav.dashboard": "डैशबोर्ड",
+  "nav.insights": "आँकड़े",
+  "nav.newTask": "नया काम",
+  "nav.search": "खोजें",
+  "common.add": "जोड़ें",
+  "common.edit": "बदलें",
+  "common.cancel": "रद्द करें",
+  "common.export": "एक्सपोर्ट",
+  "common.dismiss": "हटाएँ",
+  "common.deleteItem": "मिटाएँ: {name}",
+
+  // alerts and updates
+  "alert.focusDone": "फ़ोकस सत्र पूरा",
+  "alert.focusDoneBody": "अब ब्रेक लें।",
+  "alert.breakOver": "ब्रेक ख़त्म",
+  "alert.breakOverBody": "वापस काम पर।",
+  "alert.todoDue": "टूडू का समय",
+  "alert.todoOverdue": "टूडू का समय निकल गया",
+  "update.offlineReady": "अब ऑफ़लाइन भी काम करेगा।",
+  "update.available": "नया संस्करण उपलब्ध है।",
+  "update.reload": "रीलोड करें",
+  "update.waiting": "टाइमर रुकने और आपके टाइप कर लेने के बाद अपडेट लोड होगा।",
+
+  // todos
+  "todos.title": "टूडू",
+  "todos.new": "नया टूडू",
+  "todos.newPlaceholder": "टूडू लिखें और Enter दबाएँ",
+  "todos.newHint": "टैग के लिए #tag लिखें (N से यहाँ आएँ)",
+  "todos.add": "टूडू जोड़ें",
+  "todos.empty": "अभी कोई टूडू नहीं।",
+  "todos.remaining": "{count} बाकी",
+  "todos.search": "टूडू खोजें",
+  "todos.searchPlaceholder": "टूडू खोजें...",
+  "todo.added": "टूडू जोड़ा: {text}",
+  "todo.deleted": "टूडू मिटाया: {text}",
+  "todo.checked": "पूरा: {text}",
+  "todo.reopened": "फिर से खोला: {text}",
+  "todo.done": "पूरा: {text}",
+  "todo.text": "टूडू का पाठ",
+  "todo.due": "नियत {when}",
+  "todo.overdue": "देर हो चुकी · {when}",
+  "todo.subtasks": "{done}/{count} उप-काम",
+  "todo.edit": "बदलें: {text}",
+  "todo.details": "विवरण",
+  "todo.detailsOf": "विवरण: {text}",
+  "todo.dueDate": "नियत तारीख़",
+  "todo.dueTime": "नियत समय",
+  "todo.priorityOption": "{priority} प्राथमिकता",
+  "todo.noPriority": "कोई प्राथमिकता नहीं",
+  "todo.removeTag": "टैग {tag} हटाएँ",
+  "todo.addTag": "टैग जोड़ें",
+  "todo.removeSubtask": "उप-काम हटाएँ: {text}",
+  "todo.newSubtask": "नया उप-काम",
+  "todo.subtaskPlaceholder": "उप-काम लिखें और Enter दबाएँ",
+  "filter.status": "स्थिति",
+  "filter.all": "सभी",
+  "filter.open": "खुले",
+  "filter.done": "पूरे",
+  "filter.overdue": "देर वाले",
+  "filter.priority": "प्राथमिकता",
+  "filter.atLeast": "{priority}+",
+  "filter.anyPriority": "कोई भी प्राथमिकता",
+  "filter.tag": "टैग",
+  "filter.allTags": "सभी टैग",
+  "priority.1": "कम",
+  "priority.2": "मध्यम",
+  "priority.3": "ऊँची",
+  "sort.label": "क्रम",
+  "sort.created": "नए पहले",
+  "sort.due": "नियत तारीख़",
+  "sort.priority": "प्राथमिकता",
+  "newTask.task": "काम",
+  "newTask.placeholder": "क्या करना है?",
+  "newTask.addAnother": "एक और जोड़ें",
+  "newTask.add": "काम जोड़ें",
+  "repeat.label": "दोहराएँ",
+  "repeat.none": "दोहराना नहीं",
+  "repeat.daily": "हर दिन",
+  "repeat.weekdays": "हर कामकाजी दिन",
+  "repeat.interval": "कुछ दिनों में",
+  "repeat.monthly": "हर महीने",
+  "repeat.days": "कितने दिन बाद",
+  "repeat.dayOfMonth": "महीने की तारीख़",
+  "repeat.everyDays": { one: "हर दिन", other: "हर {count} दिन" },
+  "repeat.monthlyOn": "हर महीने की {day} तारीख़",
+  "templates.title": "चेकलिस्ट टेम्पलेट",
+  "templates.empty": "अभी कोई टेम्पलेट नहीं।",
+  "templates.name": "टेम्पलेट का नाम",
+  "templates.namePlaceholder": "टेम्पलेट का नाम, जैसे रिलीज़ का दिन",
+  "templates.items": "टूडू, हर लाइन में एक",
+  "templates.itemsPlaceholder": "हर लाइन में एक टूडू, #टैग चलते हैं",
+  "templates.save": "टेम्पलेट सहेजें",
+  "templates.apply": "चेकलिस्ट जोड़ें: {name}",
+  "templates.applied": { one: "{name} से {count} टूडू जोड़ा गया", other: "{name} से {count} टूडू जोड़े गए" },
+  "templates.count": "{count} टूडू",
+
+  // habits
+  "habits.title": "आदतें",
+  "habits.empty": "अभी कोई आदत नहीं।",
+  "habits.new": "नई आदत",
+  "habits.newPlaceholder": "आदत जोड़ें...",
+  "habits.newHint": "H से यहाँ आएँ",
+  "habits.doneToday": "आज पूरा: {title}",
+  "habits.streak.day": "लगातार: {count} दिन",
+  "habits.streak.week": { one: "लगातार: {count} हफ़्ता", other: "लगातार: {count} हफ़्ते" },
+  "habits.length.day": "{count} दिन",
+  "habits.length.week": { one: "{count} हफ़्ता", other: "{count} हफ़्ते" },
+  "habit.added": "आदत जोड़ी: {title}",
+  "habit.deleted": "आदत मिटाई: {title}",
+  "schedule.label": "समय-सारणी",
+  "schedule.daily": "रोज़",
+  "schedule.onDays": "इन दिनों",
+  "schedule.timesPerWeek": "हफ़्ते में इतनी बार",
+  "schedule.perWeek": "हफ़्ते में {count} बार",
+  "heatmap.current": "अभी: {length}",
+  "heatmap.longest": "सबसे लंबा: {length}",
+  "heatmap.label": "{title}: पिछले साल की हाज़िरी",
+  "heatmap.day": "{day}",
+  "heatmap.dayDone": "{day}, पूरा",
+
+  // notes
+  "notes.title": "नोट्स",
+  "notes.new": "नया नोट",
+  "notes.empty": "अभी कोई नोट नहीं।",
+  "notes.untitled": "बिना शीर्षक",
+  "notes.noteTitle": "नोट का शीर्षक",
+  "notes.preview": "पूर्वावलोकन",
+  "notes.pin": "पिन करें",
+  "notes.unpin": "पिन हटाएँ",
+  "notes.history": "संस्करण इतिहास",
+  "notes.delete": "नोट मिटाएँ",
+  "notes.deleteConfirm": '"{title}" मिटाएँ?',
+  "notes.placeholder": "नोट लिखें... (Markdown, चेकलिस्ट के लिए - [ ])",
+  "notes.text": "नोट का पाठ",
+  "notes.emptyNote": "खाली नोट।",
+  "notes.restore": "वापस लाएँ",
+  "notes.quickNote": "झटपट नोट",
+  "notes.imported": "इम्पोर्ट किया गया नोट",
+  "note.deleted": "नोट मिटाया",
+
+  // pomodoro
+  "pomodoro.title": "पोमोडोरो",
+  "pomodoro.settings": "टाइमर सेटिंग",
+  "pomodoro.timeLeft": "बचा समय",
+  "pomodoro.mode": "मोड: {mode}",
+  "pomodoro.start": "शुरू करें",
+  "pomodoro.pause": "रोकें",
+  "pomodoro.reset": "रीसेट",
+  "pomodoro.linkedTodo": "जुड़ा टूडू",
+  "pomodoro.notLinked": "किसी टूडू से नहीं जुड़ा",
+  "phase.work": "फ़ोकस",
+  "phase.short": "छोटा ब्रेक",
+  "phase.long": "लंबा ब्रेक",
+  "preset.work": "काम",
+  "preset.short": "छोटा",
+  "preset.long": "लंबा",
+  "timer.ready": "{phase} तैयार, {count} मिनट",
+  "timer.paused": "{phase} रुका, {count} मिनट बाकी",
+  "timer.running": "{phase}: {count} मिनट बाकी",
+  "pomodoroSettings.work": "काम (मिनट)",
+  "pomodoroSettings.short": "छोटा ब्रेक (मिनट)",
+  "pomodoroSettings.long": "लंबा ब्रेक (मिनट)",
+  "pomodoroSettings.cycles": "लंबे ब्रेक से पहले काम के दौर",
+  "pomodoroSettings.autoStart": "अगला दौर अपने आप शुरू करें",
+  "focus.minutes": "{count} मिनट",
+  "focus.today": "आज · {count} पोमोडोरो",
+  "focus.week": "इस हफ़्ते · {count} पोमोडोरो",
+  "focus.chart": "दिन के हिसाब से फ़ोकस मिनट: {days}",
+  "focus.noSessions": "अभी कोई सत्र नहीं।",
+  "focus.deletedTodo": "(मिटाया गया टूडू)",
+  "focus.done": "पूरा",
+  "focus.stopped": "{count} मिनट बाद रोका",
+
+  // dashboard
+  "dashboard.todos": "आज के टूडू",
+  "dashboard.open": "{count} खुले",
+  "dashboard.doneToday": "आज {count} पूरे",
+  "dashboard.nothingLeft": "कुछ बाकी नहीं।",
+  "dashboard.markDone": "पूरा करें: {text}",
+  "dashboard.overdue": "देर हो चुकी",
+  "dashboard.habitsDone": "आज {done}/{count} पूरी",
+  "dashboard.noHabits": "अभी कोई आदत नहीं।",
+  "dashboard.streak": "लगातार: {count}",
+  "dashboard.focus": "फ़ोकस",
+  "dashboard.timerRunning": "{phase} · {time} बाकी",
+  "dashboard.timerIdle": "टाइमर रुका है",
+  "dashboard.openTimer": "टाइमर खोलें",
+
+  // insights
+  "insights.title": "आँकड़े",
+  "insights.thisWeek": "इस हफ़्ते",
+  "insights.lastWeek": "पिछले हफ़्ते",
+  "insights.last30": "पिछले 30 दिन",
+  "insights.last90": "पिछले 90 दिन",
+  "insights.from": "से",
+  "insights.to": "तक",
+  "insights.todos": "पूरे हुए टूडू",
+  "insights.completed": { one: "{count} टूडू पूरा", other: "{count} टूडू पूरे" },
+  "insights.completedChart": "दिन के हिसाब से पूरे टूडू: {days}",
+  "insights.timeToDone": "जोड़ने से पूरा होने तक का औसत समय",
+  "insights.focusAverage": "रोज़ औसतन {minutes}",
+  "insights.habitRate": "तय आदतों में से पूरी हुईं",
+  "insights.habitTable": "हर आदत और हर दिन के हिसाब से पूरे हुए तय दिन",
+  "insights.habit": "आदत",
+  "insights.overall": "कुल",
+
+  // search and share
+  "search.label": "टूडू और नोट्स खोजें",
+  "search.placeholder": "टूडू और नोट्स खोजें...",
+  "search.todos": "टूडू ({count})",
+  "search.notes": "नोट्स ({count})",
+  "search.matchingTodos": "मिलते टूडू",
+  "search.noTodos": "कोई टूडू नहीं मिला।",
+  "search.noNotes": "कोई नोट नहीं मिला।",
+  "share.title": "DailyFlow के साथ शेयर किया",
+  "share.nothing": "कुछ शेयर नहीं हुआ।",
+  "share.back": "DailyFlow पर वापस",
+  "share.text": "शेयर किया पाठ",
+  "share.newTodo": "नया टूडू",
+  "share.addToNote": "नोट में जोड़ें",
+  "share.note": "नोट",
+  "share.added": "आपके टूडू में जोड़ा गया।",
+
+  // command palette
+  "palette.title": "कमांड पैलेट",
+  "palette.input": "कमांड",
+  "palette.list": "कमांड",
+  "palette.placeholder": "कमांड लिखें, या टूडू के तौर पर जोड़ने के लिए पाठ…",
+  "palette.empty": "कोई कमांड नहीं मिला।",
+  "command.todo": "टूडू",
+  "command.habit": "आदत",
+  "command.goTo": "जाएँ",
+  "command.settings": "सेटिंग",
+  "command.data": "डेटा",
+  "command.security": "सुरक्षा",
+  "command.help": "मदद",
+  "command.add": "“{text}” जोड़ें",
+  "command.check": "“{title}” पूरा करें",
+  "command.uncheck": "“{title}” अधूरा करें",
+  "command.darkTheme": "डार्क मोड",
+  "command.lightTheme": "लाइट मोड",
+  "command.systemTheme": "सिस्टम जैसी थीम",
+  "command.exportJson": "एक्सपोर्ट (JSON)",
+  "command.exportIcs": "कैलेंडर एक्सपोर्ट (.ics)",
+  "whatsNew.title": "नया क्या है",
+  "whatsNew.close": "समझ गया",
+
+  // import, export, calendar
+  "import.button": "इंपोर्ट",
+  "import.file": "इंपोर्ट करने की एक्सपोर्ट फ़ाइल",
+  "import.passphrase": "एक्सपोर्ट का पासफ़्रेज़",
+  "import.open": "खोलें",
+  "import.title": "डेटा इंपोर्ट करें",
+  "import.counts": "{todos} टूडू, {habits} आदतें, {notes} नोट्स",
+  "import.exportedAt": "{when} को एक्सपोर्ट किया",
+  "import.mergeHint": "मिलाएँ (नए बदलाव रखें)",
+  "import.replaceHint": "सब कुछ बदलें",
+  "import.changes": "{label}: {added} नए, {updated} बदले",
+  "import.changesRemoved": "{label}: {added} नए, {updated} बदले, {removed} हटाए",
+  "import.merge": "मिलाएँ",
+  "import.replace": "बदलें",
+  "import.notJson": "फ़ाइल मान्य JSON नहीं है।",
+  "import.encrypted": "यह एक्सपोर्ट एन्क्रिप्टेड है।",
+  "import.notExport": "फ़ाइल DailyFlow एक्सपोर्ट नहीं है।",
+  "import.newer": "यह एक्सपोर्ट DailyFlow के नए संस्करण का है।",
+  "import.notList": '"{key}" एक सूची होनी चाहिए।',
+  "calendar.export": ".ics एक्सपोर्ट",
+  "calendar.import": ".ics इंपोर्ट",
+  "calendar.file": "इंपोर्ट करने की कैलेंडर फ़ाइल",
+  "calendar.title": "कैलेंडर इंपोर्ट करें",
+  "calendar.items": "{count} आइटम,",
+  "calendar.new": "{count} नए।",
+  "calendar.repeating": "दोहराए जाने वाले अगले {count} दिनों के लिए जोड़े जाते हैं।",
+  "calendar.skipped": "{count} दोहराए जाने वाले आइटम छोड़े गए; उनका दोहराने का नियम समर्थित नहीं है:",
+  "calendar.noDate": "कोई तारीख़ नहीं",
+  "calendar.untitled": "(बिना शीर्षक)",
+  "calendar.notCalendar": "फ़ाइल iCalendar (.ics) फ़ाइल नहीं है।",
+  "calendar.weeklyHabit": "{title} (इस हफ़्ते {count}×)",
+  "calendar.add": "{count} टूडू जोड़ें",
+  "calendar.added": "कैलेंडर से {count} टूडू जोड़े गए",
+
+  // alerts settings
+  "alerts.status.granted": "सिस्टम सूचनाएँ चालू हैं।",
+  "alerts.status.denied": "ब्राउज़र में सूचनाएँ बंद हैं; अलर्ट सिर्फ़ ऐप के अंदर दिखेंगे।",
+  "alerts.status.default": "सूचनाएँ बंद हैं।",
+  "alerts.status.unsupported": "इस ब्राउज़र में सिस्टम सूचनाएँ नहीं हैं; अलर्ट सिर्फ़ ऐप के अंदर दिखेंगे।",
+  "alerts.enable": "चालू करें",
+  "alerts.sound": "अलर्ट की आवाज़",
+  "alerts.chime.bell": "झंकार: घंटी",
+  "alerts.chime.soft": "झंकार: हल्की",
+  "alerts.chime.digital": "झंकार: डिजिटल",
+  "alerts.chime.none": "कोई आवाज़ नहीं",
+  "alerts.volume": "आवाज़ का स्तर",
+  "alerts.test": "आज़माएँ",
+  "alerts.todoReminders": "नियत समय वाले टूडू की याद दिलाएँ",
+  "alerts.remindMe": "याद दिलाएँ",
+  "alerts.atDueTime": "नियत समय पर",
+  "alerts.minutesBefore": "{count} मिनट पहले",
+  "alerts.hoursBefore": { one: "{count} घंटा पहले", other: "{count} घंटे पहले" },
+
+  // sync
+  "sync.title": "सिंक",
+  "sync.enable": "बदलाव यहाँ सिंक करें",
+  "sync.adapter": "सिंक अडैप्टर",
+  "sync.endpoint": "सिंक एंडपॉइंट",
+  "sync.pending": "{count} बदलाव बाकी",
+  "sync.last": "आख़िरी सिंक {time}",
+  "sync.lastReceived": "आख़िरी सिंक {time}, {count} मिले",
+  "sync.failed": "सिंक नहीं हुआ: {message}",
+  "sync.now": "अभी सिंक करें",
+
+  // security and lock screen
+  "security.title": "सुरक्षा",
+  "security.on": "सेव डेटा और एक्सपोर्ट एन्क्रिप्टेड हैं।",
+  "security.offHint": "सेव डेटा और एक्सपोर्ट को पासफ़्रेज़ से एन्क्रिप्ट करें, और ख़ाली रहने पर ऐप लॉक करें।",
+  "security.lockNow": "अभी लॉक करें",
+  "security.autoLock": "ख़ाली रहने पर लॉक",
+  "security.never": "कभी नहीं",
+  "security.afterMinutes": "{count} मिनट बाद",
+  "security.afterHours": "{count} घंटे बाद",
+  "security.change": "पासफ़्रेज़ बदलें",
+  "security.turnOff": "बंद करें",
+  "security.set": "पासफ़्रेज़ रखें",
+  "security.current": "मौजूदा पासफ़्रेज़",
+  "security.new": "नया पासफ़्रेज़",
+  "security.repeat": "दोबारा लिखें",
+  "security.warning": "इसे वापस पाने का कोई तरीका नहीं है। पासफ़्रेज़ भूले तो इस डिवाइस का डेटा गया।",
+  "security.tooShort": "कम से कम {count} अक्षर रखें।",
+  "security.mismatch": "दोनों पासफ़्रेज़ मेल नहीं खाते।",
+  "security.working": "काम चल रहा है…",
+  "security.decrypt": "डिक्रिप्ट करके बंद करें",
+  "security.save": "पासफ़्रेज़ सेव करें",
+  "lock.title": "DailyFlow लॉक है",
+  "lock.passphrase": "पासफ़्रेज़",
+  "lock.unlock": "अनलॉक करें",
+  "lock.unlocking": "अनलॉक हो रहा है…",
+  "lock.wrongPassphrase": "गलत पासफ़्रेज़।",
+
+  // install manifest (vite.config.js)
+  "manifest.description": "⚡ React + Vite से बना तेज़ प्रोग्रेसिव वेब ऐप",
+  "manifest.dashboard": "डैशबोर्ड खोलें",
+  "manifest.dashboardShort": "डैशबोर्ड",
+  "manifest.dashboardDescription": "सीधे अपने डैशबोर्ड पर जाएँ",
+  "manifest.newTask": "नया काम",
+  "manifest.newTaskShort": "काम",
+  "manifest.newTaskDescription": "तुरंत नया काम बनाएँ",
+};
@@ -0,0 +1,87 @@
+import { parseKey } from "../lib/dates";
+import en from "./en";
+import hi from "./hi";
+import ar from "./ar";
+
+// --- Translations ---
+// One catalog per language: flat "area.name" keys. A message can hold
+// {placeholders}. With a `count` it is an object of plural forms picked by
+// Intl.PluralRules (one, few, many, ... and always `other`).
+// A key missing from a catalog falls back to English.
+// Dates, times and numbers go through Intl with the same locale.
+export const LOCALES = {
+  en: { name: "English", dir: "ltr", messages: en },
+  hi: { name: "हिन्दी", dir: "ltr", messages: hi },
+  ar: { name: "العربية", dir: "rtl", messages: ar },
+};
+export const DEFAULT_LOCALE = "en";
+
+const baseOf = (tag) => tag?.toLowerCase().split("-")[0];
+
+// "hi-IN" -> "hi"; anything we don't have -> English
+export const resolveLocale = (tag) => (LOCALES[baseOf(tag)] ? baseOf(tag) : DEFAULT_LOCALE);
+
+// the first of the browser's languages that we have
+export const detectLocale = (languages = globalThis.navigator?.languages ?? []) =>
+  languages.map(baseOf).find((base) => LOCALES[base]) ?? DEFAULT_LOCALE;
+
+// The build writes manifest.webmanifest for English and manifest.<locale>.webmanifest
+// for the rest (vite.config.js).
+export const manifestHref = (locale) =>
+  locale === DEFAULT_LOCALE ? "/manifest.webmanifest" : `/manifest.${locale}.webmanifest`;
+
+// <html lang dir> and the install manifest follow the chosen language
+export function applyLocale(locale) {
+  const root = document.documentElement;
+  root.lang = locale;
+  root.dir = LOCALES[locale].dir;
+  const link = document.querySelector('link[rel="manifest"]');
+  if (link) link.setAttribute("href", manifestHref(locale));
+}
+
+export function createI18n(requested) {
+  const locale = resolveLocale(requested);
+  const { dir, messages } = LOCALES[locale];
+  const plural = new Intl.PluralRules(locale);
+  const number = new Intl.NumberFormat(locale);
+  const day = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+  const dateTime = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+  const clock = new Intl.DateTimeFormat(locale, { timeStyle: "short" });
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: "short" });
+  const percent = new Intl.NumberFormat(locale, { style: "percent" });
+  const [minutes, hours, days] = ["minute", "hour", "day"].map(
+    (unit) => new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: "long", maximumFractionDigits: 1 })
+  );
+
+  const t = (key, vars = {}) => {
+    let message = messages[key] ?? en[key] ?? key;
+    if (typeof message === "object") message = message[plural.select(vars.count)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = vars[name];
+      if (value === undefined) return match;
+      return typeof value === "number" ? number.format(value) : value;
+    });
+  };
+
+  return {
+    locale,
+    dir,
+    t,
+    formatNumber: (n) => number.format(n),
+    // a thrown error for the UI: one with a `code` (a catalog key) is translated
+    formatError: (err) => (err?.code ? t(err.code, err.vars) : err?.message),
+    formatPercent: (fraction) => percent.format(fraction),
+    // a length of time in its biggest sensible unit: "45 minutes", "3.5 hours", "2 days"
+    formatDuration: (ms) => {
+      const m = ms / 60000;
+      if (m < 60) return minutes.format(Math.round(m));
+      return m < 48 * 60 ? hours.format(m / 60) : days.format(m / (24 * 60));
+    },
+    // a dateKey() ("2026-10-19")
+    formatDay: (key) => day.format(parseKey(key)),
+    formatDateTime: (when) => dateTime.format(when),
+    formatClock: (when) => clock.format(when),
+    // 0 = Monday, as in lib/dates weekday(); 1 Jan 2024 was a Monday
+    weekdayName: (d) => weekday.format(new Date(2024, 0, 1 + d)),
+  };
+}
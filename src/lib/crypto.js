@@ -0,0 +1,107 @@
+// --- Passphrase encryption (WebCrypto: PBKDF2-SHA-256 -> AES-GCM-256) ---
+// A sealed value is one string: "dfenc1:<salt>:<iv>:<ciphertext>" (base64).
+// The salt travels with every blob, so a blob sealed on another device (or
+// in an export) opens anywhere with the same passphrase; keys are derived
+// once per salt and cached for the unlocked session.
+// The passphrase itself is never stored. What is stored (settings
+// "encryption") is { salt, check }: `check` is a sealed marker that tells a
+// wrong passphrase from a right one.
+const PREFIX = "dfenc1";
+const ITERATIONS = 310000;
+const CHECK = "dailyflow";
+
+// chunked: spreading a whole export into fromCharCode overflows the stack
+const toB64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(text);
+};
+const fromB64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+export const isSealed = (x) => typeof x === "string" && x.startsWith(`${PREFIX}:`);
+
+export class PassphraseError extends Error {
+  constructor(message = "Wrong passphrase.") {
+    super(message);
+    this.name = "PassphraseError";
+  }
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: fromB64(salt), iterations: ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function sealWith(key, salt, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = new TextEncoder().encode(JSON.stringify(value));
+  const sealed = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, data);
+  return `${PREFIX}:${salt}:${toB64(iv)}:${toB64(sealed)}`;
+}
+
+async function openWith(keyFor, sealed) {
+  const [prefix, salt, iv, data] = sealed.split(":");
+  if (prefix !== PREFIX || !data) throw new Error("Not an encrypted DailyFlow value.");
+  try {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(iv) }, await keyFor(salt), fromB64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw new PassphraseError();
+  }
+}
+
+const keyCache = (passphrase) => {
+  const keys = new Map();
+  return (salt) => {
+    if (!keys.has(salt)) keys.set(salt, deriveKey(passphrase, salt));
+    return keys.get(salt);
+  };
+};
+
+// --- Unlocked session (this window only) ---
+let session = null;
+
+export const isUnlocked = () => session != null;
+
+// Checks the passphrase against the stored config and keeps the keys in memory.
+export async function unlock(passphrase, config) {
+  const keyFor = keyCache(passphrase);
+  if ((await openWith(keyFor, config.check)) !== CHECK) throw new PassphraseError();
+  session = { salt: config.salt, keyFor };
+}
+
+export const forget = () => {
+  session = null;
+};
+
+// A new config (fresh salt) for `passphrase`, and a session for it.
+export async function createConfig(passphrase) {
+  const salt = toB64(crypto.getRandomValues(new Uint8Array(16)));
+  const keyFor = keyCache(passphrase);
+  session = { salt, keyFor };
+  return { salt, check: await sealWith(await keyFor(salt), salt, CHECK) };
+}
+
+// Taken synchronously by writers, so a lock that lands mid-write can't turn
+// the rest of that write into plaintext. Null while locked.
+export function sealer() {
+  const current = session;
+  return current && (async (value) => sealWith(await current.keyFor(current.salt), current.salt, value));
+}
+
+export const openSealed = (sealed) => {
+  if (!session) throw new PassphraseError("Locked.");
+  return openWith(session.keyFor, sealed);
+};
+
+// For one-off blobs (an encrypted export) without touching the session.
+export const openWithPassphrase = (sealed, passphrase) => openWith(keyCache(passphrase), sealed);
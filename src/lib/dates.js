@@ -0,0 +1,34 @@
+// --- Date helpers ---
+// Keys are built from the local calendar date, not toISOString(), so "today"
+// rolls over at the user's midnight instead of UTC midnight.
+const pad = (n) => String(n).padStart(2, "0");
+
+export const dateKey = (d = new Date()) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export const isSameDay = (ts, d = new Date()) => ts != null && dateKey(new Date(ts)) === dateKey(d);
+
+export const formatTime = (s) => `${pad(Math.floor(s / 60))}:${pad(s % 60)}`;
+
+// `key` is a dateKey(); parsed at local noon so DST shifts never push it onto another day
+export const parseKey = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d, 12);
+};
+
+export const addDays = (key, n) => {
+  const d = parseKey(key);
+  d.setDate(d.getDate() + n);
+  return dateKey(d);
+};
+
+// 0 = Monday ... 6 = Sunday
+export const weekday = (key) => (parseKey(key).getDay() + 6) % 7;
+
+export const weekStart = (key) => addDays(key, -weekday(key));
+
+// every key from `from` to `to`, both included
+export const eachDay = (from, to) => {
+  const keys = [];
+  for (let key = from; key <= to; key = addDays(key, 1)) keys.push(key);
+  return keys;
+};
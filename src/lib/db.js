@@ -0,0 +1,485 @@
+import { openDB } from "idb";
+import { parseKey } from "./dates";
+import { upgradeHabit } from "./habits";
+import { QUICK_NOTE_ID, upgradeNote } from "./notes";
+import { uid } from "./uid";
+import { broadcast, isRemote } from "../sync/tabs";
+import { observe, tick } from "../sync/clock";
+import { mergeRecord, outlives, REV, stampRecord } from "../sync/merge";
+import { createConfig, forget, isSealed, isUnlocked, openSealed, sealer, unlock } from "./crypto";
+import { createI18n, detectLocale } from "../i18n";
+
+// --- IndexedDB storage ---
+// One object store per entity. Todos/habits/notes are keyed by their `id`;
+// small singletons (theme, pomodoro settings + timer, alert prefs, checklist templates) live in `settings`
+// (templates sealed with a passphrase, see putSealedSetting).
+const DB_NAME = "dailyflow";
+export const LEGACY_KEY = "dailyflow_v1";
+
+// the service worker opens this database too, and has no localStorage
+const legacyStorage = () => globalThis.localStorage ?? null;
+
+// Schema version = MIGRATIONS.length. Append new steps, never edit shipped ones.
+// Steps run in order inside the upgrade transaction; they may await IDB
+// requests on `tx` but nothing else, or the transaction auto-commits.
+const MIGRATIONS = [
+  // v1: stores
+  (db) => {
+    db.createObjectStore("todos", { keyPath: "id" });
+    db.createObjectStore("habits", { keyPath: "id" });
+    db.createObjectStore("notes", { keyPath: "id" });
+    db.createObjectStore("settings");
+    db.createObjectStore("meta");
+  },
+  // v2: one-time import of the old localStorage blob
+  (db, tx) => {
+    const raw = legacyStorage()?.getItem(LEGACY_KEY);
+    if (raw == null) return;
+    let data = null;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      data = null;
+    }
+    if (!data || typeof data !== "object") {
+      // corrupt blob: park it instead of dropping it, it can still be recovered by hand
+      tx.objectStore("meta").put(raw, "legacyBlob");
+      return;
+    }
+    for (const t of Array.isArray(data.todos) ? data.todos : []) if (t?.id) tx.objectStore("todos").put(t);
+    for (const h of Array.isArray(data.habits) ? data.habits : []) if (h?.id) tx.objectStore("habits").put(h);
+    if (typeof data.notes === "string") tx.objectStore("notes").put({ id: QUICK_NOTE_ID, text: data.notes });
+    for (const key of ["dark", "pomodoro", "focus"]) {
+      if (data[key] !== undefined) tx.objectStore("settings").put(data[key], key);
+    }
+    tx.objectStore("meta").put(Date.now(), "legacyImportedAt");
+  },
+  // v3: habits get a per-day completion log and a schedule
+  async (db, tx) => {
+    const store = tx.objectStore("habits");
+    for (const h of await store.getAll()) await store.put(upgradeHabit(h));
+  },
+  // v4: Pomodoro session log; the old per-day focus minutes become one session per day
+  async (db, tx) => {
+    db.createObjectStore("sessions", { keyPath: "id" });
+    const settings = tx.objectStore("settings");
+    const focus = (await settings.get("focus")) ?? {};
+    for (const [day, minutes] of Object.entries(focus)) {
+      const end = parseKey(day).getTime();
+      await tx.objectStore("sessions").put({
+        id: `focus-${day}`,
+        mode: "work",
+        start: end - minutes * 60000,
+        end,
+        duration: minutes * 60,
+        focused: minutes * 60,
+        completed: false,
+        todoId: null,
+      });
+    }
+    await settings.delete("focus");
+  },
+  // v5: outbox of mutations waiting for the sync endpoint, in write order
+  (db) => {
+    db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+  },
+  // v6: notes get a title, pinning and version history (the quick note becomes "Quick note")
+  async (db, tx) => {
+    const store = tx.objectStore("notes");
+    const { t } = createI18n((await tx.objectStore("settings").get("locale")) ?? detectLocale());
+    for (const n of await store.getAll()) await store.put(upgradeNote(n, t("notes.quickNote")));
+  },
+  // v7: tombstones of deleted synced records, keyed "entity:id"
+  (db) => {
+    db.createObjectStore("tombstones");
+  },
+  // v8: the dark flag becomes a theme; `false` was only ever the default, so it now follows the system
+  async (db, tx) => {
+    const settings = tx.objectStore("settings");
+    const dark = await settings.get("dark");
+    if (dark === undefined) return;
+    await settings.put({ mode: dark ? "dark" : "system", accent: "indigo" }, "theme");
+    await settings.delete("dark");
+  },
+];
+
+let dbPromise = null;
+
+export function openStore() {
+  dbPromise ??= openDB(DB_NAME, MIGRATIONS.length, {
+    async upgrade(db, oldVersion, newVersion, tx) {
+      for (let v = oldVersion; v < newVersion; v++) await MIGRATIONS[v](db, tx);
+    },
+  }).then(async (db) => {
+    // the import has committed by now, so the old key can go
+    if (legacyStorage()?.getItem(LEGACY_KEY) != null && (await db.get("meta", "legacyImportedAt"))) {
+      legacyStorage().removeItem(LEGACY_KEY);
+    }
+    return db;
+  });
+  return dbPromise;
+}
+
+// Throws LockedError while a passphrase is set and this window hasn't unlocked.
+export async function loadAll() {
+  const db = await openStore();
+  const encryption = await db.get("settings", "encryption");
+  if (encryption && !isUnlocked()) throw new LockedError();
+  const [
+    todos,
+    habits,
+    sessions,
+    notes,
+    theme,
+    pomodoro,
+    pomodoroTimer,
+    alerts,
+    sync,
+    seenChangelog,
+    autoLock,
+    locale,
+    templates,
+  ] = await Promise.all([
+    getAllOpen(db, "todos"),
+    getAllOpen(db, "habits"),
+    getAllOpen(db, "sessions"),
+    getAllOpen(db, "notes"),
+    db.get("settings", "theme"),
+    db.get("settings", "pomodoro"),
+    db.get("settings", "pomodoroTimer"),
+    db.get("settings", "alerts"),
+    db.get("settings", "sync"),
+    db.get("settings", "seenChangelog"),
+    db.get("settings", "autoLock"),
+    db.get("settings", "locale"),
+    getSettingOpen(db, "templates"),
+  ]);
+  return {
+    // newest first, same order addTodo builds
+    todos: todos.sort((a, b) => (b.created ?? 0) - (a.created ?? 0)),
+    habits,
+    notes,
+    theme,
+    pomodoro,
+    pomodoroTimer,
+    alerts,
+    sync,
+    seenChangelog,
+    encrypted: Boolean(encryption),
+    autoLock,
+    locale,
+    templates,
+    sessions: sessions.sort((a, b) => a.start - b.start),
+  };
+}
+
+// --- Outbox and revisions ---
+// Writes to a synced store stamp the changed fields (src/sync/merge.js) and
+// leave a tombstone for deletes. While sync is on, each write also appends a
+// mutation { entity, op: "put" | "delete", id, data, ts } in the same
+// transaction, so the data and its pending upload can never disagree.
+// A delete's `data` is { deleted: stamp }. See src/sync/.
+const SYNCED = new Set(["todos", "habits", "notes", "sessions"]);
+let outboxEnabled = false;
+
+export const setOutboxEnabled = (on) => {
+  outboxEnabled = on;
+};
+
+const txFor = (db, name) =>
+  SYNCED.has(name)
+    ? db.transaction([name, "tombstones", ...(outboxEnabled ? ["outbox"] : [])], "readwrite")
+    : db.transaction(name, "readwrite");
+
+const tombstoneKey = (entity, id) => `${entity}:${id}`;
+
+// This browser's id in revision stamps, made on first use.
+let devicePromise = null;
+export function deviceId() {
+  devicePromise ??= openStore().then(async (db) => {
+    const id = (await db.get("meta", "deviceId")) ?? uid();
+    await db.put("meta", id, "deviceId");
+    return id;
+  });
+  return devicePromise;
+}
+
+const enqueue = (tx, entity, op, id, data) => {
+  if (tx.objectStoreNames.contains("outbox")) tx.objectStore("outbox").add({ entity, op, id, data, ts: Date.now() });
+};
+
+// Writes only what changed between two versions of a list. State updates are
+// immutable, so an item whose reference changed is an item that was edited.
+// Changes that came from another tab are already stored (see sync/tabs.js).
+// Synced records are stamped against the stored version and, with a passphrase
+// set, sealed; that needs WebCrypto, which can't run inside an IDB transaction,
+// so the stored versions are read first and the writes go in a second one.
+// Writes to one store therefore run one after another: two overlapping writes
+// of a record would both stamp against the same old version of it.
+const writing = new Map();
+
+export function writeDiff(name, prev, next) {
+  const seal = sealer(); // before any await, see crypto.js
+  const run = (writing.get(name) ?? Promise.resolve()).then(() => writeDiffNow(name, prev, next, seal));
+  // the caller gets the error; the next write runs regardless
+  const settled = run.catch(() => {});
+  writing.set(name, settled);
+  return run;
+}
+
+async function writeDiffNow(name, prev, next, seal) {
+  const before = new Map(prev.map((x) => [x.id, x]));
+  const ids = new Set(next.map((x) => x.id));
+  const puts = next.filter((x) => before.get(x.id) !== x && !isRemote(x));
+  const dels = prev.filter((x) => !ids.has(x.id) && !isRemote(x));
+  if (!puts.length && !dels.length) return;
+  const db = await openStore();
+  const device = SYNCED.has(name) ? await deviceId() : null;
+  let written = puts;
+  let records = puts;
+  if (device) {
+    const [encryption, ...stored] = await Promise.all([
+      db.get("settings", "encryption"),
+      ...puts.map((x) => db.get(name, x.id)),
+    ]);
+    if (encryption && !seal) throw new LockedError();
+    const stamp = () => tick(device);
+    written = await Promise.all(puts.map(async (x, i) => stampRecord(await unsealRecord(stored[i]), x, stamp)));
+    records = encryption ? await Promise.all(written.map((x) => sealRecord(x, seal, stamp))) : written;
+  }
+  const tx = txFor(db, name);
+  const store = tx.objectStore(name);
+  for (const x of records) {
+    store.put(x);
+    // stamped just now, so later than any delete of this id: the id is live again
+    if (device) tx.objectStore("tombstones").delete(tombstoneKey(name, x.id));
+    enqueue(tx, name, "put", x.id, x);
+  }
+  for (const x of dels) {
+    store.delete(x.id);
+    if (!device) continue;
+    const deleted = tick(device);
+    tx.objectStore("tombstones").put({ entity: name, id: x.id, deleted }, tombstoneKey(name, x.id));
+    enqueue(tx, name, "delete", x.id, { deleted });
+  }
+  await tx.done;
+  broadcast({ type: "list", name, puts: written, dels: dels.map((x) => x.id) });
+}
+
+// Settings aren't sealed, so this works while locked (the lock screen's language).
+export async function getSetting(key) {
+  return (await openStore()).get("settings", key);
+}
+
+export async function putSetting(key, value) {
+  if (isRemote(value)) return;
+  const db = await openStore();
+  await db.put("settings", value, key);
+  broadcast({ type: "setting", key, value });
+}
+
+// ...except the ones that hold what the user wrote (checklist templates): with
+// a passphrase set those are stored as { sealed } and need an unlocked window.
+const SEALED_SETTINGS = ["templates"];
+
+export async function putSealedSetting(key, value) {
+  if (isRemote(value)) return;
+  const seal = sealer(); // before any await, see crypto.js
+  const db = await openStore();
+  const encryption = await db.get("settings", "encryption");
+  if (encryption && !seal) throw new LockedError();
+  await db.put("settings", encryption ? { sealed: await seal(value) } : value, key);
+  broadcast({ type: "setting", key, value });
+}
+
+const openSetting = async (stored) => (isSealed(stored?.sealed) ? openSealed(stored.sealed) : stored);
+
+const getSettingOpen = async (db, key) =>
+  openSetting(await db.get("settings", key)).catch((err) => console.warn(`DailyFlow: can't open ${key}`, err));
+
+// Queues a put for everything synced (and every tombstone), e.g. when sync is
+// first switched on. Records from before revisions get stamped on the way.
+export async function enqueueSnapshot() {
+  const db = await openStore();
+  const device = await deviceId();
+  const tx = db.transaction([...SYNCED, "tombstones", "outbox"], "readwrite");
+  for (const name of SYNCED) {
+    for (let x of await tx.objectStore(name).getAll()) {
+      if (!x._rev) await tx.objectStore(name).put((x = stampRecord(null, x, () => tick(device))));
+      enqueue(tx, name, "put", x.id, x);
+    }
+  }
+  for (const t of await tx.objectStore("tombstones").getAll()) enqueue(tx, t.entity, "delete", t.id, t);
+  await tx.done;
+}
+
+// Folds changes pulled from the sync server into the stores:
+//   { entity, id, record } merged field by field with what's here,
+//   { entity, id, deleted } removes the record for good.
+// Nothing goes to the outbox; every open window (this one too) is told.
+// Returns how many records actually changed.
+export async function applyPulled(changes) {
+  const db = await openStore();
+  const tx = db.transaction([...SYNCED, "tombstones"], "readwrite");
+  const tombstones = tx.objectStore("tombstones");
+  const touched = {};
+  const note = (entity) => (touched[entity] ??= { puts: [], dels: [] });
+  for (const c of changes) {
+    if (!SYNCED.has(c.entity)) continue;
+    const store = tx.objectStore(c.entity);
+    const key = tombstoneKey(c.entity, c.id);
+    if (c.deleted) {
+      observe(c.deleted);
+      const stored = await store.get(c.id);
+      // written here after that delete: ours stands, and goes up with the outbox
+      if (stored && outlives(stored, c.deleted)) continue;
+      const tombstone = await tombstones.get(key);
+      if (!(tombstone?.deleted >= c.deleted)) {
+        await tombstones.put({ entity: c.entity, id: c.id, deleted: c.deleted }, key);
+      }
+      if (stored) {
+        await store.delete(c.id);
+        note(c.entity).dels.push(c.id);
+      }
+      continue;
+    }
+    Object.values(c.record._rev ?? {}).forEach(observe);
+    // a late edit of something deleted here stays deleted; a record re-created after the delete comes back
+    const tombstone = await tombstones.get(key);
+    if (tombstone && !outlives(c.record, tombstone.deleted)) continue;
+    if (tombstone) await tombstones.delete(key);
+    const stored = await store.get(c.id);
+    const merged = mergeRecord(stored, c.record);
+    if (JSON.stringify(merged) === JSON.stringify(stored)) continue;
+    await store.put(merged);
+    note(c.entity).puts.push(merged);
+  }
+  await tx.done;
+  for (const [name, { puts, dels }] of Object.entries(touched)) {
+    broadcast({ type: "list", name, puts, dels }, { self: true });
+  }
+  return Object.values(touched).reduce((n, t) => n + t.puts.length + t.dels.length, 0);
+}
+
+// Where the last pull left off, per endpoint (a new endpoint starts from scratch).
+export async function getSyncCursor(endpoint) {
+  const saved = await (await openStore()).get("meta", "syncCursor");
+  return saved?.endpoint === endpoint ? saved.cursor : null;
+}
+
+export async function setSyncCursor(endpoint, cursor) {
+  await (await openStore()).put("meta", { endpoint, cursor }, "syncCursor");
+}
+
+// --- Shared content (share_target) ---
+// The SW can't hand a POST body to the page, so it parks the share here and
+// /share takes it (once). It's plaintext even with a passphrase set, but only
+// until the app is next opened.
+export async function putShare(share) {
+  await (await openStore()).put("meta", share, "share");
+}
+
+export async function takeShare() {
+  const tx = (await openStore()).transaction("meta", "readwrite");
+  const share = await tx.store.get("share");
+  if (share) await tx.store.delete("share");
+  await tx.done;
+  return share ?? null;
+}
+
+// --- Encryption at rest ---
+// With a passphrase set (settings "encryption", see crypto.js) synced records
+// are stored, queued and synced sealed:
+//   { id, sealed: "dfenc1:...", <every other field>: null, _rev: { sealed: s, <field>: s } }
+// Every field carries the sealing stamp, so wherever it's merged (here or on
+// the server) the sealed version replaces a plaintext one wholesale. A field
+// stamped after `sealed` is a later edit from a device without encryption and
+// is laid over the opened record.
+export class LockedError extends Error {
+  constructor() {
+    super("DailyFlow is locked.");
+    this.name = "LockedError";
+  }
+}
+
+async function sealRecord(plain, seal, stamp) {
+  const keys = Object.keys(plain).filter((k) => k !== "id" && k !== REV);
+  const at = stamp();
+  return {
+    ...Object.fromEntries(keys.map((k) => [k, null])),
+    id: plain.id,
+    sealed: await seal(plain),
+    [REV]: Object.fromEntries([...keys, "sealed"].map((k) => [k, at])),
+  };
+}
+
+// Plain records pass through untouched.
+export async function unsealRecord(record) {
+  if (!record || !("sealed" in record)) return record;
+  const { sealed, [REV]: rev = {}, ...fields } = record;
+  const { sealed: at = "", ...fieldRevs } = rev;
+  // sealed: null means encryption was switched off since
+  if (!sealed) return { ...fields, [REV]: fieldRevs };
+  const plain = await openSealed(sealed);
+  const newer = Object.keys(fields).filter((k) => (fieldRevs[k] ?? "") > at);
+  return {
+    ...plain,
+    ...Object.fromEntries(newer.map((k) => [k, fields[k]])),
+    [REV]: { ...plain[REV], ...Object.fromEntries(newer.map((k) => [k, fieldRevs[k]])) },
+  };
+}
+
+// Records this passphrase can't open (sealed on a device with another one) are left out.
+const getAllOpen = async (db, name) =>
+  (
+    await Promise.all(
+      (await db.getAll(name)).map((r) =>
+        unsealRecord(r).catch((err) => console.warn(`DailyFlow: can't open ${name}/${r.id}`, err))
+      )
+    )
+  ).filter(Boolean);
+
+export async function unlockStore(passphrase) {
+  const config = await (await openStore()).get("settings", "encryption");
+  if (config) await unlock(passphrase, config);
+}
+
+export const lockStore = forget;
+
+// Sets a new passphrase (also to change it) or, with null, switches encryption
+// off, rewriting every synced record either way. Other windows are told to lock.
+export async function setEncryption(passphrase) {
+  const db = await openStore();
+  const device = await deviceId();
+  const stamp = () => tick(device);
+  const current = {};
+  for (const name of SYNCED) current[name] = await Promise.all((await db.getAll(name)).map(unsealRecord));
+  const settings = {};
+  for (const key of SEALED_SETTINGS) settings[key] = await openSetting(await db.get("settings", key));
+  const config = passphrase ? await createConfig(passphrase) : null;
+  const seal = config && sealer();
+  const rewritten = {};
+  for (const name of SYNCED) {
+    rewritten[name] = await Promise.all(
+      current[name].map((x) => (seal ? sealRecord(x, seal, stamp) : stampRecord(null, { ...x, sealed: null }, stamp)))
+    );
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined) settings[key] = seal ? { sealed: await seal(value) } : value;
+  }
+  const tx = db.transaction([...SYNCED, "settings", ...(outboxEnabled ? ["outbox"] : [])], "readwrite");
+  for (const name of SYNCED) {
+    for (const x of rewritten[name]) {
+      tx.objectStore(name).put(x);
+      enqueue(tx, name, "put", x.id, x);
+    }
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined) tx.objectStore("settings").put(value, key);
+  }
+  if (config) tx.objectStore("settings").put(config, "encryption");
+  else tx.objectStore("settings").delete("encryption");
+  await tx.done;
+  if (!config) forget();
+  broadcast({ type: "encryption" });
+}
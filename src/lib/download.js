@@ -0,0 +1,28 @@
+import { sealer } from "./crypto";
+import { dateKey } from "./dates";
+import { buildCalendar } from "./ical";
+import { buildExport, sealExport } from "./importExport";
+
+// --- Saving files (Export buttons, command palette) ---
+export function download(content, type, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// sealed with the passphrase when one is set
+export async function downloadExport({ todos, habits, notes }) {
+  const seal = sealer(); // before the await, see crypto.js
+  const plain = buildExport({ todos, habits, notes });
+  const data = seal ? await sealExport(plain, seal) : plain;
+  download(JSON.stringify(data, null, 2), "application/json", `dailyflow-export-${dateKey()}.json`);
+}
+
+// `t` from useI18n, for the titles of "N per week" habits
+export function downloadCalendar({ todos, habits }, t) {
+  const weeklyTitle = (title, count) => t("calendar.weeklyHabit", { title, count });
+  download(buildCalendar({ todos, habits }, { weeklyTitle }), "text/calendar", `dailyflow-${dateKey()}.ics`);
+}
@@ -0,0 +1,10 @@
+// --- Keeping keyboard focus when a list row goes away ---
+// Deleting the focused row would drop focus to <body>. Move it to the same
+// control in the next row (or the previous one, for the last row); with no
+// rows left, to the list itself, which has tabIndex={-1} for this.
+// Rows mark that control with data-row-focus.
+export function focusNeighbour(row) {
+  if (!row) return;
+  const other = row.nextElementSibling ?? row.previousElementSibling;
+  (other?.querySelector("[data-row-focus]") ?? row.parentElement)?.focus();
+}
@@ -0,0 +1,30 @@
+// --- Fuzzy matching for the command palette ---
+// The query's characters must appear in order. Matches at word starts and runs
+// of consecutive characters score higher, gaps score lower. null = no match.
+export function fuzzyScore(query, text) {
+  const q = query.trim().toLowerCase();
+  const t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let at = -1;
+  for (const ch of q) {
+    if (ch === " ") continue;
+    const next = t.indexOf(ch, at + 1);
+    if (next === -1) return null;
+    if (next === at + 1) score += 3;
+    if (next === 0 || /[\s\-_/“"(]/.test(t[next - 1])) score += 5;
+    score -= Math.min(next - at - 1, 5);
+    at = next;
+  }
+  return score;
+}
+
+// Best matches first; items that don't match are left out.
+export function fuzzyFilter(items, query, textOf) {
+  if (!query.trim()) return items;
+  return items
+    .map((item, index) => ({ item, index, score: fuzzyScore(query, textOf(item)) }))
+    .filter((x) => x.score != null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((x) => x.item);
+}
@@ -0,0 +1,109 @@
+import { addDays, dateKey, weekday, weekStart } from "./dates";
+
+// --- Habits ---
+// A habit keeps a per-day completion log keyed by local dateKey():
+//   { id, title, created, updated, schedule, log: { "2025-01-31": true } }
+// Schedules:
+//   { type: "daily" }
+//   { type: "days", days: [0, 2, 4] }   weekdays, 0 = Monday (Mon/Wed/Fri here)
+//   { type: "weekly", times: 3 }        any days, N times per Monday-based week
+export const DAILY = { type: "daily" };
+
+export const newHabit = (id, title, schedule = DAILY) => {
+  const now = Date.now();
+  return { id, title, schedule, log: {}, created: now, updated: now };
+};
+
+// Pre-log habits only knew {streak, lastSeen, toggledToday}; the one day we can
+// recover is lastSeen. Shared by the IndexedDB migration and the importer.
+export function upgradeHabit(h) {
+  if (h.log) return { schedule: DAILY, ...h };
+  const { toggledToday, lastSeen, streak: _streak, ...rest } = h;
+  return {
+    ...rest,
+    schedule: DAILY,
+    log: toggledToday && lastSeen ? { [lastSeen]: true } : {},
+  };
+}
+
+export const isDone = (habit, key = dateKey()) => Boolean(habit.log?.[key]);
+
+export const isScheduled = (habit, key) =>
+  habit.schedule?.type === "days" ? habit.schedule.days.includes(weekday(key)) : true;
+
+export const toggleDay = (habit, key = dateKey()) => {
+  const log = { ...habit.log };
+  if (log[key]) delete log[key];
+  else log[key] = true;
+  return { ...habit, log, updated: Date.now() };
+};
+
+// `i18n` from useI18n(): the words and weekday names are the user's language
+export const describeSchedule = (schedule = DAILY, { t, weekdayName }) => {
+  if (schedule.type === "days") return schedule.days.map(weekdayName).join("/");
+  if (schedule.type === "weekly") return t("schedule.perWeek", { count: schedule.times });
+  return t("schedule.daily");
+};
+
+const firstDay = (habit, today) => {
+  const keys = Object.keys(habit.log ?? {}).sort();
+  const created = habit.created ? dateKey(new Date(habit.created)) : today;
+  return keys[0] && keys[0] < created ? keys[0] : created;
+};
+
+// Success/failure of every period (scheduled day, or week for "weekly") from the
+// habit's first day up to the current one. The current period is `pending`
+// until it's met, so an unfinished today doesn't break the streak.
+// `from`/`to` narrow it to a date range (Insights); a week counts if any of it is inside.
+function periods(habit, today = dateKey(), { from, to = today } = {}) {
+  const out = [];
+  const first = firstDay(habit, today);
+  const start = from > first ? from : first;
+  const end = to < today ? to : today;
+  if (habit.schedule?.type === "weekly") {
+    for (let wk = weekStart(start); wk <= end; wk = addDays(wk, 7)) {
+      let count = 0;
+      for (let i = 0; i < 7; i++) if (habit.log?.[addDays(wk, i)]) count++;
+      const ok = count >= habit.schedule.times;
+      out.push({ ok, pending: !ok && addDays(wk, 7) > today });
+    }
+    return out;
+  }
+  for (let key = start; key <= end; key = addDays(key, 1)) {
+    if (!isScheduled(habit, key)) continue;
+    const ok = isDone(habit, key);
+    out.push({ ok, pending: !ok && key === today });
+  }
+  return out;
+}
+
+export function streaks(habit, today = dateKey()) {
+  const ps = periods(habit, today);
+  let longest = 0;
+  let run = 0;
+  for (const p of ps) {
+    if (p.ok) longest = Math.max(longest, ++run);
+    else if (!p.pending) run = 0;
+  }
+  return { current: run, longest, unit: habit.schedule?.type === "weekly" ? "week" : "day" };
+}
+
+// Periods met out of those that are over (today counts once it's done), from `from` to `to`.
+export function completion(habit, from, to, today = dateKey()) {
+  const over = periods(habit, today, { from, to }).filter((p) => !p.pending);
+  return { met: over.filter((p) => p.ok).length, total: over.length };
+}
+
+// The same per weekday (0 = Monday): scheduled days in the range and how many were done.
+// A "weekly" habit can be done any day, so for it this is how often each weekday gets a check-in.
+export function completionByWeekday(habit, from, to, today = dateKey()) {
+  const out = Array.from({ length: 7 }, () => ({ met: 0, total: 0 }));
+  const first = firstDay(habit, today);
+  for (let key = from > first ? from : first; key <= to && key <= today; key = addDays(key, 1)) {
+    const done = isDone(habit, key);
+    if (!isScheduled(habit, key) || (key === today && !done)) continue;
+    out[weekday(key)].total++;
+    if (done) out[weekday(key)].met++;
+  }
+  return out;
+}
@@ -0,0 +1,457 @@
+// --- iCalendar (RFC 5545) ---
+// Export: dated todos as events (all-day, or half an hour at their due time)
+// and habits as recurring all-day events. Times are floating ("09:00 wherever
+// you are"), which is what a due time means here.
+// Import: VEVENT/VTODO -> { id, text, due, dueTime, done, tags } in this
+// device's local time. TZIDs are honoured (DST included) and recurring items
+// become one item per occurrence in the next few weeks.
+// No imports: scripts/sync-server.js serves the same export as a subscription.
+const PRODID = "-//DailyFlow//DailyFlow//EN";
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]; // habits' order: 0 = Monday
+
+const pad = (n) => String(n).padStart(2, "0");
+const keyOf = ([y, m, d]) => `${y}-${pad(m)}-${pad(d)}`;
+
+// --- Export ---
+const escapeText = (s) =>
+  String(s)
+    .replace(/[\\;,]/g, (c) => `\\${c}`)
+    .replace(/\r?\n/g, "\\n");
+
+// lines over 75 octets continue on the next one after a space
+const encoder = new TextEncoder();
+function fold(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > 75) {
+      out.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+const dateValue = (key) => key.replaceAll("-", "");
+const utcValue = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+const shiftKey = (key, days) => {
+  const d = new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY);
+  return keyOf([d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()]);
+};
+const weekdayOf = (key) => (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+const localKey = (ms) => {
+  const d = new Date(ms);
+  return keyOf([d.getFullYear(), d.getMonth() + 1, d.getDate()]);
+};
+
+// a todo's repeat rule (lib/todos.js); "monthly on the 31st" takes the last day when
+// a month is shorter, which is the first of 31,...,-1 that exists
+function repeatRule(repeat) {
+  if (repeat.type === "weekdays") return `FREQ=WEEKLY;BYDAY=${WEEKDAYS.slice(0, 5).join(",")}`;
+  if (repeat.type === "interval") return `FREQ=DAILY;INTERVAL=${repeat.days}`;
+  if (repeat.type === "monthly" && repeat.day <= 28) return `FREQ=MONTHLY;BYMONTHDAY=${repeat.day}`;
+  if (repeat.type === "monthly") {
+    const days = Array.from({ length: 32 - repeat.day }, (_, i) => repeat.day + i);
+    return `FREQ=MONTHLY;BYMONTHDAY=${[...days, -1].join(",")};BYSETPOS=1`;
+  }
+  return "FREQ=DAILY";
+}
+
+function todoEvent(t, stamp) {
+  const lines = ["BEGIN:VEVENT", `UID:todo-${t.id}@dailyflow`, `DTSTAMP:${stamp}`];
+  if (t.dueTime) lines.push(`DTSTART:${dateValue(t.due)}T${t.dueTime.replace(":", "")}00`, "DURATION:PT30M");
+  else lines.push(`DTSTART;VALUE=DATE:${dateValue(t.due)}`, `DTEND;VALUE=DATE:${dateValue(shiftKey(t.due, 1))}`);
+  if (t.repeat && !t.done) lines.push(`RRULE:${repeatRule(t.repeat)}`);
+  lines.push(`SUMMARY:${escapeText(t.done ? `✓ ${t.text}` : t.text)}`);
+  if (t.tags?.length) lines.push(`CATEGORIES:${t.tags.map(escapeText).join(",")}`);
+  if (t.subtasks?.length) {
+    const list = t.subtasks.map((s) => `${s.done ? "[x]" : "[ ]"} ${s.text}`).join("\n");
+    lines.push(`DESCRIPTION:${escapeText(list)}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// daily -> every day; weekdays -> those days; N per week -> a week-long event each Monday
+function habitEvent(h, stamp, weeklyTitle) {
+  const schedule = h.schedule ?? { type: "daily" };
+  let start = localKey(h.created ?? Date.now());
+  let length = 1;
+  let rule = "FREQ=DAILY";
+  let title = h.title;
+  if (schedule.type === "days" && schedule.days.length) {
+    while (!schedule.days.includes(weekdayOf(start))) start = shiftKey(start, 1);
+    const days = [...schedule.days].sort().map((d) => WEEKDAYS[d]);
+    rule = `FREQ=WEEKLY;BYDAY=${days.join(",")}`;
+  } else if (schedule.type === "weekly") {
+    start = shiftKey(start, -weekdayOf(start));
+    length = 7;
+    rule = "FREQ=WEEKLY";
+    title = weeklyTitle(h.title, schedule.times);
+  }
+  return [
+    "BEGIN:VEVENT",
+    `UID:habit-${h.id}@dailyflow`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${dateValue(start)}`,
+    `DTEND;VALUE=DATE:${dateValue(shiftKey(start, length))}`,
+    `RRULE:${rule}`,
+    `SUMMARY:${escapeText(title)}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+// Dated todos and every habit as one VCALENDAR. `weeklyTitle` names an
+// "N per week" habit's event; the page passes one in the user's language.
+export function buildCalendar(
+  { todos = [], habits = [] },
+  { now = Date.now(), weeklyTitle = (title, times) => `${title} (${times}× this week)` } = {}
+) {
+  const stamp = utcValue(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:DailyFlow",
+    ...todos.filter((t) => t.due && t.text).flatMap((t) => todoEvent(t, stamp)),
+    ...habits.filter((h) => h.title).flatMap((h) => habitEvent(h, stamp, weeklyTitle)),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
+
+// A file that isn't a calendar. `code` is the catalog key of its message
+// (i18n.formatError), as with ImportError in importExport.js.
+export class CalendarError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CalendarError";
+    this.code = code;
+  }
+}
+
+// --- Import: content lines and components ---
+// "DTSTART;TZID=Europe/Berlin:20261020T090000" -> { name, params: { TZID }, value }
+function parseLine(line) {
+  let i = 0;
+  for (let quoted = false; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) break;
+  }
+  const [name, ...params] = line.slice(0, i).split(";");
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((p) => {
+        const [key, ...value] = p.split("=");
+        return [key.toUpperCase(), value.join("=").replace(/^"|"$/g, "")];
+      })
+    ),
+    value: line.slice(i + 1),
+  };
+}
+
+// -> { type: "VCALENDAR", props: { NAME: [line] }, children: [...] }
+function parseComponents(text) {
+  const root = { type: null, props: {}, children: [] };
+  const stack = [root];
+  const lines = text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+  for (const raw of lines) {
+    if (!raw.trim()) continue;
+    const line = parseLine(raw);
+    const top = stack[stack.length - 1];
+    if (line.name === "BEGIN") {
+      const child = { type: line.value.toUpperCase(), props: {}, children: [] };
+      top.children.push(child);
+      stack.push(child);
+    } else if (line.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      (top.props[line.name] ??= []).push(line);
+    }
+  }
+  return root.children.find((c) => c.type === "VCALENDAR");
+}
+
+const prop = (component, name) => component.props[name]?.[0];
+const unescapeText = (s = "") => s.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// "20261020" or "20261020T090000[Z]" -> { date: [y, m, d], time: [h, m, s] | null, utc }
+function parseDateTime(value) {
+  const m = value?.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?/);
+  if (!m) return null;
+  return {
+    date: [+m[1], +m[2], +m[3]],
+    time: m[4] ? [+m[4], +m[5], +(m[6] ?? 0)] : null,
+    utc: Boolean(m[7]),
+  };
+}
+
+// --- Import: time zones ---
+// A zone is "utc", "local" (floating), an IANA name, or fixed minutes east of UTC.
+const formatters = new Map();
+function formatter(zone) {
+  if (!formatters.has(zone)) {
+    const numeric = {
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    };
+    formatters.set(zone, new Intl.DateTimeFormat("en-US", { timeZone: zone, hourCycle: "h23", ...numeric }));
+  }
+  return formatters.get(zone);
+}
+
+const isZone = (name) => {
+  try {
+    formatter(name);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// the zone's UTC offset (ms) at instant t
+function offsetAt(t, zone) {
+  const parts = Object.fromEntries(
+    formatter(zone)
+      .formatToParts(t)
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return wall - Math.floor(t / 1000) * 1000;
+}
+
+// The instant of wall-clock time date+time in `zone`. For IANA zones the
+// offset is measured at a first guess and again at the result, which lands
+// on the right side of a DST change.
+function instant([y, mo, d], [h, mi, s], zone) {
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (zone === "utc") return wall;
+  if (zone === "local") return new Date(y, mo - 1, d, h, mi, s).getTime();
+  if (typeof zone === "number") return wall - zone * 60 * 1000;
+  const guess = wall - offsetAt(wall, zone);
+  return wall - offsetAt(guess, zone);
+}
+
+// TZID -> zone. Most files use IANA names; Outlook uses its own ("W. Europe
+// Standard Time"), then the VTIMEZONE's X-LIC-LOCATION or, failing that, its
+// standard offset (without DST) is the best there is.
+function resolveZone(tzid, timezones) {
+  if (!tzid) return "local";
+  const name = tzid.replace(/^\/[^/]+\/[^/]+\//, ""); // "/mozilla.org/20070129_1/Europe/Berlin"
+  if (isZone(name)) return name;
+  const vtimezone = timezones.get(tzid);
+  const location = vtimezone && prop(vtimezone, "X-LIC-LOCATION")?.value;
+  if (location && isZone(location)) return location;
+  const standard = vtimezone?.children.find((c) => c.type === "STANDARD") ?? vtimezone?.children[0];
+  const offset = standard && prop(standard, "TZOFFSETTO")?.value.match(/^([+-])(\d{2})(\d{2})/);
+  if (offset) return (offset[1] === "-" ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+  return "local";
+}
+
+// --- Import: recurrence ---
+// Walks the calendar day by day in the item's own wall-clock dates, so "every
+// Monday 09:00 New York" stays at 09:00 there across DST. Supports FREQ
+// DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL, BYDAY (with
+// ordinals like 2TU or -1FR), BYMONTHDAY, BYMONTH, BYYEARDAY and BYSETPOS.
+// A rule with anything else (BYWEEKNO, BYHOUR, FREQ=HOURLY, ...) would come
+// out as the wrong dates, so its series is skipped and reported instead.
+const dayNumber = ([y, m, d]) => Date.UTC(y, m - 1, d) / DAY;
+const fromDayNumber = (n) => {
+  const d = new Date(n * DAY);
+  return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()];
+};
+const daysIn = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+const weekdayOfNumber = (n) => (((n + 3) % 7) + 7) % 7; // day 0 (1970-01-01) was a Thursday
+const FREQS = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const PARTS = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "WKST", "BYDAY", "BYMONTHDAY", "BYMONTH", "BYYEARDAY", "BYSETPOS"];
+
+function parseRule(value) {
+  const rule = Object.fromEntries(value.split(";").map((part) => part.toUpperCase().split("=")));
+  const list = (s, fn) => s?.split(",").map(fn);
+  return {
+    freq: rule.FREQ,
+    interval: Number(rule.INTERVAL) || 1,
+    count: Number(rule.COUNT) || Infinity,
+    until: parseDateTime(rule.UNTIL),
+    byDay: list(rule.BYDAY, (s) => {
+      const m = s.match(/^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/);
+      return m ? { nth: Number(m[1] ?? 0), weekday: WEEKDAYS.indexOf(m[2]) } : null;
+    })?.filter(Boolean),
+    byMonthDay: list(rule.BYMONTHDAY, Number),
+    byMonth: list(rule.BYMONTH, Number),
+    byYearDay: list(rule.BYYEARDAY, Number),
+    bySetPos: list(rule.BYSETPOS, Number),
+    supported: FREQS.includes(rule.FREQ) && Object.keys(rule).every((k) => PARTS.includes(k)),
+  };
+}
+
+function matches(rule, start, n) {
+  const [y, m, d] = fromDayNumber(n);
+  const weekday = weekdayOfNumber(n);
+  const [sy, sm, sd] = start.date;
+  const monthDay = () => rule.byMonthDay.some((x) => (x > 0 ? x : daysIn(y, m) + x + 1) === d);
+  // nth weekday of the month: 1 = first, -1 = last
+  const nthOk = (nth) => !nth || (nth > 0 ? Math.ceil(d / 7) === nth : Math.ceil((daysIn(y, m) - d + 1) / 7) === -nth);
+  const byDay = () => rule.byDay.some((b) => b.weekday === weekday && nthOk(b.nth));
+  const yearDay = () => {
+    const jan1 = dayNumber([y, 1, 1]);
+    const length = dayNumber([y + 1, 1, 1]) - jan1;
+    return rule.byYearDay.some((x) => (x > 0 ? x : length + x + 1) === n - jan1 + 1);
+  };
+  if (rule.byMonth && !rule.byMonth.includes(m)) return false;
+  switch (rule.freq) {
+    case "DAILY":
+      return (n - start.n) % rule.interval === 0 && (!rule.byDay || byDay()) && (!rule.byMonthDay || monthDay());
+    case "WEEKLY": {
+      const weeks = Math.floor((n - (start.n - start.weekday)) / 7);
+      return weeks % rule.interval === 0 && (rule.byDay ? byDay() : weekday === start.weekday);
+    }
+    case "MONTHLY":
+      if (((y - sy) * 12 + m - sm) % rule.interval) return false;
+      return rule.byMonthDay ? monthDay() : rule.byDay ? byDay() : d === sd;
+    case "YEARLY":
+      if ((y - sy) % rule.interval) return false;
+      if (rule.byYearDay) return yearDay() && (!rule.byDay || byDay()) && (!rule.byMonthDay || monthDay());
+      if (!rule.byMonth && m !== sm) return false;
+      return rule.byMonthDay ? monthDay() : rule.byDay ? byDay() : d === sd;
+    default:
+      return false;
+  }
+}
+
+// The day numbers of the period (week from Monday, month, year) that day n is in.
+function periodOf(freq, n) {
+  const [y, m] = fromDayNumber(n);
+  if (freq === "WEEKLY") return [n - weekdayOfNumber(n), n - weekdayOfNumber(n) + 6];
+  if (freq === "MONTHLY") return [dayNumber([y, m, 1]), dayNumber([y, m, daysIn(y, m)])];
+  if (freq === "YEARLY") return [dayNumber([y, 1, 1]), dayNumber([y, 12, 31])];
+  return [n, n];
+}
+
+// Occurrence dates ([y, m, d]) of a recurring item between two day numbers.
+// COUNT is counted from DTSTART, so the walk starts there. BYSETPOS picks from
+// each period's matching days (1 = first, -1 = last), so those are listed once
+// per period.
+function expand(rule, start, zone, { from, to, exdates, limit }) {
+  let period = null;
+  const inSet = (n) => {
+    const [first, last] = periodOf(rule.freq, n);
+    if (period?.first !== first) {
+      const days = [];
+      for (let p = first; p <= last; p++) if (matches(rule, start, p)) days.push(p);
+      period = { first, days };
+    }
+    const i = period.days.indexOf(n);
+    return rule.bySetPos.some((pos) => i === (pos > 0 ? pos - 1 : period.days.length + pos));
+  };
+  // UNTIL: a day for all-day items, an instant for timed ones
+  const { until } = rule;
+  const last = !until
+    ? Infinity
+    : start.time
+      ? instant(until.date, until.time ?? [23, 59, 59], until.utc ? "utc" : zone)
+      : dayNumber(until.date);
+  const out = [];
+  let seen = 0;
+  for (let n = start.n; n <= to && seen < rule.count && out.length < limit; n++) {
+    if (!matches(rule, start, n) || (rule.bySetPos && !inSet(n))) continue;
+    const date = fromDayNumber(n);
+    if ((start.time ? instant(date, start.time, zone) : n) > last) break;
+    seen++;
+    if (n >= from && !exdates.has(keyOf(date))) out.push(date);
+  }
+  return out;
+}
+
+// --- Import: items ---
+// `from` (default now) and `days`: the window recurring items are expanded in;
+// one-off items are kept whatever their date. Returns { items, skipped }, where
+// `skipped` are the titles of series whose rule isn't supported (see above).
+// `untitled` names items without a SUMMARY; the page passes one in the user's language.
+// Throws a CalendarError when the file isn't a calendar.
+export function parseCalendar(text, { from = Date.now(), days = 30, perSeries = 50, untitled = "(untitled)" } = {}) {
+  const calendar = parseComponents(text);
+  if (!calendar) throw new CalendarError("calendar.notCalendar", "File is not an iCalendar (.ics) file.");
+  const timezones = new Map(
+    calendar.children.filter((c) => c.type === "VTIMEZONE").map((c) => [prop(c, "TZID")?.value, c])
+  );
+  const components = calendar.children.filter((c) => c.type === "VEVENT" || c.type === "VTODO");
+  // moved or edited single occurrences (RECURRENCE-ID) replace the series' own
+  const overridden = new Map();
+  for (const c of components) {
+    const id = prop(c, "RECURRENCE-ID");
+    if (!id) continue;
+    const uid = prop(c, "UID")?.value;
+    if (!overridden.has(uid)) overridden.set(uid, new Set());
+    overridden.get(uid).add(keyOf(parseDateTime(id.value)?.date ?? [0, 0, 0]));
+  }
+
+  const today = dayNumber(localKey(from).split("-").map(Number));
+  const items = [];
+  const skipped = [];
+  components.forEach((c, index) => {
+    if (prop(c, "STATUS")?.value.toUpperCase() === "CANCELLED") return;
+    const uid = prop(c, "UID")?.value || `ics-${index}`;
+    const recurrenceId = prop(c, "RECURRENCE-ID");
+    const item = {
+      id: recurrenceId ? `${uid}/${keyOf(parseDateTime(recurrenceId.value).date)}` : uid,
+      text: unescapeText(prop(c, "SUMMARY")?.value).trim() || untitled,
+      due: null,
+      dueTime: null,
+      done: prop(c, "STATUS")?.value.toUpperCase() === "COMPLETED" || Boolean(prop(c, "COMPLETED")),
+      tags: (c.props.CATEGORIES ?? [])
+        .flatMap((line) => line.value.split(/(?<!\\),/))
+        .map((t) => unescapeText(t).trim().toLowerCase().replace(/\s+/g, "-"))
+        .filter(Boolean),
+    };
+    const when = prop(c, c.type === "VTODO" ? "DUE" : "DTSTART") ?? prop(c, "DTSTART");
+    const start = parseDateTime(when?.value);
+    if (!start) return items.push(item); // an undated VTODO
+    const zone = start.utc ? "utc" : resolveZone(when.params.TZID, timezones);
+    // a DATE value is all-day; a time is moved into this device's local time
+    const dated = (date) => {
+      if (!start.time) return { ...item, due: keyOf(date), dueTime: null };
+      const local = new Date(instant(date, start.time, zone));
+      return {
+        ...item,
+        due: localKey(local.getTime()),
+        dueTime: `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+      };
+    };
+    const rrule = prop(c, "RRULE");
+    if (!rrule || recurrenceId) return items.push(dated(start.date));
+
+    const rule = parseRule(rrule.value);
+    if (!rule.supported) return skipped.push(item.text);
+    const exdates = new Set(overridden.get(uid));
+    for (const line of c.props.EXDATE ?? []) {
+      for (const value of line.value.split(",")) exdates.add(keyOf(parseDateTime(value)?.date ?? [0, 0, 0]));
+    }
+    const n = dayNumber(start.date);
+    const series = expand(rule, { ...start, n, weekday: weekdayOfNumber(n) }, zone, {
+      from: today,
+      to: today + days,
+      exdates,
+      limit: perSeries,
+    });
+    for (const date of series) items.push({ ...dated(date), id: `${uid}/${keyOf(date)}` });
+  });
+  return { items, skipped };
+}
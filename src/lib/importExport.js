@@ -0,0 +1,160 @@
+import { isSealed } from "./crypto";
+import { upgradeHabit } from "./habits";
+import { newNote, upgradeNote } from "./notes";
+
+// --- Import / export of the ExportButton JSON ---
+// v2: `notes` is a list of notes; v1 files have the single scratchpad as a string.
+export const EXPORT_VERSION = 2;
+
+export const buildExport = ({ todos, habits, notes }) => ({
+  version: EXPORT_VERSION,
+  todos,
+  habits,
+  notes,
+  exportedAt: new Date().toISOString(),
+});
+
+// With a passphrase set the whole export is sealed (crypto.js):
+//   { version, encrypted: "dfenc1:...", exportedAt }
+// It opens with the passphrase it was made with, on any device.
+export const sealExport = async (data, seal) => ({
+  version: EXPORT_VERSION,
+  encrypted: await seal(data),
+  exportedAt: data.exportedAt,
+});
+
+// A file that can't be imported. `code` is the catalog key of its message
+// (i18n.formatError shows it in the user's language); `message` stays English.
+export class ImportError extends Error {
+  constructor(code, message, vars = {}) {
+    super(message);
+    this.name = "ImportError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+// The sealed part of an encrypted export, or null for a plain one.
+export function sealedPart(text) {
+  try {
+    const data = JSON.parse(text);
+    return isSealed(data?.encrypted) ? data.encrypted : null;
+  } catch {
+    return null;
+  }
+}
+
+const isObj = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+
+// Older exports carry fewer fields; fill them in so the rest of the app can rely on them.
+const normalizeTodo = (t) => ({
+  ...t,
+  id: String(t.id),
+  text: String(t.text ?? ""),
+  done: Boolean(t.done),
+  created: Number(t.created) || Date.now(),
+  priority: Number(t.priority) || 0,
+  tags: Array.isArray(t.tags) ? t.tags.map(String) : [],
+  subtasks: Array.isArray(t.subtasks) ? t.subtasks.filter(isObj) : [],
+});
+
+const normalizeNote = (n, titles) => ({
+  ...upgradeNote(n, titles.quick),
+  id: String(n.id),
+  title: String(n.title ?? ""),
+});
+
+// One id per export file, so importing the same v1 file twice doesn't duplicate it.
+const legacyNote = (text, exportedAt, title = "Imported note") => {
+  if (!text) return [];
+  const at = Date.parse(exportedAt) || 0;
+  return [newNote(`imported-${at}`, { title, text, created: at, updated: at })];
+};
+
+const normalizeHabit = (h) => ({
+  ...upgradeHabit(h),
+  id: String(h.id),
+  title: String(h.title ?? ""),
+});
+
+// Throws an ImportError when the file isn't a DailyFlow export.
+// `titles`: { quick, imported } for notes that come without one (in the UI's language).
+export function parseExport(text, titles) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError("import.notJson", "File is not valid JSON.");
+  }
+  if (isSealed(data?.encrypted)) throw new ImportError("import.encrypted", "This export is encrypted.");
+  return parseOpened(data, titles);
+}
+
+// Same, for data already parsed (an opened encrypted export).
+export function parseOpened(data, titles = {}) {
+  const notExport = () => new ImportError("import.notExport", "File is not a DailyFlow export.");
+  if (!isObj(data)) throw notExport();
+  if (data.version > EXPORT_VERSION) {
+    throw new ImportError("import.newer", "This export comes from a newer version of DailyFlow.");
+  }
+  for (const key of ["todos", "habits", ...(typeof data.notes === "string" ? [] : ["notes"])]) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      throw new ImportError("import.notList", `"${key}" must be a list.`, { key });
+    }
+  }
+  if (data.todos === undefined && data.habits === undefined && data.notes === undefined) throw notExport();
+  return {
+    todos: (data.todos ?? []).filter((t) => isObj(t) && t.id != null).map(normalizeTodo),
+    habits: (data.habits ?? []).filter((h) => isObj(h) && h.id != null).map(normalizeHabit),
+    notes:
+      typeof data.notes === "string"
+        ? legacyNote(data.notes, data.exportedAt, titles.imported)
+        : (data.notes ?? []).filter((n) => isObj(n) && n.id != null).map((n) => normalizeNote(n, titles)),
+    exportedAt: data.exportedAt ?? null,
+  };
+}
+
+// Items without `updated` predate edit tracking; fall back to creation time.
+const stamp = (x) => x.updated ?? x.created ?? 0;
+
+const sameItem = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Matches by id; when both sides have the item the newer edit wins (ties keep local).
+export function mergeById(local, incoming) {
+  const byId = new Map(incoming.map((x) => [x.id, x]));
+  const merged = local.map((x) => {
+    const other = byId.get(x.id);
+    byId.delete(x.id);
+    return other && stamp(other) > stamp(x) ? other : x;
+  });
+  return [...merged, ...byId.values()];
+}
+
+// What `applyImport` would do, per entity: { added, updated, removed }.
+export function previewImport(current, incoming, mode) {
+  const count = (local, next) => {
+    const before = new Map(local.map((x) => [x.id, x]));
+    const after = new Set(next.map((x) => x.id));
+    return {
+      added: next.filter((x) => !before.has(x.id)).length,
+      updated: next.filter((x) => before.has(x.id) && !sameItem(before.get(x.id), x)).length,
+      removed: local.filter((x) => !after.has(x.id)).length,
+    };
+  };
+  const next = applyImport(current, incoming, mode);
+  return {
+    todos: count(current.todos, next.todos),
+    habits: count(current.habits, next.habits),
+    notes: count(current.notes, next.notes),
+  };
+}
+
+export function applyImport(current, incoming, mode) {
+  const newestFirst = (ts) => [...ts].sort((a, b) => b.created - a.created);
+  if (mode === "replace") return { todos: newestFirst(incoming.todos), habits: incoming.habits, notes: incoming.notes };
+  return {
+    todos: newestFirst(mergeById(current.todos, incoming.todos)),
+    habits: mergeById(current.habits, incoming.habits),
+    notes: mergeById(current.notes, incoming.notes),
+  };
+}
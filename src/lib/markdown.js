@@ -0,0 +1,90 @@
+// --- Minimal Markdown for notes ---
+// Enough for standup notes: headings, lists, checklists, quotes, code, rules
+// and **bold** / *em* / ~~strike~~ / `code` / [links](https://...). It parses
+// to plain objects that NoteMarkdown renders as React elements, so note text
+// never reaches the DOM as HTML.
+//   blocks: { type: "heading", level, inline } | { type: "paragraph", lines: [inline] }
+//           | { type: "list", ordered, items: [{ inline, checked: bool | null, line }] }
+//           | { type: "quote", lines: [inline] } | { type: "code", text } | { type: "rule" }
+// `line` is the item's 0-based source line, so a checkbox can be toggled in place.
+
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|~~(.+?)~~|\*([^*\s][^*]*?)\*|_([^_\s][^_]*?)_|\[([^\]]+)\]\(([^)\s]+)\)/g;
+const SAFE_HREF = /^(https?:|mailto:)/i;
+
+export function parseInline(text) {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(INLINE)) {
+    if (m.index > last) out.push({ type: "text", text: text.slice(last, m.index) });
+    const [, code, strong, del, em, em2, label, href] = m;
+    if (code != null) out.push({ type: "code", text: code });
+    else if (strong != null) out.push({ type: "strong", children: parseInline(strong) });
+    else if (del != null) out.push({ type: "del", children: parseInline(del) });
+    else if (em != null || em2 != null) out.push({ type: "em", children: parseInline(em ?? em2) });
+    else if (SAFE_HREF.test(href)) out.push({ type: "link", href, children: parseInline(label) });
+    else out.push({ type: "text", text: m[0] });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) out.push({ type: "text", text: text.slice(last) });
+  return out;
+}
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+
+export function parseMarkdown(source) {
+  const lines = source.split("\n");
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+    } else if (line.startsWith("```")) {
+      const body = [];
+      for (i++; i < lines.length && !lines[i].startsWith("```"); i++) body.push(lines[i]);
+      blocks.push({ type: "code", text: body.join("\n") });
+      i++;
+    } else if (/^#{1,6}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#+)\s+(.*)$/);
+      blocks.push({ type: "heading", level: hashes.length, inline: parseInline(text) });
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = Boolean(line.match(LIST_ITEM)[2]);
+      const items = [];
+      for (let m; i < lines.length && (m = lines[i].match(LIST_ITEM)) && Boolean(m[2]) === ordered; i++) {
+        items.push({ inline: parseInline(m[4]), checked: m[3] == null ? null : m[3] !== " ", line: i });
+      }
+      blocks.push({ type: "list", ordered, items });
+    } else if (line.startsWith(">")) {
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith(">"); i++) quote.push(parseInline(lines[i].replace(/^>\s?/, "")));
+      blocks.push({ type: "quote", lines: quote });
+    } else {
+      const para = [];
+      for (; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) para.push(parseInline(lines[i]));
+      blocks.push({ type: "paragraph", lines: para });
+    }
+  }
+  return blocks;
+}
+
+const startsBlock = (line) =>
+  line.startsWith("```") || line.startsWith(">") || /^#{1,6}\s/.test(line) || LIST_ITEM.test(line);
+
+// Flips the checkbox on source line `index`.
+export function toggleTask(source, index) {
+  const lines = source.split("\n");
+  lines[index] = lines[index]?.replace(/\[([ xX])\]/, (_, c) => (c === " " ? "[x]" : "[ ]"));
+  return lines.join("\n");
+}
+
+// Markdown stripped down to words, for search snippets.
+export const plainText = (source) =>
+  source
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/gm, "")
+    .replace(/^(#+|>)\s?/gm, "")
+    .replace(/[*_~`]/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1");
@@ -0,0 +1,63 @@
+// --- Notes ---
+//   { id, title, text (Markdown), pinned, created, updated,
+//     history: [{ text, at }], newest version first, versionedAt: last snapshot }
+// The single pre-v6 scratchpad was { id: "quick", text } and becomes "Quick note"
+// (in the user's language, see upgradeNote).
+export const QUICK_NOTE_ID = "quick";
+export const HISTORY_LIMIT = 20;
+// A pause this long starts a new version, and so does a long editing session...
+const HISTORY_GAP = 5 * 60 * 1000;
+
+export const newNote = (id, fields = {}) => {
+  const now = Date.now();
+  return { id, title: "", text: "", pinned: false, created: now, updated: now, history: [], versionedAt: 0, ...fields };
+};
+
+// `quickTitle`: the old scratchpad's title (in the UI's language)
+export const upgradeNote = (n, quickTitle = "Quick note") =>
+  newNote(n.id, {
+    title: n.id === QUICK_NOTE_ID ? quickTitle : "",
+    created: n.created ?? n.updated ?? 0,
+    updated: n.updated ?? n.created ?? 0,
+    ...n,
+    text: typeof n.text === "string" ? n.text : "",
+    history: Array.isArray(n.history) ? n.history : [],
+  });
+
+// `untitled`: what to call a note with no title and no text (in the UI's language)
+export const noteTitle = (n, untitled = "Untitled") =>
+  n.title.trim() ||
+  n.text
+    .trim()
+    .split("\n")[0]
+    .replace(/^#+\s*/, "") ||
+  untitled;
+
+// ...unless most of the text just vanished (select-all + delete): that always gets its own version.
+const isBigDrop = (before, after) => before.length > 20 && after.length < before.length / 2;
+
+// The current text as the newest history entry (unless it's empty or already there).
+const snapshot = (note) =>
+  note.text && note.text !== note.history[0]?.text
+    ? [{ text: note.text, at: note.updated }, ...note.history].slice(0, HISTORY_LIMIT)
+    : note.history;
+
+// New text for a note, snapshotting the previous text into its history when due.
+export function editNote(note, text, now = Date.now()) {
+  if (text === note.text) return note;
+  const due =
+    now - note.updated > HISTORY_GAP || now - (note.versionedAt ?? 0) > HISTORY_GAP || isBigDrop(note.text, text);
+  return due
+    ? { ...note, text, updated: now, history: snapshot(note), versionedAt: now }
+    : { ...note, text, updated: now };
+}
+
+// Restoring is itself an edit, so the text being replaced stays recoverable.
+export function restoreVersion(note, at, now = Date.now()) {
+  const version = note.history.find((v) => v.at === at);
+  return version ? { ...note, text: version.text, updated: now, history: snapshot(note), versionedAt: now } : note;
+}
+
+// pinned first, then most recently edited
+export const sortNotes = (notes) =>
+  [...notes].sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.updated - a.updated);
@@ -0,0 +1,73 @@
+// --- System notifications + chimes ---
+// Everything here degrades: no Notification API or permission denied means the
+// caller gets `false` back and shows an in-app toast instead.
+export const DEFAULT_ALERTS = { sound: "bell", volume: 0.6, todoReminders: true, leadMinutes: 0 };
+
+export const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+
+export const permission = () => (notificationsSupported() ? Notification.permission : "unsupported");
+
+export async function requestPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Posted through the service worker registration where possible: that's the
+// only way that works on Android and it lets a click focus the installed app.
+export async function notify(title, options = {}) {
+  if (permission() !== "granted") return false;
+  const opts = { icon: "/icons/icon-192x192.png", badge: "/icons/icon-96x96.png", ...options };
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) {
+      await reg.showNotification(title, opts);
+      return true;
+    }
+    new Notification(title, opts);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Synthesised with WebAudio so there are no audio files to precache.
+// Each note: [frequency Hz, start offset s, length s]
+export const CHIMES = {
+  bell: [
+    [880, 0, 0.9],
+    [1320, 0.02, 0.7],
+  ],
+  soft: [
+    [523.25, 0, 0.5],
+    [659.25, 0.18, 0.6],
+  ],
+  digital: [
+    [1000, 0, 0.12],
+    [1000, 0.2, 0.12],
+    [1000, 0.4, 0.12],
+  ],
+  none: [],
+};
+
+let audioCtx = null;
+
+export function playChime(name = "bell", volume = DEFAULT_ALERTS.volume) {
+  const notes = CHIMES[name] ?? [];
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!notes.length || !Ctx || volume <= 0) return;
+  audioCtx ??= new Ctx();
+  audioCtx.resume?.();
+  const t0 = audioCtx.currentTime;
+  for (const [freq, offset, length] of notes) {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = name === "digital" ? "square" : "sine";
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(volume * 0.3, t0 + offset);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t0 + offset + length);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(t0 + offset);
+    osc.stop(t0 + offset + length);
+  }
+}
@@ -0,0 +1,82 @@
+// --- Pomodoro engine (pure) ---
+// The timer is a stored end timestamp, never a decremented counter, so a
+// throttled background tab or a reload can't make it drift:
+//   running: { mode, endsAt: ms, remaining: null, ... }
+//   paused:  { mode, endsAt: null, remaining: seconds, ... }
+// plus `duration` (planned seconds), `startedAt` (first start of this phase,
+// null until then), `cyclesDone` and the optional linked `todoId`.
+export const DEFAULT_SETTINGS = { work: 25, short: 5, long: 15, cycles: 4, autoStart: false };
+
+export const phaseSeconds = (settings, mode) => (settings[mode] || DEFAULT_SETTINGS[mode]) * 60;
+
+// `carry` is usually the previous timer: the cycle count and linked todo survive a phase change
+export const idleTimer = (settings, mode = "work", { cyclesDone = 0, todoId = null } = {}) => ({
+  mode,
+  endsAt: null,
+  remaining: phaseSeconds(settings, mode),
+  duration: phaseSeconds(settings, mode),
+  startedAt: null,
+  cyclesDone,
+  todoId,
+});
+
+export const isRunning = (timer) => timer.endsAt != null;
+
+export const secondsLeft = (timer, now = Date.now()) =>
+  isRunning(timer) ? Math.max(0, Math.ceil((timer.endsAt - now) / 1000)) : timer.remaining;
+
+export const startTimer = (timer, now = Date.now()) =>
+  isRunning(timer)
+    ? timer
+    : { ...timer, endsAt: now + timer.remaining * 1000, remaining: null, startedAt: timer.startedAt ?? now };
+
+export const pauseTimer = (timer, now = Date.now()) =>
+  isRunning(timer) ? { ...timer, endsAt: null, remaining: secondsLeft(timer, now) } : timer;
+
+// The phase after `timer.mode`. With autoStart the next phase begins exactly
+// when the last one ended (not when we noticed), which keeps chained phases exact.
+export function nextPhase(timer, settings) {
+  const cyclesDone = timer.mode === "work" ? timer.cyclesDone + 1 : timer.cyclesDone;
+  const mode = timer.mode !== "work" ? "work" : cyclesDone % settings.cycles === 0 ? "long" : "short";
+  const next = idleTimer(settings, mode, { cyclesDone, todoId: timer.todoId });
+  return settings.autoStart && timer.endsAt != null ? startTimer(next, timer.endsAt) : next;
+}
+
+// A phase as a session-log entry. Abandoned phases only count the time that actually ran.
+export const toSession = (timer, end, completed) => ({
+  mode: timer.mode,
+  start: timer.startedAt ?? end - timer.duration * 1000,
+  end,
+  duration: timer.duration,
+  focused: completed ? timer.duration : timer.duration - secondsLeft(timer, end),
+  completed,
+  todoId: timer.todoId ?? null,
+});
+
+// Leaving a phase early (reset, switching preset) abandons it, if it was ever started.
+export const abandon = (timer, now = Date.now()) => (timer.startedAt == null ? null : toSession(timer, now, false));
+
+// Rolls an expired timer forward to `now`, returning the finished phases as sessions.
+// When the app was closed for a long time, auto-start only chains one full
+// cycle; after that it waits for the user instead of logging phantom sessions.
+export function catchUp(timer, settings, now = Date.now()) {
+  const finished = [];
+  const limit = settings.cycles * 2;
+  while (isRunning(timer) && timer.endsAt <= now) {
+    finished.push(toSession(timer, timer.endsAt, true));
+    timer =
+      finished.length >= limit ? idleTimer(settings, "work", nextPhase(timer, settings)) : nextPhase(timer, settings);
+  }
+  return { timer, finished };
+}
+
+// What the timer's live region says, as parts for the caller to word:
+// { mode, state: "ready" | "paused" | "running", minutes }. It only changes at
+// phase changes, on start/pause, at every five-minute mark and for the last
+// minute, so a screen reader hears the time at intervals instead of every second.
+export function spokenStatus(timer, seconds) {
+  // right after a start the ticking clock can lag a second behind endsAt
+  const minutes = Math.ceil(Math.min(seconds, timer.duration) / 60);
+  if (!isRunning(timer)) return { mode: timer.mode, state: timer.startedAt == null ? "ready" : "paused", minutes };
+  return { mode: timer.mode, state: "running", minutes: minutes <= 1 ? 1 : Math.ceil(minutes / 5) * 5 };
+}
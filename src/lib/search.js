@@ -0,0 +1,31 @@
+import { plainText } from "./markdown";
+import { noteTitle } from "./notes";
+
+// --- Search across todos and notes ---
+// Every whitespace-separated term has to match (case-insensitive), anywhere in
+// a todo's text/tags/subtasks or a note's title/body.
+const terms = (query) => query.toLowerCase().split(/\s+/).filter(Boolean);
+
+const matchesAll = (haystack, words) => words.every((w) => haystack.includes(w));
+
+const todoText = (t) =>
+  [t.text, ...(t.tags ?? []).map((x) => `#${x}`), ...(t.subtasks ?? []).map((s) => s.text)].join(" ").toLowerCase();
+
+// ~80 characters of the note around the first match
+export function snippet(text, query, width = 80) {
+  const plain = plainText(text).replace(/\s+/g, " ").trim();
+  const at = Math.max(0, plain.toLowerCase().indexOf(terms(query)[0] ?? ""));
+  const start = at > width / 2 ? at - width / 4 : 0;
+  return `${start > 0 ? "…" : ""}${plain.slice(start, start + width)}${start + width < plain.length ? "…" : ""}`;
+}
+
+export function searchAll({ todos, notes }, query) {
+  const words = terms(query);
+  if (!words.length) return { todos: [], notes: [] };
+  return {
+    todos: todos.filter((t) => matchesAll(todoText(t), words)),
+    notes: notes
+      .filter((n) => matchesAll(`${noteTitle(n)}\n${n.text}`.toLowerCase(), words))
+      .sort((a, b) => b.updated - a.updated),
+  };
+}
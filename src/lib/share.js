@@ -0,0 +1,14 @@
+// --- Content shared into the app (manifest share_target / file_handlers) ---
+// A share is { title, text, url, files: [{ name, text }], at }; see sw.js and db.js putShare.
+
+// Android puts the link inside `text` and the page title in `title`, desktop
+// Chrome fills `url`; parts repeated inside another part are dropped.
+export function sharedLine({ title = "", text = "", url = "" }) {
+  const parts = [title, text, url].map((p) => p.trim()).filter(Boolean);
+  return parts
+    .filter((p, i) => !parts.some((q, j) => j !== i && q.includes(p) && (q.length > p.length || j < i)))
+    .join(" ");
+}
+
+// As a list item at the end of a note.
+export const appendToNote = (note, line) => (note.trimEnd() ? `${note.trimEnd()}\n- ${line}` : `- ${line}`);
@@ -0,0 +1,62 @@
+import { addDays, dateKey, eachDay, weekStart } from "./dates";
+
+// --- Focus statistics from the Pomodoro session log ---
+// Sessions count toward the local day they ended on; only work sessions are focus.
+export const focusMinutesByDay = (sessions) => {
+  const days = {};
+  for (const s of sessions) {
+    if (s.mode !== "work") continue;
+    const key = dateKey(new Date(s.end));
+    days[key] = (days[key] ?? 0) + s.focused / 60;
+  }
+  return days;
+};
+
+export function focusStats(sessions, today = dateKey()) {
+  const work = sessions.filter((s) => s.mode === "work");
+  const byDay = focusMinutesByDay(work);
+  const monday = weekStart(today);
+  const inWeek = (s) => dateKey(new Date(s.end)) >= monday;
+  const onToday = (s) => dateKey(new Date(s.end)) === today;
+  return {
+    todayMinutes: Math.round(byDay[today] ?? 0),
+    todayPomodoros: work.filter((s) => s.completed && onToday(s)).length,
+    weekMinutes: Math.round(work.filter(inWeek).reduce((sum, s) => sum + s.focused / 60, 0)),
+    weekPomodoros: work.filter((s) => s.completed && inWeek(s)).length,
+    // oldest first, for a small bar chart
+    lastDays: Array.from({ length: 7 }, (_, i) => {
+      const key = addDays(today, i - 6);
+      return { key, minutes: Math.round(byDay[key] ?? 0) };
+    }),
+  };
+}
+
+// --- Insights: todo and focus history over a date range (dateKeys, both ends included) ---
+// Todos count on the day they were completed; deleted ones are gone, so they don't.
+const completedIn = (todos, from, to) =>
+  todos.filter((t) => {
+    if (!t.done || !t.completedAt) return false;
+    const key = dateKey(new Date(t.completedAt));
+    return key >= from && key <= to;
+  });
+
+export function completedByDay(todos, from, to) {
+  const days = {};
+  for (const t of completedIn(todos, from, to)) {
+    const key = dateKey(new Date(t.completedAt));
+    days[key] = (days[key] ?? 0) + 1;
+  }
+  return eachDay(from, to).map((key) => ({ key, count: days[key] ?? 0 }));
+}
+
+// mean milliseconds from `created` to `completedAt`; null when nothing was completed
+export function averageTimeToDone(todos, from, to) {
+  const done = completedIn(todos, from, to).filter((t) => t.created && t.completedAt >= t.created);
+  if (!done.length) return null;
+  return done.reduce((sum, t) => sum + (t.completedAt - t.created), 0) / done.length;
+}
+
+export function focusByDay(sessions, from, to) {
+  const byDay = focusMinutesByDay(sessions);
+  return eachDay(from, to).map((key) => ({ key, minutes: Math.round(byDay[key] ?? 0) }));
+}
@@ -0,0 +1,37 @@
+// --- Appearance ---
+//   { mode: "system" | "light" | "dark", accent: "indigo" | "emerald" | ... }, the `theme` setting.
+// Components only say `accent-600`; index.css maps that onto the chosen Tailwind
+// palette through `[data-accent]` on <html>, and `dark:` follows the .dark class.
+export const MODES = ["system", "light", "dark"];
+export const DEFAULT_THEME = { mode: "system", accent: "indigo" };
+
+// accent -> its 600 shade, for <meta name="theme-color"> (browser chrome wants a plain colour)
+export const ACCENTS = {
+  indigo: "#4f46e5",
+  emerald: "#059669",
+  rose: "#e11d48",
+  amber: "#d97706",
+  sky: "#0284c7",
+};
+const DARK_CHROME = "#111827"; // gray-900, the page behind it
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+export const systemQuery = () => globalThis.matchMedia?.(DARK_QUERY) ?? null;
+
+export const isDark = (theme, systemDark = systemQuery()?.matches ?? false) =>
+  theme.mode === "dark" || (theme.mode === "system" && systemDark);
+
+export function applyTheme(theme, systemDark) {
+  const dark = isDark(theme, systemDark);
+  const root = document.documentElement;
+  root.classList.toggle("dark", dark);
+  root.style.colorScheme = dark ? "dark" : "light";
+  root.dataset.accent = theme.accent in ACCENTS ? theme.accent : DEFAULT_THEME.accent;
+  let meta = document.querySelector('meta[name="theme-color"]');
+  if (!meta) {
+    meta = document.createElement("meta");
+    meta.name = "theme-color";
+    document.head.append(meta);
+  }
+  meta.content = dark ? DARK_CHROME : ACCENTS[root.dataset.accent];
+}
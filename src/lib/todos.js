@@ -0,0 +1,175 @@
+import { addDays, dateKey, parseKey, weekday } from "./dates";
+
+// --- Todos ---
+//   { id, text, done, created, updated, completedAt,
+//     due: "YYYY-MM-DD" | null, dueTime: "HH:mm" | null,
+//     priority: 0-3, tags: ["work"], subtasks: [{ id, text, done }],
+//     repeat: null | { type: "daily" | "weekdays" } | { type: "interval", days } | { type: "monthly", day },
+//     nextId }   <- the copy a repeating todo left behind when it was checked off
+// Older todos only have {id, text, done, created}; every reader here copes with that.
+export const PRIORITIES = ["None", "Low", "Medium", "High"];
+export const PRIORITY_CLASS = ["", "text-sky-600", "text-amber-600", "text-red-600"];
+
+// "Pay rent #home #money" -> text "Pay rent", tags ["home", "money"]
+export function parseQuickAdd(input) {
+  const tags = [];
+  const text = input
+    .replace(/(^|\s)#([\w-]+)/g, (_, sp, tag) => {
+      tags.push(tag.toLowerCase());
+      return sp;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+  return { text: text || input.trim(), tags: [...new Set(tags)] };
+}
+
+export const newTodo = (id, input, fields = {}) => {
+  const { text, tags } = parseQuickAdd(input);
+  const now = Date.now();
+  const todo = {
+    id,
+    text,
+    done: false,
+    created: now,
+    updated: now,
+    due: null,
+    dueTime: null,
+    priority: 0,
+    tags,
+    subtasks: [],
+    ...fields,
+  };
+  // a repeating todo always has a date to count on from
+  if (todo.repeat && !todo.due) todo.due = firstDue(todo.repeat);
+  return todo;
+};
+
+// Due moment as a local Date; date-only todos are due at the end of that day.
+export const dueDate = (t) => {
+  if (!t.due) return null;
+  const [y, m, d] = t.due.split("-").map(Number);
+  const [hh, mm] = t.dueTime ? t.dueTime.split(":").map(Number) : [23, 59];
+  return new Date(y, m - 1, d, hh, mm);
+};
+
+export const isOverdue = (t, now = new Date()) => !t.done && Boolean(t.due) && dueDate(t) < now;
+
+export const isDueToday = (t, now = new Date()) => t.due === dateKey(now);
+
+export const subtaskProgress = (t) => {
+  const subs = t.subtasks ?? [];
+  return { done: subs.filter((s) => s.done).length, total: subs.length };
+};
+
+export const allTags = (todos) => [...new Set(todos.flatMap((t) => t.tags ?? []))].sort();
+
+export function filterTodos(todos, { query = "", status = "all", tag = "", priority = 0 } = {}) {
+  const q = query.toLowerCase();
+  const now = new Date();
+  return todos.filter((t) => {
+    if (q && !t.text.toLowerCase().includes(q) && !(t.tags ?? []).some((x) => x.includes(q))) return false;
+    if (status === "open" && t.done) return false;
+    if (status === "done" && !t.done) return false;
+    if (status === "overdue" && !isOverdue(t, now)) return false;
+    if (tag && !(t.tags ?? []).includes(tag)) return false;
+    return (t.priority ?? 0) >= priority;
+  });
+}
+
+const SORTS = {
+  created: (a, b) => b.created - a.created,
+  // undated todos go last
+  due: (a, b) => (dueDate(a)?.getTime() ?? Infinity) - (dueDate(b)?.getTime() ?? Infinity),
+  priority: (a, b) => (b.priority ?? 0) - (a.priority ?? 0),
+};
+
+// Ties fall back to newest first, the list's original order.
+export const sortTodos = (todos, by = "created") => [...todos].sort((a, b) => SORTS[by](a, b) || SORTS.created(a, b));
+
+// --- Repeating todos ---
+// Checking one off leaves it done and adds a fresh copy due on the rule's next
+// date. Monthly on the 31st falls on the last day of shorter months.
+export const REPEATS = ["daily", "weekdays", "interval", "monthly"];
+
+export const defaultRepeat = (type, today = dateKey()) => {
+  if (type === "interval") return { type, days: 2 };
+  if (type === "monthly") return { type, day: parseKey(today).getDate() };
+  return type ? { type } : null;
+};
+
+const monthDay = (year, month, day) =>
+  dateKey(new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()), 12));
+
+// first date the rule allows strictly after `key`
+export function nextDue(repeat, key) {
+  switch (repeat.type) {
+    case "weekdays": {
+      let next = addDays(key, 1);
+      while (weekday(next) > 4) next = addDays(next, 1);
+      return next;
+    }
+    case "interval":
+      return addDays(key, Math.max(1, repeat.days));
+    case "monthly": {
+      const d = parseKey(key);
+      const same = monthDay(d.getFullYear(), d.getMonth(), repeat.day);
+      return same > key ? same : monthDay(d.getFullYear(), d.getMonth() + 1, repeat.day);
+    }
+    default:
+      return addDays(key, 1);
+  }
+}
+
+// today if the rule allows it, else its next date; "every N days" starts today
+export const firstDue = (repeat, today = dateKey()) =>
+  repeat.type === "interval" ? today : nextDue(repeat, addDays(today, -1));
+
+// The copy that follows a checked-off repeating todo: same text, tags, priority
+// and time, subtasks unticked, due on the next date after the old one that
+// isn't already past (a late weekly report doesn't leave a pile of overdue ones).
+export function nextInstance(t, id, today = dateKey()) {
+  let due = nextDue(t.repeat, t.due ?? today);
+  while (due < today) due = nextDue(t.repeat, due);
+  return {
+    ...newTodo(id, "", {
+      due,
+      dueTime: t.dueTime ?? null,
+      priority: t.priority ?? 0,
+      tags: t.tags ?? [],
+      subtasks: (t.subtasks ?? []).map((s) => ({ ...s, done: false })),
+      repeat: t.repeat,
+    }),
+    text: t.text,
+  };
+}
+
+// `i18n` from useI18n(), like describeSchedule()
+export const describeRepeat = (repeat, { t, formatNumber }) => {
+  if (repeat.type === "interval") return t("repeat.everyDays", { count: repeat.days });
+  if (repeat.type === "monthly") return t("repeat.monthlyOn", { day: formatNumber(repeat.day) });
+  return t(`repeat.${repeat.type}`);
+};
+
+// Todos from imported calendar items ({ id, text, due, dueTime, done, tags },
+// lib/ical.js), in the file's order. A title stays as written: its #words are
+// added to the item's categories as tags but not cut out of the text.
+export const calendarTodos = (items, now = Date.now()) =>
+  items.map(({ id, text, due, dueTime, done, tags }, i) => {
+    const todo = newTodo(id, text, { due, dueTime, done, completedAt: done ? now : null, created: now - i });
+    return { ...todo, text, updated: now, tags: [...new Set([...tags, ...todo.tags])] };
+  });
+
+// --- Checklist templates ---
+//   { id, name, items: ["Tag the release #work", ...] }, kept with the settings
+//   (sealed while a passphrase is set, see db.js).
+// Items are quick-add text, so #tags work; applying a template adds them all.
+export const templateItems = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+// The todos a template adds, first item on top. Each is a millisecond "older"
+// than the one before, so the order survives the newest-first sort on reload.
+export const templateTodos = (template, makeId, now = Date.now()) =>
+  template.items.map((item, i) => newTodo(makeId(), item, { created: now - i, updated: now }));
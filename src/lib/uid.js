@@ -0,0 +1,2 @@
+// Time-prefixed ids: roughly sortable by creation and unique enough across devices.
+export const uid = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
@@ -1,15 +1,68 @@
 import { StrictMode } from 'react'
+import { flushSync } from 'react-dom'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router'
 import './index.css'
 import App from './App.jsx'
+import LockScreen from './components/LockScreen.jsx'
+import { getSetting, LockedError, loadAll, lockStore } from './lib/db'
+import { applyLocale, createI18n, detectLocale, resolveLocale } from './i18n'
+import { I18nContext } from './store'
+import { applyTheme, DEFAULT_THEME } from './lib/theme'
+import { onBroadcast } from './sync/tabs'
 
-// yaha se import karna hai
-import { registerSW } from 'virtual:pwa-register'
+const root = createRoot(document.getElementById('root'))
+const render = (ui) => root.render(<StrictMode>{ui}</StrictMode>)
+const renderApp = (initial, storageError) =>
+  render(
+    <BrowserRouter>
+      <App initial={initial} storageError={storageError} onLock={lock} />
+    </BrowserRouter>
+  )
 
-registerSW()
-
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>
+// The lock screen sits outside App, so it gets its language and theme here: the
+// saved ones on a cold start (settings stay readable while locked), else what <html> has now.
+const lockScreen = (locale = document.documentElement.lang) => (
+  <I18nContext.Provider value={createI18n(locale)}>
+    <LockScreen onUnlock={start} />
+  </I18nContext.Provider>
 )
+
+async function renderLock() {
+  const [locale, theme] = await Promise.all(['locale', 'theme'].map((key) => getSetting(key).catch(() => null)))
+  applyLocale(resolveLocale(locale ?? detectLocale()))
+  applyTheme({ ...DEFAULT_THEME, ...theme })
+  render(lockScreen())
+}
+
+// state comes from IndexedDB, so load first, then render
+function start() {
+  loadAll().then(
+    (data) => renderApp(data, null),
+    (err) => {
+      if (err instanceof LockedError) return renderLock()
+      console.error('DailyFlow: storage unavailable', err)
+      renderApp(null, err)
+    }
+  )
+}
+
+// Unmount first: App's cleanup writes whatever is still debounced, and that
+// needs the keys this is about to drop.
+function lock() {
+  flushSync(() => render(lockScreen()))
+  lockStore()
+}
+
+onBroadcast((msg) => {
+  if (msg.type === 'lock') lock()
+  // another window set, changed or removed the passphrase: the keys here are
+  // stale, so drop them before anything else gets written and load again
+  if (msg.type === 'encryption') {
+    lockStore()
+    flushSync(() => render(null))
+    start()
+  }
+})
+
+start()
@@ -0,0 +1,109 @@
+import React from "react";
+import { Link } from "react-router";
+import { CheckCircle, Clock, Plus } from "lucide-react";
+import { useI18n, useStore } from "../store";
+import { dateKey, formatTime, isSameDay } from "../lib/dates";
+import { isDone, streaks } from "../lib/habits";
+import { dueDate, isOverdue, PRIORITY_CLASS, sortTodos } from "../lib/todos";
+import FocusStats from "../components/FocusStats";
+
+// --- Dashboard: today at a glance (manifest shortcut "/dashboard") ---
+export default function Dashboard() {
+  const { todos, habits, sessions, toggleTodo, toggleHabit, pomodoro } = useStore();
+  const { t, formatClock } = useI18n();
+  // today = overdue, due today, or undated; later due dates stay on the main list
+  const open = sortTodos(
+    todos.filter((t) => !t.done && (!t.due || t.due <= dateKey())),
+    "due"
+  );
+  const doneToday = todos.filter((t) => t.done && isSameDay(t.completedAt));
+  const habitsDone = habits.filter((h) => isDone(h)).length;
+
+  return (
+    <>
+      <section className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold text-lg">{t("dashboard.todos")}</h2>
+          <Link to="/task/new" className="p-2 rounded-lg bg-accent-600 text-white" title={t("nav.newTask")}>
+            <Plus className="w-4 h-4" />
+          </Link>
+        </div>
+        <p className="text-xs sm:text-sm text-gray-500 mt-1">
+          {t("dashboard.open", { count: open.length })} · {t("dashboard.doneToday", { count: doneToday.length })}
+        </p>
+        <div className="mt-3 space-y-2 max-h-64 sm:max-h-80 overflow-auto pe-2">
+          {open.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("dashboard.nothingLeft")}</p>
+          ) : (
+            open.map((todo) => (
+              <div
+                key={todo.id}
+                className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700/40 p-2 rounded-lg text-sm"
+              >
+                <button onClick={() => toggleTodo(todo.id)} aria-label={t("dashboard.markDone", { text: todo.text })}>
+                  <CheckCircle className="w-5 h-5 text-gray-400" />
+                </button>
+                <span className={`flex-1 ${PRIORITY_CLASS[todo.priority ?? 0]}`}>{todo.text}</span>
+                {isOverdue(todo) ? (
+                  <span className="text-xs text-red-600">{t("dashboard.overdue")}</span>
+                ) : (
+                  todo.dueTime && <span className="text-xs text-gray-500">{formatClock(dueDate(todo))}</span>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </section>
+
+      <section className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+        <h2 className="font-semibold text-lg">{t("habits.title")}</h2>
+        <p className="text-xs sm:text-sm text-gray-500 mt-1">
+          {t("dashboard.habitsDone", { done: habitsDone, count: habits.length })}
+        </p>
+        <div className="mt-3 grid gap-2">
+          {habits.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("dashboard.noHabits")}</p>
+          ) : (
+            habits.map((h) => (
+              <button
+                key={h.id}
+                onClick={() => toggleHabit(h.id)}
+                aria-pressed={isDone(h)}
+                className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-700/40 rounded-lg text-sm text-start"
+              >
+                <span className="flex items-center gap-2">
+                  <CheckCircle className={`w-5 h-5 ${isDone(h) ? "text-green-600" : "text-gray-400"}`} />
+                  {h.title}
+                </span>
+                <span className="text-xs text-gray-500">{t("dashboard.streak", { count: streaks(h).current })}</span>
+              </button>
+            ))
+          )}
+        </div>
+      </section>
+
+      <aside className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold text-lg">{t("dashboard.focus")}</h2>
+          <Clock className="w-5 h-5 text-gray-500" />
+        </div>
+        <div className="mt-4">
+          <FocusStats sessions={sessions} todos={todos} showLog />
+        </div>
+        <div className="mt-4 text-center">
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            {pomodoro.running
+              ? t("dashboard.timerRunning", {
+                  phase: t(`phase.${pomodoro.mode}`),
+                  time: formatTime(pomodoro.secondsLeft),
+                })
+              : t("dashboard.timerIdle")}
+          </div>
+          <Link to="/" className="inline-block mt-3 px-3 py-1.5 rounded-lg bg-gray-200 dark:bg-gray-700 text-sm">
+            {t("dashboard.openTimer")}
+          </Link>
+        </div>
+      </aside>
+    </>
+  );
+}
@@ -0,0 +1,359 @@
+import React, { useRef, useState } from "react";
+import { CheckCircle, ListChecks, Plus, Settings, Trash } from "lucide-react";
+import { useI18n, useStore } from "../store";
+import { useShortcuts } from "../hooks/useShortcuts";
+import { formatTime } from "../lib/dates";
+import { focusNeighbour } from "../lib/focus";
+import { spokenStatus } from "../lib/pomodoro";
+import { allTags, filterTodos, PRIORITIES, sortTodos } from "../lib/todos";
+import TodoItem from "../components/TodoItem";
+import Templates from "../components/Templates";
+import { DAILY, describeSchedule, isDone, streaks } from "../lib/habits";
+import HabitHeatmap from "../components/HabitHeatmap";
+import ScheduleEditor from "../components/ScheduleEditor";
+import PomodoroSettings from "../components/PomodoroSettings";
+import FocusStats from "../components/FocusStats";
+import AlertSettings from "../components/AlertSettings";
+import Notes from "../components/Notes";
+
+// --- Home: the original todo / habits / notes / pomodoro grid ---
+export default function Home() {
+  const { todos, habits, sessions, alerts, setAlerts, addTodo, toggleTodo, addHabit, announce, pomodoro } = useStore();
+  const { settings, setSettings, timer, mode, secondsLeft, running, start, pause, reset, setPreset, setTodo } =
+    pomodoro;
+  const { t } = useI18n();
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [query, setQuery] = useState("");
+  const [view, setView] = useState({ status: "all", tag: "", priority: 0, sort: "created" });
+  const [draft, setDraft] = useState("");
+  const [activeId, setActiveId] = useState(null);
+  const todoInputRef = useRef(null);
+  const habitInputRef = useRef(null);
+  const tags = allTags(todos);
+  const spoken = spokenStatus(timer, secondsLeft);
+
+  const filtered = sortTodos(filterTodos(todos, { ...view, query }), view.sort);
+  const setViewField = (k) => (e) =>
+    setView((v) => ({ ...v, [k]: k === "priority" ? Number(e.target.value) : e.target.value }));
+  const select = "p-1 rounded bg-gray-50 dark:bg-gray-700/50";
+
+  const submitTodo = () => {
+    if (!draft.trim()) return;
+    addTodo(draft);
+    setDraft("");
+    todoInputRef.current?.focus();
+  };
+
+  // j/k walk the visible todos, Space checks off the selected one
+  const move = (step) => {
+    const i = filtered.findIndex((x) => x.id === activeId);
+    const next = i === -1 ? (step > 0 ? 0 : filtered.length - 1) : Math.min(Math.max(i + step, 0), filtered.length - 1);
+    if (filtered[next]) setActiveId(filtered[next].id);
+  };
+  useShortcuts({
+    n: () => todoInputRef.current?.focus(),
+    h: () => habitInputRef.current?.focus(),
+    j: () => move(1),
+    k: () => move(-1),
+    space: () => {
+      const todo = filtered.find((x) => x.id === activeId);
+      if (!todo) return;
+      toggleTodo(todo.id);
+      announce(t(todo.done ? "todo.reopened" : "todo.checked", { text: todo.text }));
+    },
+    Escape: () => setActiveId(null),
+  });
+
+  return (
+    <>
+      {/* Todos */}
+      <section className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold text-lg">{t("todos.title")}</h2>
+          <button
+            onClick={() => setShowTemplates((v) => !v)}
+            title={t("templates.title")}
+            aria-label={t("templates.title")}
+            aria-expanded={showTemplates}
+          >
+            <ListChecks className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+        {showTemplates && <Templates />}
+        <div className="mt-3 flex gap-2">
+          <input
+            ref={todoInputRef}
+            type="text"
+            className="flex-1 p-2 text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
+            placeholder={t("todos.newPlaceholder")}
+            aria-label={t("todos.new")}
+            title={t("todos.newHint")}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") submitTodo();
+              if (e.key === "Escape") e.target.blur();
+            }}
+          />
+          <button className="p-2 rounded-lg bg-accent-600 text-white" onClick={submitTodo} aria-label={t("todos.add")}>
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="mt-3 flex flex-wrap gap-2 text-xs">
+          <select
+            value={view.status}
+            onChange={setViewField("status")}
+            className={select}
+            aria-label={t("filter.status")}
+          >
+            {["all", "open", "done", "overdue"].map((status) => (
+              <option key={status} value={status}>
+                {t(`filter.${status}`)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={view.priority}
+            onChange={setViewField("priority")}
+            className={select}
+            aria-label={t("filter.priority")}
+          >
+            {PRIORITIES.map((label, i) => (
+              <option key={label} value={i}>
+                {i ? t("filter.atLeast", { priority: t(`priority.${i}`) }) : t("filter.anyPriority")}
+              </option>
+            ))}
+          </select>
+          {tags.length > 0 && (
+            <select value={view.tag} onChange={setViewField("tag")} className={select} aria-label={t("filter.tag")}>
+              <option value="">{t("filter.allTags")}</option>
+              {tags.map((tag) => (
+                <option key={tag} value={tag}>
+                  #{tag}
+                </option>
+              ))}
+            </select>
+          )}
+          <select value={view.sort} onChange={setViewField("sort")} className={select} aria-label={t("sort.label")}>
+            {["created", "due", "priority"].map((sort) => (
+              <option key={sort} value={sort}>
+                {t(`sort.${sort}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+        {/* tabIndex: takes focus when the last row is deleted (lib/focus.js) */}
+        <div
+          role="list"
+          aria-label={t("todos.title")}
+          tabIndex={-1}
+          className="mt-4 space-y-3 max-h-64 sm:max-h-80 overflow-auto pe-2"
+        >
+          {filtered.map((todo) => (
+            <TodoItem key={todo.id} todo={todo} active={todo.id === activeId} />
+          ))}
+        </div>
+        {filtered.length === 0 && <p className="text-sm text-gray-500">{t("todos.empty")}</p>}
+        <div className="mt-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-xs sm:text-sm text-gray-500">
+          <span>{t("todos.remaining", { count: todos.filter((x) => !x.done).length })}</span>
+          <input
+            type="search"
+            placeholder={t("todos.searchPlaceholder")}
+            aria-label={t("todos.search")}
+            className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+      </section>
+
+      {/* Habits & Notes */}
+      <section className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+        <h2 className="font-semibold text-lg">{t("habits.title")}</h2>
+        <div className="mt-3 space-y-3">
+          <AddHabit onAdd={addHabit} inputRef={habitInputRef} />
+          <div role="list" aria-label={t("habits.title")} tabIndex={-1} className="grid gap-2">
+            {habits.map((h) => (
+              <HabitRow key={h.id} habit={h} />
+            ))}
+          </div>
+          {habits.length === 0 && <p className="text-sm text-gray-500">{t("habits.empty")}</p>}
+        </div>
+        <hr className="my-4 border-gray-200 dark:border-gray-700" />
+        <Notes />
+      </section>
+
+      {/* Pomodoro */}
+      <aside className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold text-lg">{t("pomodoro.title")}</h2>
+          <button
+            onClick={() => setShowSettings((v) => !v)}
+            title={t("pomodoro.settings")}
+            aria-expanded={showSettings}
+          >
+            <Settings className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+        <div className="mt-4 text-center">
+          <div role="timer" aria-label={t("pomodoro.timeLeft")} className="text-3xl sm:text-4xl font-bold">
+            {formatTime(secondsLeft)}
+          </div>
+          <p aria-live="polite" className="sr-only">
+            {t(`timer.${spoken.state}`, { phase: t(`phase.${spoken.mode}`), count: spoken.minutes })}
+          </p>
+          <div className="text-xs sm:text-sm text-gray-500 mt-1">
+            {t("pomodoro.mode", { mode: t(`phase.${mode}`) })}
+          </div>
+          <div className="mt-4 flex gap-2 justify-center">
+            {!running ? (
+              <button onClick={start} className="px-3 py-1.5 sm:py-2 rounded-lg bg-green-600 text-white text-sm">
+                {t("pomodoro.start")}
+              </button>
+            ) : (
+              <button onClick={pause} className="px-3 py-1.5 sm:py-2 rounded-lg bg-yellow-500 text-white text-sm">
+                {t("pomodoro.pause")}
+              </button>
+            )}
+            <button onClick={reset} className="px-3 py-1.5 sm:py-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-sm">
+              {t("pomodoro.reset")}
+            </button>
+          </div>
+          <div className="mt-3 grid grid-cols-3 gap-2 text-sm">
+            <button
+              onClick={() => setPreset("work")}
+              aria-pressed={mode === "work"}
+              className="py-1 rounded bg-accent-600 text-white"
+            >
+              {t("preset.work")}
+            </button>
+            <button
+              onClick={() => setPreset("short")}
+              aria-pressed={mode === "short"}
+              className="py-1 rounded bg-accent-500 text-white"
+            >
+              {t("preset.short")}
+            </button>
+            <button
+              onClick={() => setPreset("long")}
+              aria-pressed={mode === "long"}
+              className="py-1 rounded bg-accent-400 text-white"
+            >
+              {t("preset.long")}
+            </button>
+          </div>
+          <select
+            value={timer.todoId ?? ""}
+            onChange={(e) => setTodo(e.target.value)}
+            aria-label={t("pomodoro.linkedTodo")}
+            className="mt-3 w-full p-1 rounded text-xs bg-gray-50 dark:bg-gray-700/50"
+          >
+            <option value="">{t("pomodoro.notLinked")}</option>
+            {todos
+              .filter((x) => !x.done || x.id === timer.todoId)
+              .map((x) => (
+                <option key={x.id} value={x.id}>
+                  {x.text}
+                </option>
+              ))}
+          </select>
+          {showSettings && (
+            <>
+              <PomodoroSettings settings={settings} onChange={setSettings} />
+              <AlertSettings alerts={alerts} onChange={setAlerts} />
+            </>
+          )}
+        </div>
+        <hr className="my-4 border-gray-200 dark:border-gray-700" />
+        <FocusStats sessions={sessions} todos={todos} />
+      </aside>
+    </>
+  );
+}
+
+// --- Subcomponents ---
+function HabitRow({ habit: h }) {
+  const { toggleHabit, setHabitSchedule, deleteHabit } = useStore();
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+  const rowRef = useRef(null);
+  const done = isDone(h);
+  const { current, unit } = streaks(h);
+
+  return (
+    <div ref={rowRef} role="listitem" className="p-2 bg-gray-50 dark:bg-gray-700/40 rounded-lg text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 sm:gap-3">
+          <button
+            onClick={() => toggleHabit(h.id)}
+            aria-label={t("habits.doneToday", { title: h.title })}
+            aria-pressed={done}
+            className={`p-2 rounded-full ${done ? "bg-green-100" : "bg-gray-100 dark:bg-gray-600"}`}
+          >
+            <CheckCircle className={`w-5 h-5 ${done ? "text-green-600" : "text-gray-400"}`} />
+          </button>
+          <button onClick={() => setOpen((o) => !o)} aria-expanded={open} className="text-start">
+            <div>{h.title}</div>
+            <div className="text-xs text-gray-500">
+              {describeSchedule(h.schedule, i18n)} · {t(`habits.streak.${unit}`, { count: current })}
+            </div>
+          </button>
+        </div>
+        <button
+          onClick={() => {
+            focusNeighbour(rowRef.current);
+            deleteHabit(h.id);
+          }}
+          aria-label={t("common.deleteItem", { name: h.title })}
+          data-row-focus
+          className="p-1 rounded-md hover:bg-red-50"
+        >
+          <Trash className="w-4 h-4" />
+        </button>
+      </div>
+      {open && (
+        <div className="mt-2">
+          <ScheduleEditor value={h.schedule} onChange={(schedule) => setHabitSchedule(h.id, schedule)} />
+          <HabitHeatmap habit={h} onToggle={(key) => toggleHabit(h.id, key)} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AddHabit({ onAdd, inputRef }) {
+  const { t } = useI18n();
+  const [title, setTitle] = useState("");
+  const [schedule, setSchedule] = useState(DAILY);
+  const submit = () => {
+    if (!title.trim()) return;
+    onAdd(title, schedule);
+    setTitle("");
+    inputRef.current?.focus();
+  };
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          ref={inputRef}
+          placeholder={t("habits.newPlaceholder")}
+          aria-label={t("habits.new")}
+          title={t("habits.newHint")}
+          className="flex-1 p-2 text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submit();
+            if (e.key === "Escape") e.target.blur();
+          }}
+        />
+        <button onClick={submit} className="px-3 py-2 rounded bg-accent-600 text-white text-sm">
+          {t("common.add")}
+        </button>
+      </div>
+      <ScheduleEditor value={schedule} onChange={setSchedule} />
+    </div>
+  );
+}
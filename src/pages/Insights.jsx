@@ -0,0 +1,199 @@
+import React from "react";
+import { useSearchParams } from "react-router";
+import { useI18n, useStore } from "../store";
+import { addDays, dateKey, weekStart } from "../lib/dates";
+import { completion, completionByWeekday } from "../lib/habits";
+import { averageTimeToDone, completedByDay, focusByDay } from "../lib/stats";
+import BarChart from "../components/BarChart";
+
+const isKey = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s ?? "");
+
+// [id, today -> { from, to }]
+const PRESETS = [
+  ["thisWeek", (today) => ({ from: weekStart(today), to: today })],
+  ["lastWeek", (today) => ({ from: addDays(weekStart(today), -7), to: addDays(weekStart(today), -1) })],
+  ["last30", (today) => ({ from: addDays(today, -29), to: today })],
+  ["last90", (today) => ({ from: addDays(today, -89), to: today })],
+];
+
+const rateClass = (rate) => {
+  if (rate == null) return "text-gray-400";
+  if (rate < 1 / 3) return "bg-red-100 dark:bg-red-900/40";
+  if (rate < 2 / 3) return "bg-amber-100 dark:bg-amber-900/40";
+  return "bg-green-100 dark:bg-green-900/40";
+};
+
+// --- Insights: trends for a weekly review, all computed here from the stored history ---
+// The range lives in the URL (?from=&to=) so a review can be bookmarked; the default is the last 7 days.
+export default function Insights() {
+  const { todos, habits, sessions } = useStore();
+  const { t, formatDay, formatDuration, formatNumber, formatPercent, weekdayName } = useI18n();
+  const [params, setParams] = useSearchParams();
+  const today = dateKey();
+  let from = isKey(params.get("from")) ? params.get("from") : addDays(today, -6);
+  let to = isKey(params.get("to")) ? params.get("to") : today;
+  if (from > to) [from, to] = [to, from];
+
+  const setRange = (range) => setParams(range, { replace: true });
+  const tick = (key) => formatNumber(Number(key.slice(8)));
+  const rate = ({ met, total }) => (total ? met / total : null);
+  const percent = (r) => (r == null ? "–" : formatPercent(r));
+
+  const completed = completedByDay(todos, from, to);
+  const completedTotal = completed.reduce((sum, d) => sum + d.count, 0);
+  const averageMs = averageTimeToDone(todos, from, to);
+  const focus = focusByDay(sessions, from, to);
+  const focusTotal = focus.reduce((sum, d) => sum + d.minutes, 0);
+  const habitRows = habits.map((h) => ({
+    habit: h,
+    overall: completion(h, from, to, today),
+    weekdays: completionByWeekday(h, from, to, today),
+  }));
+  const habitsOverall = habitRows.reduce(
+    (sum, row) => ({ met: sum.met + row.overall.met, total: sum.total + row.overall.total }),
+    { met: 0, total: 0 }
+  );
+
+  const card = "bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md";
+  const stat = "text-2xl font-bold";
+
+  return (
+    <>
+      <section className={`lg:col-span-3 md:col-span-2 ${card}`}>
+        <h2 className="font-semibold text-lg">{t("insights.title")}</h2>
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          {PRESETS.map(([id, range]) => {
+            const r = range(today);
+            return (
+              <button
+                key={id}
+                onClick={() => setRange(r)}
+                aria-pressed={r.from === from && r.to === to}
+                className={`px-3 py-1.5 rounded-lg ${
+                  r.from === from && r.to === to ? "bg-accent-600 text-white" : "bg-gray-100 dark:bg-gray-700"
+                }`}
+              >
+                {t(`insights.${id}`)}
+              </button>
+            );
+          })}
+          <label className="flex items-center gap-1 ms-auto">
+            {t("insights.from")}
+            <input
+              type="date"
+              value={from}
+              max={today}
+              onChange={(e) => isKey(e.target.value) && setRange({ from: e.target.value, to })}
+              className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            {t("insights.to")}
+            <input
+              type="date"
+              value={to}
+              max={today}
+              onChange={(e) => isKey(e.target.value) && setRange({ from, to: e.target.value })}
+              className="p-1 rounded bg-gray-50 dark:bg-gray-700/50"
+            />
+          </label>
+        </div>
+      </section>
+
+      <section className={card}>
+        <h2 className="font-semibold text-lg">{t("insights.todos")}</h2>
+        <div className="mt-2 grid grid-cols-2 gap-2">
+          <div>
+            <div className={stat}>{formatNumber(completedTotal)}</div>
+            <div className="text-xs text-gray-500">{t("insights.completed", { count: completedTotal })}</div>
+          </div>
+          <div>
+            <div className={stat}>{averageMs == null ? "–" : formatDuration(averageMs)}</div>
+            <div className="text-xs text-gray-500">{t("insights.timeToDone")}</div>
+          </div>
+        </div>
+        <BarChart
+          label={t("insights.completedChart", {
+            days: completed.map((d) => `${formatDay(d.key)} ${formatNumber(d.count)}`).join(", "),
+          })}
+          bars={completed.map((d) => ({
+            key: d.key,
+            value: d.count,
+            tick: tick(d.key),
+            title: `${formatDay(d.key)}: ${t("insights.completed", { count: d.count })}`,
+          }))}
+        />
+      </section>
+
+      <section className={card}>
+        <h2 className="font-semibold text-lg">{t("dashboard.focus")}</h2>
+        <div className="mt-2">
+          <div className={stat}>{t("focus.minutes", { count: focusTotal })}</div>
+          <div className="text-xs text-gray-500">
+            {t("insights.focusAverage", {
+              minutes: t("focus.minutes", { count: Math.round(focusTotal / focus.length) }),
+            })}
+          </div>
+        </div>
+        <BarChart
+          label={t("focus.chart", {
+            days: focus.map((d) => `${formatDay(d.key)} ${formatNumber(d.minutes)}`).join(", "),
+          })}
+          bars={focus.map((d) => ({
+            key: d.key,
+            value: d.minutes,
+            tick: tick(d.key),
+            title: `${formatDay(d.key)}: ${t("focus.minutes", { count: d.minutes })}`,
+          }))}
+        />
+      </section>
+
+      <section className={card}>
+        <h2 className="font-semibold text-lg">{t("habits.title")}</h2>
+        <div className="mt-2">
+          <div className={stat}>{percent(rate(habitsOverall))}</div>
+          <div className="text-xs text-gray-500">{t("insights.habitRate")}</div>
+        </div>
+        {habits.length === 0 ? (
+          <p className="mt-3 text-sm text-gray-500">{t("habits.empty")}</p>
+        ) : (
+          <div className="mt-3 overflow-x-auto">
+            <table className="w-full text-xs text-center border-separate border-spacing-0.5">
+              <caption className="sr-only">{t("insights.habitTable")}</caption>
+              <thead>
+                <tr>
+                  <th scope="col" className="text-start font-medium">
+                    {t("insights.habit")}
+                  </th>
+                  {Array.from({ length: 7 }, (_, d) => (
+                    <th key={d} scope="col" className="font-medium text-gray-500">
+                      {weekdayName(d)}
+                    </th>
+                  ))}
+                  <th scope="col" className="font-medium">
+                    {t("insights.overall")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {habitRows.map(({ habit, overall, weekdays }) => (
+                  <tr key={habit.id}>
+                    <th scope="row" className="text-start font-normal truncate max-w-24">
+                      {habit.title}
+                    </th>
+                    {weekdays.map((day, d) => (
+                      <td key={d} className={`rounded py-1 ${rateClass(rate(day))}`}>
+                        {percent(rate(day))}
+                      </td>
+                    ))}
+                    <td className={`rounded py-1 font-medium ${rateClass(rate(overall))}`}>{percent(rate(overall))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useRef, useState } from "react";
+import { useNavigate } from "react-router";
+import { useI18n, useStore } from "../store";
+import RepeatEditor from "../components/RepeatEditor";
+
+// --- New task: focused single-input screen (manifest shortcut "/task/new") ---
+export default function NewTask() {
+  const { addTodo } = useStore();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [text, setText] = useState("");
+  const [repeat, setRepeat] = useState(null);
+  const [addAnother, setAddAnother] = useState(false);
+  const inputRef = useRef(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    addTodo(text, { repeat });
+    setText("");
+    if (!addAnother) navigate("/");
+    else inputRef.current?.focus();
+  };
+
+  return (
+    <section className="lg:col-span-3 md:col-span-2 max-w-xl w-full mx-auto bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+      <h2 className="font-semibold text-lg">{t("nav.newTask")}</h2>
+      <form onSubmit={submit} className="mt-3 space-y-3">
+        <input
+          ref={inputRef}
+          type="text"
+          autoFocus
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={t("newTask.placeholder")}
+          aria-label={t("newTask.task")}
+          className="w-full p-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
+        />
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <RepeatEditor value={repeat} onChange={setRepeat} className="p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50" />
+        </div>
+        <div className="flex items-center justify-between gap-2 text-sm">
+          <label className="flex items-center gap-2 text-gray-600 dark:text-gray-400">
+            <input type="checkbox" checked={addAnother} onChange={(e) => setAddAnother(e.target.checked)} />
+            {t("newTask.addAnother")}
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => navigate("/")}
+              className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-700"
+            >
+              {t("common.cancel")}
+            </button>
+            <button type="submit" className="px-3 py-2 rounded-lg bg-accent-600 text-white">
+              {t("newTask.add")}
+            </button>
+          </div>
+        </div>
+      </form>
+    </section>
+  );
+}
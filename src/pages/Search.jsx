@@ -0,0 +1,62 @@
+import React from "react";
+import { Link, useSearchParams } from "react-router";
+import { useI18n, useStore } from "../store";
+import { noteTitle } from "../lib/notes";
+import { searchAll, snippet } from "../lib/search";
+import TodoItem from "../components/TodoItem";
+
+// --- Search: todos and notes in one list (?q= keeps it linkable) ---
+export default function Search() {
+  const { todos, notes } = useStore();
+  const { t } = useI18n();
+  const [params, setParams] = useSearchParams();
+  const query = params.get("q") ?? "";
+  const results = searchAll({ todos, notes }, query);
+
+  return (
+    <section className="lg:col-span-3 md:col-span-2 bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+      <h2 className="font-semibold text-lg">{t("nav.search")}</h2>
+      <input
+        type="search"
+        autoFocus
+        value={query}
+        onChange={(e) => setParams(e.target.value ? { q: e.target.value } : {}, { replace: true })}
+        placeholder={t("search.placeholder")}
+        aria-label={t("search.label")}
+        className="mt-3 w-full p-2 text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
+      />
+      {query.trim() && (
+        <div className="mt-4 grid gap-6 md:grid-cols-2">
+          <div>
+            <h3 className="font-semibold mb-2">{t("search.todos", { count: results.todos.length })}</h3>
+            <div role="list" aria-label={t("search.matchingTodos")} tabIndex={-1} className="space-y-3">
+              {results.todos.map((todo) => (
+                <TodoItem key={todo.id} todo={todo} />
+              ))}
+            </div>
+            {results.todos.length === 0 && <p className="text-sm text-gray-500">{t("search.noTodos")}</p>}
+          </div>
+          <div>
+            <h3 className="font-semibold mb-2">{t("search.notes", { count: results.notes.length })}</h3>
+            <div className="space-y-2">
+              {results.notes.length === 0 ? (
+                <p className="text-sm text-gray-500">{t("search.noNotes")}</p>
+              ) : (
+                results.notes.map((n) => (
+                  <Link
+                    key={n.id}
+                    to={`/?note=${encodeURIComponent(n.id)}`}
+                    className="block p-2 rounded-lg bg-gray-50 dark:bg-gray-700/40 text-sm hover:ring-1 hover:ring-accent-400"
+                  >
+                    <div className="font-medium">{noteTitle(n, t("notes.untitled"))}</div>
+                    <div className="text-xs text-gray-500">{snippet(n.text, query)}</div>
+                  </Link>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
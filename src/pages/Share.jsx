@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router";
+import { useI18n, useStore } from "../store";
+import { takeShare } from "../lib/db";
+import { noteTitle, sortNotes } from "../lib/notes";
+import { appendToNote, sharedLine } from "../lib/share";
+import { ImportFlow } from "../components/ImportButton";
+
+const NEW_NOTE = "";
+
+// --- Share: what another app sent (share sheet, "Open with") ---
+// Text and links become a todo or go to the end of a note; an export file opens the import flow.
+export default function Share() {
+  const { todos, habits, notes, addTodo, addNote, setNoteText, importData, showToast } = useStore();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [share, setShare] = useState(null);
+  const [text, setText] = useState("");
+  const [target, setTarget] = useState("todo");
+  const [noteId, setNoteId] = useState(() => sortNotes(notes)[0]?.id ?? NEW_NOTE);
+
+  useEffect(() => {
+    const receive = (s) => {
+      setShare(s);
+      setText(sharedLine(s));
+    };
+    takeShare().then((s) => s && receive(s));
+    // file_handlers launches land here too, with the files in launchQueue
+    window.launchQueue?.setConsumer(async ({ files }) => {
+      const opened = await Promise.all(files.map((handle) => handle.getFile()));
+      if (opened.length)
+        receive({ files: await Promise.all(opened.map(async (f) => ({ name: f.name, text: await f.text() }))) });
+    });
+  }, []);
+
+  const file = share?.files?.[0];
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    if (target === "todo") {
+      addTodo(text);
+      showToast(t("share.added"));
+      return navigate("/");
+    }
+    const note = notes.find((n) => n.id === noteId);
+    const id = note ? note.id : addNote({ title: share.title?.trim() ?? "" });
+    setNoteText(id, appendToNote(note?.text ?? "", text.trim()));
+    navigate(`/?note=${id}`);
+  };
+
+  return (
+    <section className="lg:col-span-3 md:col-span-2 max-w-xl w-full mx-auto bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-md">
+      <h2 className="font-semibold text-lg">{t("share.title")}</h2>
+      {!share ? (
+        <p className="mt-2 text-sm text-gray-500">
+          {t("share.nothing")}{" "}
+          <Link to="/" className="text-accent-600 underline">
+            {t("share.back")}
+          </Link>
+        </p>
+      ) : file ? (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600 dark:text-gray-300">{file.name}</span>
+          <ImportFlow
+            text={file.text}
+            current={{ todos, habits, notes }}
+            onImport={importData}
+            onClose={() => navigate("/")}
+          />
+        </div>
+      ) : (
+        <form onSubmit={save} className="mt-3 space-y-3 text-sm">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            aria-label={t("share.text")}
+            className="w-full p-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-transparent"
+          />
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              <input type="radio" name="share-target" checked={target === "todo"} onChange={() => setTarget("todo")} />
+              {t("share.newTodo")}
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" name="share-target" checked={target === "note"} onChange={() => setTarget("note")} />
+              {t("share.addToNote")}
+            </label>
+            {target === "note" && (
+              <select
+                value={noteId}
+                onChange={(e) => setNoteId(e.target.value)}
+                aria-label={t("share.note")}
+                className="p-1.5 rounded bg-gray-50 dark:bg-gray-700/50"
+              >
+                {sortNotes(notes).map((n) => (
+                  <option key={n.id} value={n.id}>
+                    {noteTitle(n, t("notes.untitled"))}
+                  </option>
+                ))}
+                <option value={NEW_NOTE}>{t("notes.new")}</option>
+              </select>
+            )}
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => navigate("/")}
+              className="px-3 py-2 rounded-lg bg-gray-200 dark:bg-gray-700"
+            >
+              {t("common.cancel")}
+            </button>
+            <button type="submit" className="px-3 py-2 rounded-lg bg-accent-600 text-white">
+              {t(target === "todo" ? "todos.add" : "share.addToNote")}
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+import { createI18n, DEFAULT_LOCALE } from "./i18n";
+
+// App owns all state; routes read it (and the actions) through this context.
+export const StoreContext = createContext(null);
+
+export const useStore = () => useContext(StoreContext);
+
+// t() and the date/number formatters for the chosen language (src/i18n).
+// App provides it; outside App (the lock screen, tests) it's English.
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export const useI18n = () => useContext(I18nContext);
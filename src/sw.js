@@ -0,0 +1,102 @@
+import { clientsClaim } from "workbox-core";
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { ExpirationPlugin } from "workbox-expiration";
+import { flushOutbox, loadSyncConfig, SYNC_TAG } from "./sync/outbox";
+import { putShare } from "./lib/db";
+
+// --- DailyFlow service worker (vite-plugin-pwa injectManifest) ---
+// a new version waits until the page says so (see useAppUpdate), never mid-session
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// deep links (/dashboard, /task/new) must open from index.html offline too
+registerRoute(new NavigationRoute(createHandlerBoundToURL("index.html"), { denylist: [/^\/api\//] }));
+
+registerRoute(({ request }) => request.destination === "document", new NetworkFirst({ cacheName: "html-cache" }));
+registerRoute(
+  ({ request }) => request.destination === "script" || request.destination === "style",
+  new StaleWhileRevalidate({ cacheName: "assets-cache" })
+);
+registerRoute(
+  ({ request }) => request.destination === "image",
+  new CacheFirst({
+    cacheName: "images-cache",
+    plugins: [new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 })],
+  })
+);
+registerRoute(
+  /^https:\/\/fonts\.(?:googleapis|gstatic)\.com\/.*/i,
+  new CacheFirst({
+    cacheName: "google-fonts",
+    plugins: [new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 365 * 24 * 60 * 60 })],
+  })
+);
+// reads from the sync backend; writes go through the outbox below, never this cache
+registerRoute(
+  /\/api\/.*\/*.json/,
+  new NetworkFirst({
+    cacheName: "api-cache",
+    networkTimeoutSeconds: 5,
+    plugins: [new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 24 * 60 * 60 })],
+  })
+);
+
+// --- Share target: text, links or an export sent from another app (manifest share_target) ---
+// The page can't read the POST body, so park it in IndexedDB and send the window to /share.
+registerRoute(
+  ({ url }) => url.pathname === "/share",
+  async ({ request }) => {
+    const form = await request.formData();
+    const files = form.getAll("file").filter((f) => typeof f !== "string");
+    await putShare({
+      title: form.get("title") ?? "",
+      text: form.get("text") ?? "",
+      url: form.get("url") ?? "",
+      files: await Promise.all(files.map(async (f) => ({ name: f.name, text: await f.text() }))),
+      at: Date.now(),
+    });
+    return Response.redirect("/share", 303);
+  },
+  "POST"
+);
+
+// --- Background Sync: replay the outbox against the configured backend ---
+const broadcast = async (message) => {
+  for (const client of await self.clients.matchAll({ type: "window" })) client.postMessage(message);
+};
+
+const flush = async () => {
+  try {
+    const result = await flushOutbox(await loadSyncConfig());
+    await broadcast({ type: "outbox-flushed", ...result });
+  } catch (err) {
+    await broadcast({ type: "outbox-error", message: err.message });
+    throw err; // rejecting makes the browser retry the sync later
+  }
+};
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(flush());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "flush-outbox") event.waitUntil(flush().catch(() => {}));
+  // workbox-window's messageSkipWaiting(), sent once the user accepts the update
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// --- Notification clicks: focus an open DailyFlow window, or open one ---
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => "focus" in c);
+      if (open) return open.focus();
+      return self.clients.openWindow(event.notification.data?.url || "/");
+    })
+  );
+});
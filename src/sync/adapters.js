@@ -0,0 +1,67 @@
+// --- Sync adapters ---
+// Two-way adapters implement the exchange in docs/sync-protocol.md:
+//   sync({ deviceId, since, changes }) -> Promise<{ cursor, changes }>
+// sending the queued changes and getting back everything newer than `since`.
+// Push-only adapters send one outbox mutation ({ entity, op, id, data, ts }) at a time:
+//   push(mutation) -> Promise, resolved once the server has accepted it.
+// Throw to keep the mutation queued and retry on the next sync. Throw a
+// SyncError with `permanent` set (e.g. on a 4xx) to drop it instead, so one
+// record the server will never take can't block everything queued behind it.
+// (A two-way batch is never dropped; the error is only reported.)
+//
+// To point DailyFlow at another backend, add a factory to ADAPTERS; it is
+// bundled into both the page and the service worker.
+export class SyncError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = "SyncError";
+    this.permanent = permanent;
+  }
+}
+
+const retryable = (status) => status >= 500 || status === 408 || status === 429;
+
+// POST {endpoint}/sync, the protocol scripts/sync-server.js implements.
+export function httpSyncAdapter({ endpoint = "/api", headers = {} } = {}) {
+  const base = endpoint.replace(/\/+$/, "");
+  return {
+    async sync(request) {
+      const res = await fetch(`${base}/sync`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(request),
+      });
+      if (!res.ok) throw new SyncError(`sync: HTTP ${res.status}`, { permanent: !retryable(res.status) });
+      const body = await res.json();
+      if (!Array.isArray(body?.changes)) throw new SyncError("sync: malformed response", { permanent: true });
+      return body;
+    },
+  };
+}
+
+// Push-only: PUT {endpoint}/{entity}/{id} with the item as JSON, DELETE for removals.
+export function restAdapter({ endpoint = "/api", headers = {} } = {}) {
+  const base = endpoint.replace(/\/+$/, "");
+  return {
+    async push({ entity, op, id, data }) {
+      const res = await fetch(`${base}/${entity}/${encodeURIComponent(id)}`, {
+        method: op === "delete" ? "DELETE" : "PUT",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: op === "delete" ? undefined : JSON.stringify(data),
+      });
+      // deleting something the server never had is fine
+      if (res.ok || (op === "delete" && res.status === 404)) return;
+      throw new SyncError(`${op} ${entity}/${id}: HTTP ${res.status}`, { permanent: !retryable(res.status) });
+    },
+  };
+}
+
+export const ADAPTERS = { dailyflow: httpSyncAdapter, rest: restAdapter };
+
+export const DEFAULT_SYNC = { enabled: false, adapter: "dailyflow", endpoint: "/api" };
+
+export function createAdapter(config) {
+  const make = ADAPTERS[config.adapter ?? DEFAULT_SYNC.adapter];
+  if (!make) throw new SyncError(`Unknown sync adapter "${config.adapter}"`);
+  return make(config);
+}
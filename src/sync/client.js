@@ -0,0 +1,17 @@
+import { flushOutbox, loadSyncConfig, SYNC_TAG } from "./outbox";
+
+// Asks for the outbox to be sent. With Background Sync the browser wakes the
+// service worker once it's online (even after the tab is closed); without it
+// (Firefox, Safari) we flush from the page and the caller retries on `online`.
+export async function requestSync() {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (reg?.sync) {
+    try {
+      await reg.sync.register(SYNC_TAG);
+      return null;
+    } catch {
+      // permission missing or unsupported in this context: fall through
+    }
+  }
+  return flushOutbox(await loadSyncConfig());
+}
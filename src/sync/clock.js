@@ -0,0 +1,22 @@
+// --- Hybrid logical clock ---
+// Stamps look like "lzx3k9a1c-0002-<deviceId>": milliseconds and a counter in
+// fixed-width base 36, so plain string comparison orders them. The counter
+// keeps stamps increasing when several land in one millisecond or the wall
+// clock steps back, and observe() keeps us ahead of stamps pulled from others.
+const pad = (n, width) => n.toString(36).padStart(width, "0");
+
+// a peer whose clock is further ahead than this doesn't get to drag ours along
+const MAX_DRIFT = 24 * 60 * 60 * 1000;
+
+let last = { ms: 0, n: 0 };
+
+export function tick(deviceId, now = Date.now()) {
+  last = now > last.ms ? { ms: now, n: 0 } : { ms: last.ms, n: last.n + 1 };
+  return `${pad(last.ms, 9)}-${pad(last.n, 4)}-${deviceId}`;
+}
+
+export function observe(stamp) {
+  const [ms, n] = stamp.split("-").map((x) => parseInt(x, 36));
+  if (ms > Date.now() + MAX_DRIFT) return;
+  if (ms > last.ms || (ms === last.ms && n > last.n)) last = { ms, n };
+}
@@ -0,0 +1,54 @@
+// --- Revisions and conflict resolution (last writer wins, per field) ---
+// Every synced record (todos, habits, notes, sessions) carries
+//   _rev: { [field]: stamp }
+// where a stamp is a hybrid-logical-clock string (see clock.js) that sorts
+// by time, then counter, then device id. Two devices editing different fields
+// of the same todo both keep their edit; the same field goes to the later
+// stamp. Equal stamps only happen for the very same write, but to stay
+// deterministic anyway the larger JSON value wins a tie.
+//
+// No imports on purpose: scripts/sync-server.js runs this file under plain Node.
+export const REV = "_rev";
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const fieldsOf = (...records) => new Set(records.flatMap((r) => (r ? Object.keys(r) : [])).filter((k) => k !== REV));
+
+// `next` as it should be stored: fields that differ from `stored` get `stamp()`,
+// the rest keep their old stamps. A record seen for the first time is stamped whole.
+export function stampRecord(stored, next, stamp) {
+  const rev = { ...stored?.[REV] };
+  let now = null;
+  for (const key of fieldsOf(stored, next)) {
+    if (stored && key in stored && same(stored[key], next[key])) continue;
+    rev[key] = now ??= stamp();
+  }
+  return { ...next, [REV]: rev };
+}
+
+// Field-by-field merge of two versions of one record; symmetric, so every
+// device (and the server) ends up with the same result whatever the order.
+export function mergeRecord(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const out = {};
+  const rev = {};
+  for (const key of fieldsOf(a, b)) {
+    const sa = a[REV]?.[key] ?? "";
+    const sb = b[REV]?.[key] ?? "";
+    const useB = sb > sa || (sb === sa && JSON.stringify(b[key]) > JSON.stringify(a[key]));
+    const [winner, stamp] = useB ? [b, sb] : [a, sa];
+    if (key in winner) out[key] = winner[key];
+    if (stamp) rev[key] = stamp;
+  }
+  return { ...out, [REV]: rev };
+}
+
+// The latest stamp on a record, "" when it has none.
+export const newestStamp = (record) =>
+  Object.values(record?.[REV] ?? {}).reduce((max, stamp) => (stamp > max ? stamp : max), "");
+
+// A record and a tombstone for the same id: whichever was written last wins.
+// Usually that's the delete; a record written after it (an id re-created by
+// restoring an export or importing a calendar again) brings the id back.
+export const outlives = (record, deleted) => newestStamp(record) > deleted;
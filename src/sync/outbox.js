@@ -0,0 +1,78 @@
+import { applyPulled, deviceId, getSyncCursor, openStore, setSyncCursor } from "../lib/db";
+import { createAdapter } from "./adapters";
+import { tick } from "./clock";
+
+// Background Sync tag the page registers and the service worker answers.
+export const SYNC_TAG = "dailyflow-outbox";
+
+export const loadSyncConfig = async () => (await openStore()).get("settings", "sync");
+
+export const pendingCount = async () => (await openStore()).count("outbox");
+
+// Page and service worker may both try to flush; the lock keeps it to one at a time.
+const exclusive = (fn) => (globalThis.navigator?.locks ? navigator.locks.request(SYNC_TAG, fn) : fn());
+
+// Sends queued mutations and, with a two-way adapter, pulls what other devices
+// changed. Resolves to { sent, dropped, pulled }.
+export function flushOutbox(config) {
+  return exclusive(async () => {
+    if (!config?.enabled) return { sent: 0, dropped: 0, pulled: 0 };
+    const adapter = createAdapter(config);
+    return adapter.sync ? exchange(adapter, config) : pushEach(adapter);
+  });
+}
+
+const BATCH = 200;
+
+const toChange = async ({ entity, op, id, data }) =>
+  op === "delete"
+    ? // deletes queued before revisions existed carry no stamp
+      { entity, id, deleted: data?.deleted ?? tick(await deviceId()) }
+    : { entity, id, record: data };
+
+// Batches of queued changes go up, everything newer than our cursor comes back.
+// The batch leaves the outbox only once the server has answered, and the
+// cursor moves only after the pulled changes are stored, so a failure halfway
+// just means the same (idempotent) exchange happens again.
+async function exchange(adapter, config) {
+  const db = await openStore();
+  let sent = 0;
+  let pulled = 0;
+  for (;;) {
+    const queued = await db.getAll("outbox", null, BATCH);
+    const { cursor, changes } = await adapter.sync({
+      deviceId: await deviceId(),
+      since: await getSyncCursor(config.endpoint),
+      changes: await Promise.all(queued.map(toChange)),
+    });
+    if (queued.length) await db.delete("outbox", IDBKeyRange.bound(queued[0].seq, queued.at(-1).seq));
+    pulled += await applyPulled(changes);
+    await setSyncCursor(config.endpoint, cursor);
+    sent += queued.length;
+    if (queued.length < BATCH) return { sent, dropped: 0, pulled };
+  }
+}
+
+// Push-only adapters: oldest first, deleting each once the adapter accepts it.
+// Stops at the first retryable failure (and rethrows) so later writes never
+// overtake earlier ones on the server.
+async function pushEach(adapter) {
+  const db = await openStore();
+  let sent = 0;
+  let dropped = 0;
+  for (;;) {
+    const cursor = await db.transaction("outbox").store.openCursor();
+    if (!cursor) break;
+    const mutation = cursor.value;
+    try {
+      await adapter.push(mutation);
+      sent++;
+    } catch (err) {
+      if (!err.permanent) throw err;
+      console.warn("DailyFlow sync: dropping mutation", mutation, err);
+      dropped++;
+    }
+    await db.delete("outbox", mutation.seq);
+  }
+  return { sent, dropped, pulled: 0 };
+}
@@ -0,0 +1,58 @@
+import { uid } from "../lib/uid";
+
+// --- Cross-tab sync ---
+// Every DailyFlow window (tabs, the installed app) shares one IndexedDB but keeps
+// its own React state. db.js announces each committed write on a BroadcastChannel:
+//   { type: "list", name, puts: [item], dels: [id] }   after writeDiff
+//   { type: "setting", key, value }                    after putSetting
+// and the other windows fold it into their state (useTabSync). Objects that
+// arrived that way are marked remote so the persist hooks don't write them back.
+// No BroadcastChannel means no live updates between windows, just the old per-tab behaviour.
+export const TAB_ID = uid();
+
+const channel = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel("dailyflow");
+
+const remote = new WeakSet();
+
+export const markRemote = (x) => {
+  if (x !== null && typeof x === "object") remote.add(x);
+  return x;
+};
+
+export const isRemote = (x) => x !== null && typeof x === "object" && remote.has(x);
+
+const local = new Set();
+
+// `self`: this window applies it too (e.g. changes pulled from the sync server here)
+export function broadcast(message, { self = false } = {}) {
+  channel?.postMessage({ ...message, from: TAB_ID });
+  if (self) for (const fn of local) fn(structuredClone(message));
+}
+
+export function onBroadcast(fn) {
+  local.add(fn);
+  const handler = (e) => e.data?.from !== TAB_ID && fn(e.data);
+  channel?.addEventListener("message", handler);
+  return () => {
+    local.delete(fn);
+    channel?.removeEventListener("message", handler);
+  };
+}
+
+// Remote puts replace local copies unless the local one is newer (an edit not
+// written yet); remote deletes win. New items go first or last to keep the list's order.
+export function applyRemote(list, { puts, dels }, { newestFirst = false } = {}) {
+  const gone = new Set(dels);
+  const incoming = new Map(puts.map((x) => [x.id, markRemote(x)]));
+  const next = [];
+  for (const x of list) {
+    if (gone.has(x.id)) {
+      markRemote(x);
+      continue;
+    }
+    const other = incoming.get(x.id);
+    incoming.delete(x.id);
+    next.push(other && (other.updated ?? 0) >= (x.updated ?? 0) ? other : x);
+  }
+  return newestFirst ? [...incoming.values(), ...next] : [...next, ...incoming.values()];
+}
@@ -2,99 +2,110 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import { VitePWA } from 'vite-plugin-pwa'
+import { createI18n, DEFAULT_LOCALE, LOCALES } from './src/i18n/index.js'
 
 const isDev = process.env.NODE_ENV === 'development'
 
+// The install manifest in one language (src/i18n). manifest.webmanifest is
+// English; each other language gets manifest.<locale>.webmanifest, and the app
+// points <link rel="manifest"> at the one it's showing (applyLocale).
+const manifest = (locale) => {
+  const { t, dir } = createI18n(locale)
+  return {
+    name: t('manifest.name'),
+    short_name: t('manifest.shortName'),
+    description: t('manifest.description'),
+    theme_color: '#4f46e5',
+    background_color: '#ffffff',
+    display: 'standalone',
+    orientation: 'portrait',
+    lang: locale,
+    dir,
+    start_url: '/',
+    icons: [
+      {
+        src: 'icons/icon-192x192.png',
+        sizes: '192x192',
+        type: 'image/png',
+        purpose: 'any maskable'
+      },
+      {
+        src: 'icons/icon-512x512.png',
+        sizes: '512x512',
+        type: 'image/png',
+        purpose: 'any maskable'
+      }
+    ],
+    // the share sheet POSTs here; src/sw.js parks it for the /share page
+    share_target: {
+      action: '/share',
+      method: 'POST',
+      enctype: 'multipart/form-data',
+      params: {
+        title: 'title',
+        text: 'text',
+        url: 'url',
+        files: [{ name: 'file', accept: ['application/json', '.json'] }]
+      }
+    },
+    // "Open with DailyFlow" for export files; /share reads them from launchQueue
+    file_handlers: [{ action: '/share', accept: { 'application/json': ['.json'] } }],
+    shortcuts: [
+      {
+        name: t('manifest.dashboard'),
+        short_name: t('manifest.dashboardShort'),
+        description: t('manifest.dashboardDescription'),
+        url: '/dashboard',
+        icons: [{ src: 'icons/icon-192x192.png', sizes: '192x192' }]
+      },
+      {
+        name: t('manifest.newTask'),
+        short_name: t('manifest.newTaskShort'),
+        description: t('manifest.newTaskDescription'),
+        url: '/task/new',
+        icons: [{ src: 'icons/icon-192x192.png', sizes: '192x192' }]
+      }
+    ]
+  }
+}
+
+const localizedManifests = () => ({
+  name: 'dailyflow:localized-manifests',
+  apply: 'build',
+  generateBundle() {
+    for (const locale of Object.keys(LOCALES)) {
+      if (locale === DEFAULT_LOCALE) continue
+      this.emitFile({
+        type: 'asset',
+        fileName: `manifest.${locale}.webmanifest`,
+        source: JSON.stringify(manifest(locale))
+      })
+    }
+  }
+})
+
 export default defineConfig({
+  // `npm run mock-api` serves the sync endpoint locally; the SW only runs in
+  // a build, so test Background Sync with `npm run build && npm run preview`
+  server: { proxy: { '/api': 'http://localhost:8787' } },
+  preview: { proxy: { '/api': 'http://localhost:8787' } },
+  // `npm test`: unit tests for the pure logic in src/lib, plus accessibility checks (axe-core) on the app in jsdom
+  test: { environment: 'jsdom', setupFiles: ['src/__tests__/setup.js'] },
   plugins: [
     react(),
     tailwindcss(),
     VitePWA({
-      registerType: 'autoUpdate',
+      registerType: 'prompt',
+      // custom SW (src/sw.js): same caching as before plus the Background Sync outbox
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
       devOptions: {
         enabled: !isDev, // dev me disable, sirf prod me enable
+        type: 'module'
       },
-      manifest: {
-        name: 'Ramban App',
-        short_name: 'Ramban',
-        description: '⚡ A blazing fast Progressive Web App built with React + Vite',
-        theme_color: '#64c72e',
-        background_color: '#ffffff',
-        display: 'standalone',
-        orientation: 'portrait',
-        lang: 'en',
-        dir: 'ltr',
-        start_url: '/',
-        icons: [
-          {
-            src: 'icons/icon-192x192.png',
-            sizes: '192x192',
-            type: 'image/png',
-            purpose: 'any maskable'
-          },
-          {
-            src: 'icons/icon-512x512.png',
-            sizes: '512x512',
-            type: 'image/png',
-            purpose: 'any maskable'
-          }
-        ],
-        shortcuts: [
-          {
-            name: 'Open Dashboard',
-            short_name: 'Dashboard',
-            description: 'Jump to your dashboard',
-            url: '/dashboard',
-            icons: [{ src: 'icons/icon-192x192.png', sizes: '192x192' }]
-          },
-          {
-            name: 'New Task',
-            short_name: 'Task',
-            description: 'Create a new task instantly',
-            url: '/task/new',
-            icons: [{ src: 'icons/icon-192x192.png', sizes: '192x192' }]
-          }
-        ]
-      },
-      workbox: {
-        runtimeCaching: [
-          {
-            urlPattern: ({ request }) => request.destination === 'document',
-            handler: 'NetworkFirst',
-            options: { cacheName: 'html-cache' }
-          },
-          {
-            urlPattern: ({ request }) => request.destination === 'script' || request.destination === 'style',
-            handler: 'StaleWhileRevalidate',
-            options: { cacheName: 'assets-cache' }
-          },
-          {
-            urlPattern: ({ request }) => request.destination === 'image',
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'images-cache',
-              expiration: { maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 }
-            }
-          },
-          {
-            urlPattern: /^https:\/\/fonts\.(?:googleapis|gstatic)\.com\/.*/i,
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'google-fonts',
-              expiration: { maxEntries: 20, maxAgeSeconds: 365 * 24 * 60 * 60 }
-            }
-          },
-          {
-            urlPattern: /\/api\/.*\/*.json/,
-            handler: 'NetworkFirst',
-            options: {
-              cacheName: 'api-cache',
-              networkTimeoutSeconds: 5,
-              expiration: { maxEntries: 30, maxAgeSeconds: 24 * 60 * 60 }
-            }
-          }
-        ]
-      }
-    })
+      manifest: manifest(DEFAULT_LOCALE)
+    }),
+    localizedManifests()
   ]
 })